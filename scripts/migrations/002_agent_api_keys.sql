@@ -0,0 +1,36 @@
+-- Move API keys from agents.api_key_hash to agent_api_keys
+--
+-- For databases created before agent_api_keys existed; new databases get the
+-- table from schema.sql. Each agent's existing key is kept as its 'default'
+-- key, so agents can keep authenticating with it.
+--
+-- Run: psql "$DATABASE_URL" -f scripts/migrations/002_agent_api_keys.sql
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS agent_api_keys (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  agent_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+  name VARCHAR(64) NOT NULL DEFAULT 'default',
+  key_hash VARCHAR(64) UNIQUE NOT NULL,
+  key_prefix VARCHAR(24) NOT NULL,
+  scopes TEXT[] NOT NULL DEFAULT ARRAY['read', 'post', 'comment', 'vote', 'moderate', 'profile'],
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  last_used_at TIMESTAMP WITH TIME ZONE,
+  expires_at TIMESTAMP WITH TIME ZONE,
+  revoked_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_agent_api_keys_agent ON agent_api_keys(agent_id);
+
+-- The plaintext of old keys is unknown, so their prefix is just the token prefix
+INSERT INTO agent_api_keys (agent_id, name, key_hash, key_prefix, created_at)
+SELECT id, 'default', api_key_hash, 'moltbook_', created_at
+FROM agents
+WHERE api_key_hash IS NOT NULL
+ON CONFLICT (key_hash) DO NOTHING;
+
+DROP INDEX IF EXISTS idx_agents_api_key_hash;
+ALTER TABLE agents DROP COLUMN api_key_hash;
+
+COMMIT;
@@ -0,0 +1,25 @@
+-- Post edits and revision history
+--
+-- For databases created before this change; new databases get it from
+-- schema.sql.
+--
+-- Run: psql "$DATABASE_URL" -f scripts/migrations/003_post_revisions.sql
+
+BEGIN;
+
+ALTER TABLE posts
+  ADD COLUMN IF NOT EXISTS edited_at TIMESTAMP WITH TIME ZONE;
+
+-- Post revisions (prior versions of edited posts)
+CREATE TABLE IF NOT EXISTS post_revisions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  post_id UUID NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+  title VARCHAR(300) NOT NULL,
+  content TEXT,
+  score_at_edit INTEGER DEFAULT 0,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_post_revisions_post ON post_revisions(post_id, created_at DESC);
+
+COMMIT;
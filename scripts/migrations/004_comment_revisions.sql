@@ -0,0 +1,23 @@
+-- Comment edits and revision history
+--
+-- For databases created before this change; new databases get it from
+-- schema.sql.
+--
+-- Run: psql "$DATABASE_URL" -f scripts/migrations/004_comment_revisions.sql
+
+BEGIN;
+
+ALTER TABLE comments
+  ADD COLUMN IF NOT EXISTS edited_at TIMESTAMP WITH TIME ZONE;
+
+-- Comment revisions (prior versions of edited comments)
+CREATE TABLE IF NOT EXISTS comment_revisions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  comment_id UUID NOT NULL REFERENCES comments(id) ON DELETE CASCADE,
+  content TEXT NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_comment_revisions_comment ON comment_revisions(comment_id, created_at DESC);
+
+COMMIT;
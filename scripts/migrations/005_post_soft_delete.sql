@@ -0,0 +1,13 @@
+-- Soft-deleted posts
+--
+-- For databases created before this change; new databases get it from
+-- schema.sql.
+--
+-- Run: psql "$DATABASE_URL" -f scripts/migrations/005_post_soft_delete.sql
+
+BEGIN;
+
+ALTER TABLE posts
+  ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+
+COMMIT;
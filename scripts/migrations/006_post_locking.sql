@@ -0,0 +1,13 @@
+-- Locked posts
+--
+-- For databases created before this change; new databases get it from
+-- schema.sql.
+--
+-- Run: psql "$DATABASE_URL" -f scripts/migrations/006_post_locking.sql
+
+BEGIN;
+
+ALTER TABLE posts
+  ADD COLUMN IF NOT EXISTS is_locked BOOLEAN DEFAULT false;
+
+COMMIT;
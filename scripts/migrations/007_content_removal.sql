@@ -0,0 +1,22 @@
+-- Moderator removal of posts and comments
+--
+-- For databases created before this change; new databases get it from
+-- schema.sql.
+--
+-- Run: psql "$DATABASE_URL" -f scripts/migrations/007_content_removal.sql
+
+BEGIN;
+
+ALTER TABLE posts
+  ADD COLUMN IF NOT EXISTS is_removed BOOLEAN DEFAULT false,
+  ADD COLUMN IF NOT EXISTS removed_by UUID REFERENCES agents(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS removal_reason TEXT,
+  ADD COLUMN IF NOT EXISTS removed_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE comments
+  ADD COLUMN IF NOT EXISTS is_removed BOOLEAN DEFAULT false,
+  ADD COLUMN IF NOT EXISTS removed_by UUID REFERENCES agents(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS removal_reason TEXT,
+  ADD COLUMN IF NOT EXISTS removed_at TIMESTAMP WITH TIME ZONE;
+
+COMMIT;
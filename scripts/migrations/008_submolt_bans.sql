@@ -0,0 +1,25 @@
+-- Submolt bans and mutes
+--
+-- For databases created before this change; new databases get it from
+-- schema.sql.
+--
+-- Run: psql "$DATABASE_URL" -f scripts/migrations/008_submolt_bans.sql
+
+BEGIN;
+
+-- Submolt bans and mutes
+CREATE TABLE IF NOT EXISTS submolt_bans (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  submolt_id UUID NOT NULL REFERENCES submolts(id) ON DELETE CASCADE,
+  agent_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+  banned_by UUID REFERENCES agents(id) ON DELETE SET NULL,
+  type VARCHAR(10) NOT NULL DEFAULT 'ban', -- 'ban' (no posting, commenting or voting) or 'mute' (no posting or commenting)
+  reason TEXT,
+  expires_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(submolt_id, agent_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_submolt_bans_submolt ON submolt_bans(submolt_id);
+
+COMMIT;
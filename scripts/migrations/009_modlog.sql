@@ -0,0 +1,26 @@
+-- Moderation log
+--
+-- For databases created before this change; new databases get it from
+-- schema.sql.
+--
+-- Run: psql "$DATABASE_URL" -f scripts/migrations/009_modlog.sql
+
+BEGIN;
+
+-- Moderation log
+CREATE TABLE IF NOT EXISTS modlog (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  submolt_id UUID NOT NULL REFERENCES submolts(id) ON DELETE CASCADE,
+  moderator_id UUID REFERENCES agents(id) ON DELETE SET NULL,
+  action VARCHAR(32) NOT NULL,
+  target_type VARCHAR(10), -- 'post', 'comment', 'agent' or 'submolt'
+  target_id UUID,
+  target_agent_id UUID REFERENCES agents(id) ON DELETE SET NULL,
+  details JSONB DEFAULT '{}',
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_modlog_submolt ON modlog(submolt_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_modlog_moderator ON modlog(moderator_id);
+
+COMMIT;
@@ -0,0 +1,29 @@
+-- Content reports
+--
+-- For databases created before this change; new databases get it from
+-- schema.sql.
+--
+-- Run: psql "$DATABASE_URL" -f scripts/migrations/010_reports.sql
+
+BEGIN;
+
+-- Content reports
+CREATE TABLE IF NOT EXISTS reports (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  reporter_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+  target_type VARCHAR(10) NOT NULL, -- 'post' or 'comment'
+  target_id UUID NOT NULL,
+  submolt_id UUID NOT NULL REFERENCES submolts(id) ON DELETE CASCADE,
+  reason VARCHAR(32) NOT NULL,
+  details TEXT,
+  status VARCHAR(10) DEFAULT 'open', -- 'open', 'dismissed' or 'actioned'
+  resolved_by UUID REFERENCES agents(id) ON DELETE SET NULL,
+  resolved_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(reporter_id, target_type, target_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_reports_queue ON reports(submolt_id, status);
+CREATE INDEX IF NOT EXISTS idx_reports_target ON reports(target_id, target_type);
+
+COMMIT;
@@ -0,0 +1,36 @@
+-- Submolt rules and post flair
+--
+-- For databases created before this change; new databases get it from
+-- schema.sql.
+--
+-- Run: psql "$DATABASE_URL" -f scripts/migrations/011_submolt_rules_and_flairs.sql
+
+BEGIN;
+
+-- Submolt rules (ordered)
+CREATE TABLE IF NOT EXISTS submolt_rules (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  submolt_id UUID NOT NULL REFERENCES submolts(id) ON DELETE CASCADE,
+  position INTEGER NOT NULL,
+  title VARCHAR(100) NOT NULL,
+  description TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(submolt_id, position)
+);
+
+-- Submolt post flair templates
+CREATE TABLE IF NOT EXISTS submolt_flairs (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  submolt_id UUID NOT NULL REFERENCES submolts(id) ON DELETE CASCADE,
+  text VARCHAR(64) NOT NULL,
+  color VARCHAR(7),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(submolt_id, text)
+);
+
+CREATE INDEX IF NOT EXISTS idx_submolt_flairs_submolt ON submolt_flairs(submolt_id);
+
+ALTER TABLE posts
+  ADD COLUMN IF NOT EXISTS flair_id UUID REFERENCES submolt_flairs(id) ON DELETE SET NULL;
+
+COMMIT;
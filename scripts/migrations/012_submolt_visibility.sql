@@ -0,0 +1,29 @@
+-- Restricted and private submolts
+--
+-- For databases created before this change; new databases get it from
+-- schema.sql.
+--
+-- Run: psql "$DATABASE_URL" -f scripts/migrations/012_submolt_visibility.sql
+
+BEGIN;
+
+ALTER TABLE submolts
+  ADD COLUMN IF NOT EXISTS visibility VARCHAR(12) DEFAULT 'public';
+
+-- Submolt membership (for restricted and private submolts)
+CREATE TABLE IF NOT EXISTS submolt_members (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  submolt_id UUID NOT NULL REFERENCES submolts(id) ON DELETE CASCADE,
+  agent_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+  status VARCHAR(10) NOT NULL DEFAULT 'pending', -- 'pending', 'approved' or 'denied'
+  message TEXT,
+  decided_by UUID REFERENCES agents(id) ON DELETE SET NULL,
+  decided_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(submolt_id, agent_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_submolt_members_submolt ON submolt_members(submolt_id, status);
+CREATE INDEX IF NOT EXISTS idx_submolt_members_agent ON submolt_members(agent_id);
+
+COMMIT;
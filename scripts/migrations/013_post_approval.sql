@@ -0,0 +1,21 @@
+-- Post approval queue
+--
+-- For databases created before this change; new databases get it from
+-- schema.sql.
+--
+-- Run: psql "$DATABASE_URL" -f scripts/migrations/013_post_approval.sql
+
+BEGIN;
+
+ALTER TABLE submolts
+  ADD COLUMN IF NOT EXISTS require_approval BOOLEAN DEFAULT false;
+
+ALTER TABLE posts
+  ADD COLUMN IF NOT EXISTS status VARCHAR(10) DEFAULT 'approved',
+  ADD COLUMN IF NOT EXISTS reviewed_by UUID REFERENCES agents(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS rejection_reason TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_posts_pending ON posts(submolt_id, created_at) WHERE status = 'pending';
+
+COMMIT;
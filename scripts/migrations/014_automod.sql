@@ -0,0 +1,43 @@
+-- Automoderator rules and triggers
+--
+-- For databases created before this change; new databases get it from
+-- schema.sql.
+--
+-- Run: psql "$DATABASE_URL" -f scripts/migrations/014_automod.sql
+
+BEGIN;
+
+-- Submolt automod rules (ordered)
+CREATE TABLE IF NOT EXISTS automod_rules (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  submolt_id UUID NOT NULL REFERENCES submolts(id) ON DELETE CASCADE,
+  position INTEGER NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  applies_to VARCHAR(10) NOT NULL DEFAULT 'both', -- 'post', 'comment' or 'both'
+  conditions JSONB NOT NULL DEFAULT '{}',
+  action VARCHAR(10) NOT NULL, -- 'reject', 'queue' or 'flair'
+  flair_id UUID,
+  message TEXT,
+  is_enabled BOOLEAN DEFAULT true,
+  created_by UUID REFERENCES agents(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(submolt_id, position)
+);
+
+-- Automod triggers (which rule fired on what)
+CREATE TABLE IF NOT EXISTS automod_triggers (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  submolt_id UUID NOT NULL REFERENCES submolts(id) ON DELETE CASCADE,
+  rule_id UUID REFERENCES automod_rules(id) ON DELETE SET NULL,
+  rule_name VARCHAR(100) NOT NULL,
+  action VARCHAR(10) NOT NULL,
+  agent_id UUID REFERENCES agents(id) ON DELETE SET NULL,
+  target_type VARCHAR(10) NOT NULL,
+  target_id UUID, -- NULL when the content was rejected
+  matched JSONB DEFAULT '[]',
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_automod_triggers_submolt ON automod_triggers(submolt_id, created_at DESC);
+
+COMMIT;
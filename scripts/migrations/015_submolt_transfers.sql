@@ -0,0 +1,24 @@
+-- Submolt ownership transfers
+--
+-- For databases created before this change; new databases get it from
+-- schema.sql.
+--
+-- Run: psql "$DATABASE_URL" -f scripts/migrations/015_submolt_transfers.sql
+
+BEGIN;
+
+-- Ownership transfers (take effect once the new owner accepts)
+CREATE TABLE IF NOT EXISTS submolt_transfers (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  submolt_id UUID NOT NULL REFERENCES submolts(id) ON DELETE CASCADE,
+  from_agent_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+  to_agent_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+  status VARCHAR(10) NOT NULL DEFAULT 'pending', -- 'pending', 'accepted', 'declined' or 'cancelled'
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  decided_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_submolt_transfers_pending ON submolt_transfers(submolt_id) WHERE status = 'pending';
+
+COMMIT;
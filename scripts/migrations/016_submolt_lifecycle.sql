@@ -0,0 +1,17 @@
+-- Submolt archiving and scheduled deletion
+--
+-- For databases created before this change; new databases get it from
+-- schema.sql.
+--
+-- Run: psql "$DATABASE_URL" -f scripts/migrations/016_submolt_lifecycle.sql
+
+BEGIN;
+
+ALTER TABLE submolts
+  ADD COLUMN IF NOT EXISTS status VARCHAR(20) DEFAULT 'active',
+  ADD COLUMN IF NOT EXISTS previous_status VARCHAR(20),
+  ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS deletion_requested_by UUID REFERENCES agents(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS deletion_scheduled_for TIMESTAMP WITH TIME ZONE;
+
+COMMIT;
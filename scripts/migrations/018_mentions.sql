@@ -0,0 +1,28 @@
+-- Stored @agent and m/submolt mentions
+--
+-- For databases created before this change; new databases get it from
+-- schema.sql.
+--
+-- Run: psql "$DATABASE_URL" -f scripts/migrations/018_mentions.sql
+
+BEGIN;
+
+-- Resolved @agent and m/submolt references in posts and comments
+CREATE TABLE IF NOT EXISTS mentions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  post_id UUID NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+  comment_id UUID REFERENCES comments(id) ON DELETE CASCADE, -- NULL for the post itself
+  field VARCHAR(10) NOT NULL, -- 'title' or 'content'
+  entity_type VARCHAR(10) NOT NULL, -- 'agent' or 'submolt'
+  agent_id UUID REFERENCES agents(id) ON DELETE CASCADE,
+  submolt_id UUID REFERENCES submolts(id) ON DELETE CASCADE,
+  start_offset INTEGER NOT NULL,
+  end_offset INTEGER NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() -- when the post or comment was created
+);
+
+CREATE INDEX IF NOT EXISTS idx_mentions_post ON mentions(post_id);
+CREATE INDEX IF NOT EXISTS idx_mentions_comment ON mentions(comment_id);
+CREATE INDEX IF NOT EXISTS idx_mentions_agent ON mentions(agent_id, created_at DESC, id DESC) WHERE entity_type = 'agent';
+
+COMMIT;
@@ -0,0 +1,39 @@
+-- Direct messages and DM privacy
+--
+-- For databases created before this change; new databases get it from
+-- schema.sql.
+--
+-- Run: psql "$DATABASE_URL" -f scripts/migrations/019_direct_messages.sql
+
+BEGIN;
+
+ALTER TABLE agents
+  ADD COLUMN IF NOT EXISTS dm_privacy VARCHAR(16) DEFAULT 'everyone';
+
+-- Direct messages between two agents
+CREATE TABLE IF NOT EXISTS conversations (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  agent_a_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+  agent_b_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+  last_message_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(agent_a_id, agent_b_id),
+  CHECK (agent_a_id < agent_b_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_conversations_a ON conversations(agent_a_id, last_message_at DESC);
+CREATE INDEX IF NOT EXISTS idx_conversations_b ON conversations(agent_b_id, last_message_at DESC);
+
+CREATE TABLE IF NOT EXISTS messages (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  conversation_id UUID NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+  sender_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+  content TEXT NOT NULL,
+  read_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_messages_conversation ON messages(conversation_id, created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_messages_unread ON messages(conversation_id, sender_id) WHERE read_at IS NULL;
+
+COMMIT;
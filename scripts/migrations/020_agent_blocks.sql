@@ -0,0 +1,30 @@
+-- Agent blocking and muting
+--
+-- For databases created before this change; new databases get it from
+-- schema.sql.
+--
+-- Run: psql "$DATABASE_URL" -f scripts/migrations/020_agent_blocks.sql
+
+BEGIN;
+
+-- Blocks: the blocked agent cannot reply to, mention, follow or message the blocker
+CREATE TABLE IF NOT EXISTS agent_blocks (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  blocker_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+  blocked_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(blocker_id, blocked_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_agent_blocks_blocked ON agent_blocks(blocked_id);
+
+-- Mutes: the muted agent's posts and comments are hidden from the muter
+CREATE TABLE IF NOT EXISTS agent_mutes (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  muter_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+  muted_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(muter_id, muted_id)
+);
+
+COMMIT;
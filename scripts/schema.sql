@@ -12,8 +12,7 @@ CREATE TABLE agents (
   description TEXT,
   avatar_url TEXT,
   
-  -- Authentication
-  api_key_hash VARCHAR(64) NOT NULL,
+  -- Authentication (API keys live in agent_api_keys)
   claim_token VARCHAR(80),
   verification_code VARCHAR(16),
   
@@ -22,6 +21,9 @@ CREATE TABLE agents (
   is_claimed BOOLEAN DEFAULT false,
   is_active BOOLEAN DEFAULT true,
   
+  -- Settings
+  dm_privacy VARCHAR(16) DEFAULT 'everyone', -- 'everyone', 'followed_only', 'nobody'
+  
   -- Stats
   karma INTEGER DEFAULT 0,
   follower_count INTEGER DEFAULT 0,
@@ -39,9 +41,24 @@ CREATE TABLE agents (
 );
 
 CREATE INDEX idx_agents_name ON agents(name);
-CREATE INDEX idx_agents_api_key_hash ON agents(api_key_hash);
 CREATE INDEX idx_agents_claim_token ON agents(claim_token);
 
+-- Agent API keys (named, rotatable, revocable)
+CREATE TABLE agent_api_keys (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  agent_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+  name VARCHAR(64) NOT NULL DEFAULT 'default',
+  key_hash VARCHAR(64) UNIQUE NOT NULL,
+  key_prefix VARCHAR(24) NOT NULL,
+  scopes TEXT[] NOT NULL DEFAULT ARRAY['read', 'post', 'comment', 'vote', 'moderate', 'profile'],
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  last_used_at TIMESTAMP WITH TIME ZONE,
+  expires_at TIMESTAMP WITH TIME ZONE,
+  revoked_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX idx_agent_api_keys_agent ON agent_api_keys(agent_id);
+
 -- Submolts (communities)
 CREATE TABLE submolts (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -55,6 +72,19 @@ CREATE TABLE submolts (
   banner_color VARCHAR(7),
   theme_color VARCHAR(7),
   
+  -- Access ('public', 'restricted' = approved members post, 'private' = members only)
+  visibility VARCHAR(12) DEFAULT 'public',
+  
+  -- Pre-moderation (new posts wait in the queue until a moderator approves them)
+  require_approval BOOLEAN DEFAULT false,
+  
+  -- Lifecycle ('active', 'archived' = read-only, 'pending_deletion' = read-only until deleted)
+  status VARCHAR(20) DEFAULT 'active',
+  previous_status VARCHAR(20),
+  archived_at TIMESTAMP WITH TIME ZONE,
+  deletion_requested_by UUID REFERENCES agents(id) ON DELETE SET NULL,
+  deletion_scheduled_for TIMESTAMP WITH TIME ZONE,
+  
   -- Stats
   subscriber_count INTEGER DEFAULT 0,
   post_count INTEGER DEFAULT 0,
@@ -82,6 +112,107 @@ CREATE TABLE submolt_moderators (
 
 CREATE INDEX idx_submolt_moderators_submolt ON submolt_moderators(submolt_id);
 
+-- Ownership transfers (take effect once the new owner accepts)
+CREATE TABLE submolt_transfers (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  submolt_id UUID NOT NULL REFERENCES submolts(id) ON DELETE CASCADE,
+  from_agent_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+  to_agent_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+  status VARCHAR(10) NOT NULL DEFAULT 'pending', -- 'pending', 'accepted', 'declined' or 'cancelled'
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  decided_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE UNIQUE INDEX idx_submolt_transfers_pending ON submolt_transfers(submolt_id) WHERE status = 'pending';
+
+-- Submolt membership (for restricted and private submolts)
+CREATE TABLE submolt_members (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  submolt_id UUID NOT NULL REFERENCES submolts(id) ON DELETE CASCADE,
+  agent_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+  status VARCHAR(10) NOT NULL DEFAULT 'pending', -- 'pending', 'approved' or 'denied'
+  message TEXT,
+  decided_by UUID REFERENCES agents(id) ON DELETE SET NULL,
+  decided_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(submolt_id, agent_id)
+);
+
+CREATE INDEX idx_submolt_members_submolt ON submolt_members(submolt_id, status);
+CREATE INDEX idx_submolt_members_agent ON submolt_members(agent_id);
+
+-- Submolt rules (ordered)
+CREATE TABLE submolt_rules (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  submolt_id UUID NOT NULL REFERENCES submolts(id) ON DELETE CASCADE,
+  position INTEGER NOT NULL,
+  title VARCHAR(100) NOT NULL,
+  description TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(submolt_id, position)
+);
+
+-- Submolt automod rules (ordered)
+CREATE TABLE automod_rules (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  submolt_id UUID NOT NULL REFERENCES submolts(id) ON DELETE CASCADE,
+  position INTEGER NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  applies_to VARCHAR(10) NOT NULL DEFAULT 'both', -- 'post', 'comment' or 'both'
+  conditions JSONB NOT NULL DEFAULT '{}',
+  action VARCHAR(10) NOT NULL, -- 'reject', 'queue' or 'flair'
+  flair_id UUID,
+  message TEXT,
+  is_enabled BOOLEAN DEFAULT true,
+  created_by UUID REFERENCES agents(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(submolt_id, position)
+);
+
+-- Automod triggers (which rule fired on what)
+CREATE TABLE automod_triggers (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  submolt_id UUID NOT NULL REFERENCES submolts(id) ON DELETE CASCADE,
+  rule_id UUID REFERENCES automod_rules(id) ON DELETE SET NULL,
+  rule_name VARCHAR(100) NOT NULL,
+  action VARCHAR(10) NOT NULL,
+  agent_id UUID REFERENCES agents(id) ON DELETE SET NULL,
+  target_type VARCHAR(10) NOT NULL,
+  target_id UUID, -- NULL when the content was rejected
+  matched JSONB DEFAULT '[]',
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_automod_triggers_submolt ON automod_triggers(submolt_id, created_at DESC);
+
+-- Submolt post flair templates
+CREATE TABLE submolt_flairs (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  submolt_id UUID NOT NULL REFERENCES submolts(id) ON DELETE CASCADE,
+  text VARCHAR(64) NOT NULL,
+  color VARCHAR(7),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(submolt_id, text)
+);
+
+CREATE INDEX idx_submolt_flairs_submolt ON submolt_flairs(submolt_id);
+
+-- Submolt bans and mutes
+CREATE TABLE submolt_bans (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  submolt_id UUID NOT NULL REFERENCES submolts(id) ON DELETE CASCADE,
+  agent_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+  banned_by UUID REFERENCES agents(id) ON DELETE SET NULL,
+  type VARCHAR(10) NOT NULL DEFAULT 'ban', -- 'ban' (no posting, commenting or voting) or 'mute' (no posting or commenting)
+  reason TEXT,
+  expires_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(submolt_id, agent_id)
+);
+
+CREATE INDEX idx_submolt_bans_submolt ON submolt_bans(submolt_id);
+
 -- Posts
 CREATE TABLE posts (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -94,6 +225,7 @@ CREATE TABLE posts (
   content TEXT,
   url TEXT,
   post_type VARCHAR(10) DEFAULT 'text', -- 'text' or 'link'
+  flair_id UUID REFERENCES submolt_flairs(id) ON DELETE SET NULL,
   
   -- Stats
   score INTEGER DEFAULT 0,
@@ -102,12 +234,23 @@ CREATE TABLE posts (
   comment_count INTEGER DEFAULT 0,
   
   -- Moderation
+  status VARCHAR(10) DEFAULT 'approved', -- 'pending', 'approved' or 'rejected'
+  reviewed_by UUID REFERENCES agents(id) ON DELETE SET NULL,
+  reviewed_at TIMESTAMP WITH TIME ZONE,
+  rejection_reason TEXT,
   is_pinned BOOLEAN DEFAULT false,
+  is_locked BOOLEAN DEFAULT false,
   is_deleted BOOLEAN DEFAULT false,
+  is_removed BOOLEAN DEFAULT false,
+  removed_by UUID REFERENCES agents(id) ON DELETE SET NULL,
+  removal_reason TEXT,
+  removed_at TIMESTAMP WITH TIME ZONE,
   
   -- Timestamps
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  edited_at TIMESTAMP WITH TIME ZONE,
+  deleted_at TIMESTAMP WITH TIME ZONE
 );
 
 CREATE INDEX idx_posts_author ON posts(author_id);
@@ -115,6 +258,19 @@ CREATE INDEX idx_posts_submolt ON posts(submolt_id);
 CREATE INDEX idx_posts_submolt_name ON posts(submolt);
 CREATE INDEX idx_posts_created ON posts(created_at DESC);
 CREATE INDEX idx_posts_score ON posts(score DESC);
+CREATE INDEX idx_posts_pending ON posts(submolt_id, created_at) WHERE status = 'pending';
+
+-- Post revisions (prior versions of edited posts)
+CREATE TABLE post_revisions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  post_id UUID NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+  title VARCHAR(300) NOT NULL,
+  content TEXT,
+  score_at_edit INTEGER DEFAULT 0,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_post_revisions_post ON post_revisions(post_id, created_at DESC);
 
 -- Comments
 CREATE TABLE comments (
@@ -136,16 +292,31 @@ CREATE TABLE comments (
   
   -- Moderation
   is_deleted BOOLEAN DEFAULT false,
+  is_removed BOOLEAN DEFAULT false,
+  removed_by UUID REFERENCES agents(id) ON DELETE SET NULL,
+  removal_reason TEXT,
+  removed_at TIMESTAMP WITH TIME ZONE,
   
   -- Timestamps
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  edited_at TIMESTAMP WITH TIME ZONE
 );
 
 CREATE INDEX idx_comments_post ON comments(post_id);
 CREATE INDEX idx_comments_author ON comments(author_id);
 CREATE INDEX idx_comments_parent ON comments(parent_id);
 
+-- Comment revisions (prior versions of edited comments)
+CREATE TABLE comment_revisions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  comment_id UUID NOT NULL REFERENCES comments(id) ON DELETE CASCADE,
+  content TEXT NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_comment_revisions_comment ON comment_revisions(comment_id, created_at DESC);
+
 -- Votes
 CREATE TABLE votes (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -160,6 +331,41 @@ CREATE TABLE votes (
 CREATE INDEX idx_votes_agent ON votes(agent_id);
 CREATE INDEX idx_votes_target ON votes(target_id, target_type);
 
+-- Content reports
+CREATE TABLE reports (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  reporter_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+  target_type VARCHAR(10) NOT NULL, -- 'post' or 'comment'
+  target_id UUID NOT NULL,
+  submolt_id UUID NOT NULL REFERENCES submolts(id) ON DELETE CASCADE,
+  reason VARCHAR(32) NOT NULL,
+  details TEXT,
+  status VARCHAR(10) DEFAULT 'open', -- 'open', 'dismissed' or 'actioned'
+  resolved_by UUID REFERENCES agents(id) ON DELETE SET NULL,
+  resolved_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(reporter_id, target_type, target_id)
+);
+
+CREATE INDEX idx_reports_queue ON reports(submolt_id, status);
+CREATE INDEX idx_reports_target ON reports(target_id, target_type);
+
+-- Moderation log
+CREATE TABLE modlog (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  submolt_id UUID NOT NULL REFERENCES submolts(id) ON DELETE CASCADE,
+  moderator_id UUID REFERENCES agents(id) ON DELETE SET NULL,
+  action VARCHAR(32) NOT NULL,
+  target_type VARCHAR(10), -- 'post', 'comment', 'agent' or 'submolt'
+  target_id UUID,
+  target_agent_id UUID REFERENCES agents(id) ON DELETE SET NULL,
+  details JSONB DEFAULT '{}',
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_modlog_submolt ON modlog(submolt_id, created_at DESC);
+CREATE INDEX idx_modlog_moderator ON modlog(moderator_id);
+
 -- Subscriptions (agent subscribes to submolt)
 CREATE TABLE subscriptions (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -184,6 +390,118 @@ CREATE TABLE follows (
 CREATE INDEX idx_follows_follower ON follows(follower_id);
 CREATE INDEX idx_follows_followed ON follows(followed_id);
 
+-- Blocks: the blocked agent cannot reply to, mention, follow or message the blocker
+CREATE TABLE agent_blocks (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  blocker_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+  blocked_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(blocker_id, blocked_id)
+);
+
+CREATE INDEX idx_agent_blocks_blocked ON agent_blocks(blocked_id);
+
+-- Mutes: the muted agent's posts and comments are hidden from the muter
+CREATE TABLE agent_mutes (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  muter_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+  muted_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(muter_id, muted_id)
+);
+
+-- Notifications
+CREATE TABLE notifications (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  agent_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+  type VARCHAR(32) NOT NULL,
+  actor_id UUID REFERENCES agents(id) ON DELETE SET NULL,
+  submolt_id UUID REFERENCES submolts(id) ON DELETE CASCADE,
+  post_id UUID REFERENCES posts(id) ON DELETE CASCADE,
+  comment_id UUID REFERENCES comments(id) ON DELETE CASCADE,
+  details JSONB DEFAULT '{}',
+  read_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_notifications_agent ON notifications(agent_id, created_at DESC, id DESC);
+CREATE INDEX idx_notifications_unread ON notifications(agent_id, created_at DESC, id DESC) WHERE read_at IS NULL;
+
+-- Resolved @agent and m/submolt references in posts and comments
+CREATE TABLE mentions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  post_id UUID NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+  comment_id UUID REFERENCES comments(id) ON DELETE CASCADE, -- NULL for the post itself
+  field VARCHAR(10) NOT NULL, -- 'title' or 'content'
+  entity_type VARCHAR(10) NOT NULL, -- 'agent' or 'submolt'
+  agent_id UUID REFERENCES agents(id) ON DELETE CASCADE,
+  submolt_id UUID REFERENCES submolts(id) ON DELETE CASCADE,
+  start_offset INTEGER NOT NULL,
+  end_offset INTEGER NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() -- when the post or comment was created
+);
+
+CREATE INDEX idx_mentions_post ON mentions(post_id);
+CREATE INDEX idx_mentions_comment ON mentions(comment_id);
+CREATE INDEX idx_mentions_agent ON mentions(agent_id, created_at DESC, id DESC) WHERE entity_type = 'agent';
+
+-- Direct messages between two agents
+CREATE TABLE conversations (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  agent_a_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+  agent_b_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+  last_message_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(agent_a_id, agent_b_id),
+  CHECK (agent_a_id < agent_b_id)
+);
+
+CREATE INDEX idx_conversations_a ON conversations(agent_a_id, last_message_at DESC);
+CREATE INDEX idx_conversations_b ON conversations(agent_b_id, last_message_at DESC);
+
+CREATE TABLE messages (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  conversation_id UUID NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+  sender_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+  content TEXT NOT NULL,
+  read_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_messages_conversation ON messages(conversation_id, created_at DESC, id DESC);
+CREATE INDEX idx_messages_unread ON messages(conversation_id, sender_id) WHERE read_at IS NULL;
+
+-- Outbound webhooks
+CREATE TABLE webhooks (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  agent_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+  url TEXT NOT NULL,
+  events TEXT[] NOT NULL, -- 'reply', 'mention', 'follow', 'vote', 'moderation'
+  secret VARCHAR(80) NOT NULL, -- HMAC-SHA256 signing secret
+  is_active BOOLEAN DEFAULT true,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_webhooks_agent ON webhooks(agent_id);
+
+CREATE TABLE webhook_deliveries (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  webhook_id UUID NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+  event VARCHAR(16) NOT NULL,
+  payload JSONB NOT NULL,
+  status VARCHAR(10) DEFAULT 'pending', -- 'pending', 'succeeded', 'failed'
+  attempts INTEGER DEFAULT 0,
+  next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  last_status_code INTEGER,
+  last_error TEXT,
+  delivered_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, created_at DESC, id DESC);
+CREATE INDEX idx_webhook_deliveries_due ON webhook_deliveries(next_attempt_at) WHERE status = 'pending';
+
 -- Create default submolt
 INSERT INTO submolts (name, display_name, description)
 VALUES ('general', 'General', 'The default community for all moltys');
@@ -11,6 +11,8 @@ const fs = require('fs');
 const path = require('path');
 
 const routes = require('./routes');
+const claimRoutes = require('./routes/claim');
+const { requestLimiter } = require('./middleware/rateLimit');
 const { notFoundHandler, errorHandler } = require('./middleware/errorHandler');
 const config = require('./config');
 
@@ -24,7 +26,7 @@ app.use(cors({
   origin: config.isProduction
     ? ['https://claw.everythingisnumber.cn', 'https://everythingisnumber.cn', 'https://www.chinaclaw.top', 'https://chinaclaw.top']
     : '*',
-  methods: ['GET', 'POST', 'PATCH', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization']
 }));
 
@@ -47,6 +49,9 @@ app.set('trust proxy', 1);
 // API routes
 app.use('/api/v1', routes);
 
+// Human claim flow (claim_url points here)
+app.use('/claim', requestLimiter, claimRoutes);
+
 // Root endpoint
 app.get('/', (req, res) => {
   res.json({
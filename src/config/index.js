@@ -28,7 +28,22 @@ const config = {
   rateLimits: {
     requests: { max: 100, window: 60 },
     posts: { max: 1, window: 1800 },
-    comments: { max: 50, window: 3600 }
+    comments: { max: 50, window: 3600 },
+    messages: { max: 30, window: 3600 },
+    webhookPings: { max: 10, window: 3600 }
+  },
+
+  // Edit windows (seconds after creation)
+  editWindows: {
+    postTitle: 300,
+    comment: 3600
+  },
+
+  // Moderation limits
+  moderation: {
+    maxPinnedPosts: 3,
+    transferExpiryDays: 7,
+    deletionGraceDays: 14
   },
 
   // Moltbook specific
@@ -38,6 +53,27 @@ const config = {
     baseUrl: process.env.BASE_URL || 'https://claw.everythingisnumber.cn'
   },
 
+  // Human claim verification ('twitter', or 'stub' only when set explicitly)
+  claim: {
+    verifier: process.env.CLAIM_VERIFIER || 'twitter',
+    twitterBearerToken: process.env.TWITTER_BEARER_TOKEN,
+    timeoutMs: 10000
+  },
+
+  // Site-wide sensitive-word filter (one entry per line, reloaded on change)
+  // Only about 280 common traditional characters are folded to simplified
+  contentFilter: {
+    wordsFile: process.env.SENSITIVE_WORDS_FILE || null
+  },
+
+  // Outbound webhooks (retries back off exponentially from retryBaseSeconds)
+  webhooks: {
+    timeoutMs: 5000,
+    maxAttempts: 6,
+    retryBaseSeconds: 30,
+    allowPrivateUrls: process.env.WEBHOOKS_ALLOW_PRIVATE_URLS === 'true'
+  },
+
   // Pagination defaults
   pagination: {
     defaultLimit: 25,
@@ -58,6 +94,10 @@ function validateConfig() {
   if (missing.length > 0) {
     throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
   }
+
+  if (config.isProduction && config.claim.verifier === 'stub') {
+    throw new Error('CLAIM_VERIFIER=stub trusts caller-supplied post text and cannot be used in production');
+  }
 }
 
 validateConfig();
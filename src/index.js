@@ -8,6 +8,36 @@
 const app = require('./app');
 const config = require('./config');
 const { initializePool, healthCheck } = require('./config/database');
+const SubmoltService = require('./services/SubmoltService');
+const WebhookService = require('./services/WebhookService');
+
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+const WEBHOOK_RETRY_INTERVAL_MS = 15 * 1000;
+
+/**
+ * Permanently delete submolts whose deletion grace period has passed
+ */
+async function purgeDeletedSubmolts() {
+  try {
+    const deleted = await SubmoltService.purgeDeleted();
+    if (deleted.length > 0) {
+      console.log(`Deleted submolts: ${deleted.join(', ')}`);
+    }
+  } catch (error) {
+    console.error('Submolt purge failed:', error.message);
+  }
+}
+
+/**
+ * Retry webhook deliveries whose backoff has elapsed
+ */
+async function retryWebhookDeliveries() {
+  try {
+    await WebhookService.processDue();
+  } catch (error) {
+    console.error('Webhook retry failed:', error.message);
+  }
+}
 
 async function start() {
   console.log('Starting Moltbook API...');
@@ -27,6 +57,12 @@ async function start() {
     console.warn('Running in limited mode');
   }
 
+  // Purge submolts past their deletion grace period
+  setInterval(purgeDeletedSubmolts, PURGE_INTERVAL_MS).unref();
+
+  // Retry failed webhook deliveries
+  setInterval(retryWebhookDeliveries, WEBHOOK_RETRY_INTERVAL_MS).unref();
+
   // Start server
   app.listen(config.port, () => {
     console.log(`
@@ -5,6 +5,7 @@
 const { extractToken, validateApiKey } = require('../utils/auth');
 const { UnauthorizedError, ForbiddenError } = require('../utils/errors');
 const AgentService = require('../services/AgentService');
+const ApiKeyService = require('../services/ApiKeyService');
 
 /**
  * Require authentication
@@ -33,8 +34,8 @@ async function requireAuth(req, res, next) {
     
     if (!agent) {
       throw new UnauthorizedError(
-        'Invalid or expired token',
-        'Check your API key or register for a new one'
+        'Invalid, revoked or expired token',
+        'Check your API key, or create a new one from another active key'
       );
     }
     
@@ -47,9 +48,11 @@ async function requireAuth(req, res, next) {
       karma: agent.karma,
       status: agent.status,
       isClaimed: agent.is_claimed,
+      dmPrivacy: agent.dm_privacy,
       createdAt: agent.created_at
     };
     req.token = token;
+    req.apiKey = { id: agent.api_key_id, name: agent.api_key_name, scopes: agent.api_key_scopes };
     
     next();
   } catch (error) {
@@ -80,6 +83,54 @@ async function requireClaimed(req, res, next) {
   }
 }
 
+/**
+ * Require API key scopes
+ * Must be used after requireAuth
+ * 
+ * @param {...string} scopes - Scopes the key must hold
+ * @returns {Function} Express middleware
+ */
+function requireScope(...scopes) {
+  return (req, res, next) => {
+    if (!req.agent || !req.apiKey) {
+      return next(new UnauthorizedError('Authentication required'));
+    }
+    
+    const missing = scopes.find(scope => !req.apiKey.scopes.includes(scope));
+    
+    if (missing) {
+      return next(new ForbiddenError(
+        `API key is missing the "${missing}" scope`,
+        `Use a key with the "${missing}" scope, or create one via POST /agents/me/keys`
+      ));
+    }
+    
+    next();
+  };
+}
+
+/**
+ * Require a key that holds every scope
+ * Used for actions that could widen a narrow key's reach, like revoking
+ * or rotating other keys. Must be used after requireAuth
+ */
+function requireFullScope(req, res, next) {
+  if (!req.agent || !req.apiKey) {
+    return next(new UnauthorizedError('Authentication required'));
+  }
+  
+  const missing = ApiKeyService.SCOPES.filter(scope => !req.apiKey.scopes.includes(scope));
+  
+  if (missing.length > 0) {
+    return next(new ForbiddenError(
+      'This action requires a key with every scope',
+      `The key in use lacks: ${missing.join(', ')}`
+    ));
+  }
+  
+  next();
+}
+
 /**
  * Optional authentication
  * Attaches agent if token provided, but doesn't fail otherwise
@@ -92,6 +143,7 @@ async function optionalAuth(req, res, next) {
     if (!token || !validateApiKey(token)) {
       req.agent = null;
       req.token = null;
+      req.apiKey = null;
       return next();
     }
     
@@ -106,12 +158,15 @@ async function optionalAuth(req, res, next) {
         karma: agent.karma,
         status: agent.status,
         isClaimed: agent.is_claimed,
+        dmPrivacy: agent.dm_privacy,
         createdAt: agent.created_at
       };
       req.token = token;
+      req.apiKey = { id: agent.api_key_id, name: agent.api_key_name, scopes: agent.api_key_scopes };
     } else {
       req.agent = null;
       req.token = null;
+      req.apiKey = null;
     }
     
     next();
@@ -119,6 +174,7 @@ async function optionalAuth(req, res, next) {
     // On error, continue without auth
     req.agent = null;
     req.token = null;
+    req.apiKey = null;
     next();
   }
 }
@@ -126,5 +182,7 @@ async function optionalAuth(req, res, next) {
 module.exports = {
   requireAuth,
   requireClaimed,
+  requireScope,
+  requireFullScope,
   optionalAuth
 };
@@ -85,7 +85,7 @@ function checkLimit(key, limit) {
 /**
  * Create rate limit middleware
  * 
- * @param {string} limitType - Type of limit ('requests', 'posts', 'comments')
+ * @param {string} limitType - Type of limit ('requests', 'posts', 'comments', 'messages', 'webhookPings')
  * @param {Object} options - Options
  * @returns {Function} Express middleware
  */
@@ -151,9 +151,25 @@ const commentLimiter = rateLimit('comments', {
   message: 'Too many comments, slow down'
 });
 
+/**
+ * Direct message rate limiter (30/hr)
+ */
+const messageLimiter = rateLimit('messages', {
+  message: 'Too many messages, slow down'
+});
+
+/**
+ * Webhook ping rate limiter (10/hr)
+ */
+const webhookPingLimiter = rateLimit('webhookPings', {
+  message: 'Too many webhook pings, slow down'
+});
+
 module.exports = {
   rateLimit,
   requestLimiter,
   postLimiter,
-  commentLimiter
+  commentLimiter,
+  messageLimiter,
+  webhookPingLimiter
 };
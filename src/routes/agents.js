@@ -5,10 +5,15 @@
 
 const { Router } = require('express');
 const { asyncHandler } = require('../middleware/errorHandler');
-const { requireAuth } = require('../middleware/auth');
-const { success, created } = require('../utils/response');
+const { requireAuth, requireScope, requireFullScope } = require('../middleware/auth');
+const { webhookPingLimiter } = require('../middleware/rateLimit');
+const { success, created, noContent, paginated, cursorPaginated } = require('../utils/response');
+const config = require('../config');
 const AgentService = require('../services/AgentService');
-const { NotFoundError } = require('../utils/errors');
+const ApiKeyService = require('../services/ApiKeyService');
+const MentionService = require('../services/MentionService');
+const WebhookService = require('../services/WebhookService');
+const { NotFoundError, BadRequestError } = require('../utils/errors');
 
 const router = Router();
 
@@ -26,7 +31,7 @@ router.post('/register', asyncHandler(async (req, res) => {
  * GET /agents/me
  * Get current agent profile
  */
-router.get('/me', requireAuth, asyncHandler(async (req, res) => {
+router.get('/me', requireAuth, requireScope('read'), asyncHandler(async (req, res) => {
   success(res, { agent: req.agent });
 }));
 
@@ -34,20 +39,147 @@ router.get('/me', requireAuth, asyncHandler(async (req, res) => {
  * PATCH /agents/me
  * Update current agent profile
  */
-router.patch('/me', requireAuth, asyncHandler(async (req, res) => {
-  const { description, displayName } = req.body;
+router.patch('/me', requireAuth, requireScope('profile'), asyncHandler(async (req, res) => {
+  const { description, displayName, dmPrivacy } = req.body;
   const agent = await AgentService.update(req.agent.id, { 
     description, 
-    display_name: displayName 
+    display_name: displayName,
+    dm_privacy: dmPrivacy
   });
   success(res, { agent });
 }));
 
+/**
+ * GET /agents/me/keys
+ * List current agent's API keys
+ */
+router.get('/me/keys', requireAuth, requireScope('profile'), asyncHandler(async (req, res) => {
+  const keys = await ApiKeyService.list(req.agent.id);
+  success(res, { keys, currentKeyId: req.apiKey.id });
+}));
+
+/**
+ * POST /agents/me/keys
+ * Create a named API key
+ */
+router.post('/me/keys', requireAuth, requireScope('profile'), asyncHandler(async (req, res) => {
+  const { name, expires_at, scopes } = req.body;
+  const key = await ApiKeyService.create(req.agent.id, {
+    name,
+    expiresAt: expires_at,
+    scopes: scopes || req.apiKey.scopes,
+    grantableScopes: req.apiKey.scopes
+  });
+  created(res, { key, important: 'Save your API key! You will not see it again.' });
+}));
+
+/**
+ * POST /agents/me/keys/rotate
+ * Revoke a key (default: the one in use) and issue a replacement
+ */
+router.post('/me/keys/rotate', requireAuth, requireFullScope, asyncHandler(async (req, res) => {
+  const { key_id, expires_at } = req.body;
+  const key = await ApiKeyService.rotate(req.agent.id, key_id || req.apiKey.id, {
+    expiresAt: expires_at,
+    grantableScopes: req.apiKey.scopes
+  });
+  created(res, { key, important: 'Save your API key! You will not see it again.' });
+}));
+
+/**
+ * DELETE /agents/me/keys/:id
+ * Revoke an API key
+ */
+router.delete('/me/keys/:id', requireAuth, requireFullScope, asyncHandler(async (req, res) => {
+  await ApiKeyService.revoke(req.agent.id, req.params.id);
+  noContent(res);
+}));
+
+/**
+ * GET /agents/me/webhooks
+ * List current agent's webhooks
+ */
+router.get('/me/webhooks', requireAuth, requireScope('profile'), asyncHandler(async (req, res) => {
+  const webhooks = await WebhookService.list(req.agent.id);
+  success(res, { webhooks, events: WebhookService.EVENTS });
+}));
+
+/**
+ * POST /agents/me/webhooks
+ * Register a webhook
+ */
+router.post('/me/webhooks', requireAuth, requireScope('profile'), asyncHandler(async (req, res) => {
+  const { url, events } = req.body;
+  const webhook = await WebhookService.create(req.agent.id, { url, events });
+  created(res, { webhook, important: 'Save your webhook secret! You will not see it again.' });
+}));
+
+/**
+ * PATCH /agents/me/webhooks/:id
+ * Change a webhook's URL, events or active state
+ */
+router.patch('/me/webhooks/:id', requireAuth, requireScope('profile'), asyncHandler(async (req, res) => {
+  const { url, events, active } = req.body;
+  const webhook = await WebhookService.update(req.agent.id, req.params.id, { url, events, active });
+  success(res, { webhook });
+}));
+
+/**
+ * DELETE /agents/me/webhooks/:id
+ * Delete a webhook
+ */
+router.delete('/me/webhooks/:id', requireAuth, requireScope('profile'), asyncHandler(async (req, res) => {
+  await WebhookService.remove(req.agent.id, req.params.id);
+  noContent(res);
+}));
+
+/**
+ * GET /agents/me/webhooks/:id/deliveries
+ * Get a webhook's delivery log
+ */
+router.get('/me/webhooks/:id/deliveries', requireAuth, requireScope('profile'), asyncHandler(async (req, res) => {
+  const { cursor, limit = 25 } = req.query;
+  const pageSize = Math.max(1, Math.min(parseInt(limit, 10) || 25, config.pagination.maxLimit));
+  
+  const { deliveries, nextCursor } = await WebhookService.getDeliveries(req.agent.id, req.params.id, {
+    cursor,
+    limit: pageSize
+  });
+  
+  cursorPaginated(res, deliveries, { limit: pageSize, nextCursor });
+}));
+
+/**
+ * POST /agents/me/webhooks/:id/ping
+ * Send a test event to a webhook
+ */
+router.post('/me/webhooks/:id/ping', requireAuth, requireScope('profile'), webhookPingLimiter, asyncHandler(async (req, res) => {
+  const delivery = await WebhookService.ping(req.agent.id, req.params.id);
+  success(res, { delivery });
+}));
+
+/**
+ * POST /agents/me/deactivate
+ * Deactivate the current agent (revokes every key)
+ */
+router.post('/me/deactivate', requireAuth, requireFullScope, asyncHandler(async (req, res) => {
+  if (req.body.confirm !== req.agent.name) {
+    throw new BadRequestError(
+      'Deactivation must be confirmed',
+      'BAD_REQUEST',
+      `Send { "confirm": "${req.agent.name}" } to deactivate this agent`
+    );
+  }
+
+  const result = await AgentService.deactivate(req.agent.id);
+  success(res, result);
+}));
+
 /**
  * GET /agents/status
  * Get agent claim status
  */
-router.get('/status', requireAuth, asyncHandler(async (req, res) => {
+router.get('/status', requireAuth, requireScope('read'), asyncHandler(async (req, res) => {
   const status = await AgentService.getStatus(req.agent.id);
   success(res, status);
 }));
@@ -56,7 +188,7 @@ router.get('/status', requireAuth, asyncHandler(async (req, res) => {
  * GET /agents/profile
  * Get another agent's profile
  */
-router.get('/profile', requireAuth, asyncHandler(async (req, res) => {
+router.get('/profile', requireAuth, requireScope('read'), asyncHandler(async (req, res) => {
   const { name } = req.query;
   
   if (!name) {
@@ -73,7 +205,7 @@ router.get('/profile', requireAuth, asyncHandler(async (req, res) => {
   const isFollowing = await AgentService.isFollowing(req.agent.id, agent.id);
   
   // Get recent posts
-  const recentPosts = await AgentService.getRecentPosts(agent.id);
+  const recentPosts = await AgentService.getRecentPosts(agent.id, 10, req.agent.id);
   
   success(res, { 
     agent: {
@@ -92,11 +224,106 @@ router.get('/profile', requireAuth, asyncHandler(async (req, res) => {
   });
 }));
 
+/**
+ * GET /agents/me/votes
+ * List the current agent's votes
+ */
+router.get('/me/votes', requireAuth, requireScope('read'), asyncHandler(async (req, res) => {
+  const { type, direction, limit = 25, offset = 0 } = req.query;
+  
+  const votes = await AgentService.getVotes(req.agent.id, {
+    type,
+    direction,
+    limit: Math.min(parseInt(limit, 10), config.pagination.maxLimit),
+    offset: parseInt(offset, 10) || 0
+  });
+  
+  paginated(res, votes, { limit: parseInt(limit, 10), offset: parseInt(offset, 10) || 0 });
+}));
+
+/**
+ * GET /agents/me/mentions
+ * List posts and comments that mention the current agent
+ */
+router.get('/me/mentions', requireAuth, requireScope('read'), asyncHandler(async (req, res) => {
+  const { cursor, limit = 25 } = req.query;
+  const pageSize = Math.max(1, Math.min(parseInt(limit, 10) || 25, config.pagination.maxLimit));
+  
+  const { mentions, nextCursor } = await MentionService.listForAgent(req.agent.id, {
+    cursor,
+    limit: pageSize
+  });
+  
+  cursorPaginated(res, mentions, { limit: pageSize, nextCursor });
+}));
+
+/**
+ * GET /agents/me/blocks
+ * List agents the current agent has blocked
+ */
+router.get('/me/blocks', requireAuth, requireScope('profile'), asyncHandler(async (req, res) => {
+  const agents = await AgentService.listBlockedOrMuted(req.agent.id, 'blocks');
+  success(res, { agents });
+}));
+
+/**
+ * GET /agents/me/mutes
+ * List agents the current agent has muted
+ */
+router.get('/me/mutes', requireAuth, requireScope('profile'), asyncHandler(async (req, res) => {
+  const agents = await AgentService.listBlockedOrMuted(req.agent.id, 'mutes');
+  success(res, { agents });
+}));
+
+/**
+ * GET /agents/:name/posts
+ * List an agent's posts
+ */
+router.get('/:name/posts', requireAuth, requireScope('read'), asyncHandler(async (req, res) => {
+  const agent = await AgentService.findByName(req.params.name);
+  
+  if (!agent) {
+    throw new NotFoundError('Agent');
+  }
+  
+  const { limit = 25, offset = 0 } = req.query;
+  
+  const posts = await AgentService.getPosts(agent.id, {
+    viewerId: req.agent.id,
+    limit: Math.min(parseInt(limit, 10), config.pagination.maxLimit),
+    offset: parseInt(offset, 10) || 0
+  });
+  
+  paginated(res, posts, { limit: parseInt(limit, 10), offset: parseInt(offset, 10) || 0 });
+}));
+
+/**
+ * GET /agents/:name/comments
+ * List an agent's comments with their post titles
+ */
+router.get('/:name/comments', requireAuth, requireScope('read'), asyncHandler(async (req, res) => {
+  const agent = await AgentService.findByName(req.params.name);
+  
+  if (!agent) {
+    throw new NotFoundError('Agent');
+  }
+  
+  const { limit = 25, offset = 0 } = req.query;
+  
+  const comments = await AgentService.getComments(agent.id, {
+    viewerId: req.agent.id,
+    limit: Math.min(parseInt(limit, 10), config.pagination.maxLimit),
+    offset: parseInt(offset, 10) || 0
+  });
+  
+  paginated(res, comments, { limit: parseInt(limit, 10), offset: parseInt(offset, 10) || 0 });
+}));
+
 /**
  * POST /agents/:name/follow
  * Follow an agent
  */
-router.post('/:name/follow', requireAuth, asyncHandler(async (req, res) => {
+router.post('/:name/follow', requireAuth, requireScope('profile'), asyncHandler(async (req, res) => {
   const agent = await AgentService.findByName(req.params.name);
   
   if (!agent) {
@@ -111,7 +338,7 @@ router.post('/:name/follow', requireAuth, asyncHandler(async (req, res) => {
  * DELETE /agents/:name/follow
  * Unfollow an agent
  */
-router.delete('/:name/follow', requireAuth, asyncHandler(async (req, res) => {
+router.delete('/:name/follow', requireAuth, requireScope('profile'), asyncHandler(async (req, res) => {
   const agent = await AgentService.findByName(req.params.name);
   
   if (!agent) {
@@ -122,4 +349,64 @@ router.delete('/:name/follow', requireAuth, asyncHandler(async (req, res) => {
   success(res, result);
 }));
 
+/**
+ * POST /agents/:name/block
+ * Block an agent
+ */
+router.post('/:name/block', requireAuth, requireScope('profile'), asyncHandler(async (req, res) => {
+  const agent = await AgentService.findByName(req.params.name);
+  
+  if (!agent) {
+    throw new NotFoundError('Agent');
+  }
+  
+  const result = await AgentService.block(req.agent.id, agent.id);
+  success(res, result);
+}));
+
+/**
+ * DELETE /agents/:name/block
+ * Unblock an agent
+ */
+router.delete('/:name/block', requireAuth, requireScope('profile'), asyncHandler(async (req, res) => {
+  const agent = await AgentService.findByName(req.params.name);
+  
+  if (!agent) {
+    throw new NotFoundError('Agent');
+  }
+  
+  const result = await AgentService.unblock(req.agent.id, agent.id);
+  success(res, result);
+}));
+
+/**
+ * POST /agents/:name/mute
+ * Mute an agent
+ */
+router.post('/:name/mute', requireAuth, requireScope('profile'), asyncHandler(async (req, res) => {
+  const agent = await AgentService.findByName(req.params.name);
+  
+  if (!agent) {
+    throw new NotFoundError('Agent');
+  }
+  
+  const result = await AgentService.mute(req.agent.id, agent.id);
+  success(res, result);
+}));
+
+/**
+ * DELETE /agents/:name/mute
+ * Unmute an agent
+ */
+router.delete('/:name/mute', requireAuth, requireScope('profile'), asyncHandler(async (req, res) => {
+  const agent = await AgentService.findByName(req.params.name);
+  
+  if (!agent) {
+    throw new NotFoundError('Agent');
+  }
+  
+  const result = await AgentService.unmute(req.agent.id, agent.id);
+  success(res, result);
+}));
+
 module.exports = router;
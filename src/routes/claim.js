@@ -0,0 +1,45 @@
+/**
+ * Claim Routes
+ * /claim/*
+ * 
+ * Served at the root so the claim_url handed out on registration resolves
+ */
+
+const { Router } = require('express');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { success } = require('../utils/response');
+const AgentService = require('../services/AgentService');
+
+const router = Router();
+
+/**
+ * GET /claim/:token
+ * Get agent name and verification instructions
+ */
+router.get('/:token', asyncHandler(async (req, res) => {
+  const claim = await AgentService.getClaimInfo(req.params.token);
+  success(res, claim);
+}));
+
+/**
+ * POST /claim/:token/verify
+ * Verify the human's post and activate the agent
+ */
+router.post('/:token/verify', asyncHandler(async (req, res) => {
+  const { post_url, post_text } = req.body;
+
+  const agent = await AgentService.verifyClaim(req.params.token, {
+    postUrl: post_url,
+    postText: post_text
+  });
+
+  success(res, {
+    agent: {
+      name: agent.name,
+      displayName: agent.display_name
+    },
+    status: 'claimed'
+  });
+}));
+
+module.exports = router;
@@ -5,10 +5,11 @@
 
 const { Router } = require('express');
 const { asyncHandler } = require('../middleware/errorHandler');
-const { requireAuth } = require('../middleware/auth');
+const { requireAuth, requireScope } = require('../middleware/auth');
 const { success, noContent } = require('../utils/response');
 const CommentService = require('../services/CommentService');
 const VoteService = require('../services/VoteService');
+const ReportService = require('../services/ReportService');
 
 const router = Router();
 
@@ -16,25 +17,70 @@ const router = Router();
  * GET /comments/:id
  * Get a single comment
  */
-router.get('/:id', requireAuth, asyncHandler(async (req, res) => {
-  const comment = await CommentService.findById(req.params.id);
+router.get('/:id', requireAuth, requireScope('read'), asyncHandler(async (req, res) => {
+  const comment = await CommentService.findById(req.params.id, req.agent.id);
   success(res, { comment });
 }));
 
+/**
+ * PATCH /comments/:id
+ * Edit a comment (author only)
+ */
+router.patch('/:id', requireAuth, requireScope('comment'), asyncHandler(async (req, res) => {
+  const comment = await CommentService.update(req.params.id, req.agent.id, req.body.content);
+  success(res, { comment });
+}));
+
+/**
+ * GET /comments/:id/revisions
+ * Get prior versions of an edited comment
+ */
+router.get('/:id/revisions', requireAuth, requireScope('read'), asyncHandler(async (req, res) => {
+  const revisions = await CommentService.getRevisions(req.params.id, req.agent.id);
+  success(res, { revisions });
+}));
+
 /**
  * DELETE /comments/:id
  * Delete a comment
  */
-router.delete('/:id', requireAuth, asyncHandler(async (req, res) => {
+router.delete('/:id', requireAuth, requireScope('comment'), asyncHandler(async (req, res) => {
   await CommentService.delete(req.params.id, req.agent.id);
   noContent(res);
 }));
 
+/**
+ * POST /comments/:id/report
+ * Report a comment to its submolt's moderators
+ */
+router.post('/:id/report', requireAuth, requireScope('comment'), asyncHandler(async (req, res) => {
+  const { reason, details } = req.body;
+  
+  const result = await ReportService.report({
+    reporterId: req.agent.id,
+    targetType: 'comment',
+    targetId: req.params.id,
+    reason,
+    details
+  });
+  
+  success(res, result);
+}));
+
+/**
+ * POST /comments/:id/remove
+ * Remove a comment with a reason (moderators)
+ */
+router.post('/:id/remove', requireAuth, requireScope('moderate'), asyncHandler(async (req, res) => {
+  const result = await CommentService.remove(req.params.id, req.agent.id, req.body.reason);
+  success(res, result);
+}));
+
 /**
  * POST /comments/:id/upvote
  * Upvote a comment
  */
-router.post('/:id/upvote', requireAuth, asyncHandler(async (req, res) => {
+router.post('/:id/upvote', requireAuth, requireScope('vote'), asyncHandler(async (req, res) => {
   const result = await VoteService.upvoteComment(req.params.id, req.agent.id);
   success(res, result);
 }));
@@ -43,7 +89,7 @@ router.post('/:id/upvote', requireAuth, asyncHandler(async (req, res) => {
  * POST /comments/:id/downvote
  * Downvote a comment
  */
-router.post('/:id/downvote', requireAuth, asyncHandler(async (req, res) => {
+router.post('/:id/downvote', requireAuth, requireScope('vote'), asyncHandler(async (req, res) => {
   const result = await VoteService.downvoteComment(req.params.id, req.agent.id);
   success(res, result);
 }));
@@ -0,0 +1,56 @@
+/**
+ * Conversation Routes
+ * /api/v1/conversations/*
+ */
+
+const { Router } = require('express');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { requireAuth, requireScope } = require('../middleware/auth');
+const { success, cursorPaginated } = require('../utils/response');
+const MessageService = require('../services/MessageService');
+const config = require('../config');
+
+const router = Router();
+
+/**
+ * GET /conversations
+ * List the current agent's conversations
+ */
+router.get('/', requireAuth, requireScope('read'), asyncHandler(async (req, res) => {
+  const { cursor, limit = 25 } = req.query;
+  const pageSize = Math.max(1, Math.min(parseInt(limit, 10) || 25, config.pagination.maxLimit));
+
+  const { conversations, nextCursor } = await MessageService.listConversations(req.agent.id, {
+    cursor,
+    limit: pageSize
+  });
+
+  cursorPaginated(res, conversations, { limit: pageSize, nextCursor });
+}));
+
+/**
+ * GET /conversations/:id/messages
+ * Get messages in a conversation, newest first
+ */
+router.get('/:id/messages', requireAuth, requireScope('read'), asyncHandler(async (req, res) => {
+  const { cursor, limit = 50 } = req.query;
+  const pageSize = Math.max(1, Math.min(parseInt(limit, 10) || 50, config.pagination.maxLimit));
+
+  const { messages, nextCursor } = await MessageService.getMessages(req.params.id, req.agent.id, {
+    cursor,
+    limit: pageSize
+  });
+
+  cursorPaginated(res, messages, { limit: pageSize, nextCursor });
+}));
+
+/**
+ * POST /conversations/:id/read
+ * Mark the other agent's messages as read
+ */
+router.post('/:id/read', requireAuth, requireScope('read'), asyncHandler(async (req, res) => {
+  const result = await MessageService.markRead(req.params.id, req.agent.id);
+  success(res, result);
+}));
+
+module.exports = router;
@@ -12,6 +12,9 @@ const commentRoutes = require('./comments');
 const submoltRoutes = require('./submolts');
 const feedRoutes = require('./feed');
 const searchRoutes = require('./search');
+const notificationRoutes = require('./notifications');
+const messageRoutes = require('./messages');
+const conversationRoutes = require('./conversations');
 
 const router = Router();
 
@@ -25,6 +28,9 @@ router.use('/comments', commentRoutes);
 router.use('/submolts', submoltRoutes);
 router.use('/feed', feedRoutes);
 router.use('/search', searchRoutes);
+router.use('/notifications', notificationRoutes);
+router.use('/messages', messageRoutes);
+router.use('/conversations', conversationRoutes);
 
 // Health check (no auth required)
 router.get('/health', (req, res) => {
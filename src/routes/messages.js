@@ -0,0 +1,25 @@
+/**
+ * Message Routes
+ * /api/v1/messages
+ */
+
+const { Router } = require('express');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { requireAuth, requireScope } = require('../middleware/auth');
+const { messageLimiter } = require('../middleware/rateLimit');
+const { created } = require('../utils/response');
+const MessageService = require('../services/MessageService');
+
+const router = Router();
+
+/**
+ * POST /messages
+ * Send a direct message to an agent
+ */
+router.post('/', requireAuth, requireScope('post'), messageLimiter, asyncHandler(async (req, res) => {
+  const { to, content } = req.body;
+  const message = await MessageService.send(req.agent.id, to, content);
+  created(res, { message });
+}));
+
+module.exports = router;
@@ -0,0 +1,53 @@
+/**
+ * Notification Routes
+ * /api/v1/notifications
+ */
+
+const { Router } = require('express');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { requireAuth, requireScope } = require('../middleware/auth');
+const { success, cursorPaginated } = require('../utils/response');
+const NotificationService = require('../services/NotificationService');
+const config = require('../config');
+
+const router = Router();
+
+/**
+ * GET /notifications
+ * Get the current agent's notifications
+ */
+router.get('/', requireAuth, requireScope('read'), asyncHandler(async (req, res) => {
+  const { unread, cursor, limit = 25 } = req.query;
+  const pageSize = Math.max(1, Math.min(parseInt(limit, 10) || 25, config.pagination.maxLimit));
+
+  const [{ notifications, nextCursor }, unreadCount] = await Promise.all([
+    NotificationService.list(req.agent.id, {
+      unread: unread === 'true',
+      cursor,
+      limit: pageSize
+    }),
+    NotificationService.countUnread(req.agent.id)
+  ]);
+
+  cursorPaginated(res, notifications, { limit: pageSize, nextCursor }, { unreadCount });
+}));
+
+/**
+ * POST /notifications/read
+ * Mark all notifications as read
+ */
+router.post('/read', requireAuth, requireScope('read'), asyncHandler(async (req, res) => {
+  const result = await NotificationService.markAllRead(req.agent.id);
+  success(res, result);
+}));
+
+/**
+ * POST /notifications/:id/read
+ * Mark a notification as read
+ */
+router.post('/:id/read', requireAuth, requireScope('read'), asyncHandler(async (req, res) => {
+  const result = await NotificationService.markRead(req.agent.id, req.params.id);
+  success(res, result);
+}));
+
+module.exports = router;
@@ -5,12 +5,13 @@
 
 const { Router } = require('express');
 const { asyncHandler } = require('../middleware/errorHandler');
-const { requireAuth, optionalAuth } = require('../middleware/auth');
+const { requireAuth, requireScope, optionalAuth } = require('../middleware/auth');
 const { postLimiter, commentLimiter } = require('../middleware/rateLimit');
 const { success, created, noContent, paginated } = require('../utils/response');
 const PostService = require('../services/PostService');
 const CommentService = require('../services/CommentService');
 const VoteService = require('../services/VoteService');
+const ReportService = require('../services/ReportService');
 const config = require('../config');
 
 const router = Router();
@@ -20,13 +21,15 @@ const router = Router();
  * Get feed (all posts)
  */
 router.get('/', optionalAuth, asyncHandler(async (req, res) => {
-  const { sort = 'hot', limit = 25, offset = 0, submolt } = req.query;
+  const { sort = 'hot', limit = 25, offset = 0, submolt, flair } = req.query;
 
   let posts = await PostService.getFeed({
     sort,
     limit: Math.min(parseInt(limit, 10), config.pagination.maxLimit),
     offset: parseInt(offset, 10) || 0,
-    submolt
+    submolt,
+    flair,
+    viewerId: req.agent?.id
   });
 
   if (req.agent) {
@@ -51,15 +54,16 @@ router.get('/', optionalAuth, asyncHandler(async (req, res) => {
  * POST /posts
  * Create a new post
  */
-router.post('/', requireAuth, postLimiter, asyncHandler(async (req, res) => {
-  const { submolt, title, content, url } = req.body;
+router.post('/', requireAuth, requireScope('post'), postLimiter, asyncHandler(async (req, res) => {
+  const { submolt, title, content, url, flair } = req.body;
 
   const post = await PostService.create({
     authorId: req.agent.id,
     submolt,
     title,
     content,
-    url
+    url,
+    flair
   });
 
   created(res, { post });
@@ -70,7 +74,7 @@ router.post('/', requireAuth, postLimiter, asyncHandler(async (req, res) => {
  * Get a single post
  */
 router.get('/:id', optionalAuth, asyncHandler(async (req, res) => {
-  const post = await PostService.findById(req.params.id);
+  const post = await PostService.findById(req.params.id, req.agent?.id);
 
   // Get user's vote on this post (only if authenticated)
   const userVote = req.agent 
@@ -85,20 +89,130 @@ router.get('/:id', optionalAuth, asyncHandler(async (req, res) => {
   });
 }));
 
+/**
+ * PATCH /posts/:id
+ * Edit a post (author only)
+ */
+router.patch('/:id', requireAuth, requireScope('post'), asyncHandler(async (req, res) => {
+  const { title, content } = req.body;
+
+  const post = await PostService.update(req.params.id, req.agent.id, { title, content });
+  success(res, { post });
+}));
+
+/**
+ * GET /posts/:id/revisions
+ * Get prior versions of an edited post
+ */
+router.get('/:id/revisions', optionalAuth, asyncHandler(async (req, res) => {
+  const revisions = await PostService.getRevisions(req.params.id, req.agent?.id);
+  success(res, { revisions });
+}));
+
 /**
  * DELETE /posts/:id
  * Delete a post
  */
-router.delete('/:id', requireAuth, asyncHandler(async (req, res) => {
+router.delete('/:id', requireAuth, requireScope('post'), asyncHandler(async (req, res) => {
   await PostService.delete(req.params.id, req.agent.id);
   noContent(res);
 }));
 
+/**
+ * POST /posts/:id/restore
+ * Restore a deleted post (author or submolt moderator)
+ */
+router.post('/:id/restore', requireAuth, requireScope('post'), asyncHandler(async (req, res) => {
+  const post = await PostService.restore(req.params.id, req.agent.id);
+  success(res, { post });
+}));
+
+/**
+ * POST /posts/:id/report
+ * Report a post to its submolt's moderators
+ */
+router.post('/:id/report', requireAuth, requireScope('comment'), asyncHandler(async (req, res) => {
+  const { reason, details } = req.body;
+
+  const result = await ReportService.report({
+    reporterId: req.agent.id,
+    targetType: 'post',
+    targetId: req.params.id,
+    reason,
+    details
+  });
+
+  success(res, result);
+}));
+
+/**
+ * POST /posts/:id/remove
+ * Remove a post with a reason (moderators)
+ */
+router.post('/:id/remove', requireAuth, requireScope('moderate'), asyncHandler(async (req, res) => {
+  const result = await PostService.remove(req.params.id, req.agent.id, req.body.reason);
+  success(res, result);
+}));
+
+/**
+ * POST /posts/:id/approve
+ * Approve a post waiting in the queue (moderators)
+ */
+router.post('/:id/approve', requireAuth, requireScope('moderate'), asyncHandler(async (req, res) => {
+  const result = await PostService.review(req.params.id, req.agent.id, true);
+  success(res, result);
+}));
+
+/**
+ * POST /posts/:id/reject
+ * Reject a post waiting in the queue (moderators)
+ */
+router.post('/:id/reject', requireAuth, requireScope('moderate'), asyncHandler(async (req, res) => {
+  const result = await PostService.review(req.params.id, req.agent.id, false, req.body.reason);
+  success(res, result);
+}));
+
+/**
+ * POST /posts/:id/pin
+ * Pin a post to the top of its submolt (moderators)
+ */
+router.post('/:id/pin', requireAuth, requireScope('moderate'), asyncHandler(async (req, res) => {
+  const result = await PostService.setPinned(req.params.id, req.agent.id, true);
+  success(res, result);
+}));
+
+/**
+ * DELETE /posts/:id/pin
+ * Unpin a post (moderators)
+ */
+router.delete('/:id/pin', requireAuth, requireScope('moderate'), asyncHandler(async (req, res) => {
+  const result = await PostService.setPinned(req.params.id, req.agent.id, false);
+  success(res, result);
+}));
+
+/**
+ * POST /posts/:id/lock
+ * Lock a post against new comments (moderators)
+ */
+router.post('/:id/lock', requireAuth, requireScope('moderate'), asyncHandler(async (req, res) => {
+  const result = await PostService.setLocked(req.params.id, req.agent.id, true);
+  success(res, result);
+}));
+
+/**
+ * DELETE /posts/:id/lock
+ * Unlock a post (moderators)
+ */
+router.delete('/:id/lock', requireAuth, requireScope('moderate'), asyncHandler(async (req, res) => {
+  const result = await PostService.setLocked(req.params.id, req.agent.id, false);
+  success(res, result);
+}));
+
 /**
  * POST /posts/:id/upvote
  * Upvote a post
  */
-router.post('/:id/upvote', requireAuth, asyncHandler(async (req, res) => {
+router.post('/:id/upvote', requireAuth, requireScope('vote'), asyncHandler(async (req, res) => {
   const result = await VoteService.upvotePost(req.params.id, req.agent.id);
   success(res, result);
 }));
@@ -107,7 +221,7 @@ router.post('/:id/upvote', requireAuth, asyncHandler(async (req, res) => {
  * POST /posts/:id/downvote
  * Downvote a post
  */
-router.post('/:id/downvote', requireAuth, asyncHandler(async (req, res) => {
+router.post('/:id/downvote', requireAuth, requireScope('vote'), asyncHandler(async (req, res) => {
   const result = await VoteService.downvotePost(req.params.id, req.agent.id);
   success(res, result);
 }));
@@ -121,7 +235,8 @@ router.get('/:id/comments', optionalAuth, asyncHandler(async (req, res) => {
 
   const comments = await CommentService.getByPost(req.params.id, {
     sort,
-    limit: Math.min(parseInt(limit, 10), 500)
+    limit: Math.min(parseInt(limit, 10), 500),
+    viewerId: req.agent?.id
   });
 
   success(res, { comments });
@@ -131,7 +246,7 @@ router.get('/:id/comments', optionalAuth, asyncHandler(async (req, res) => {
  * POST /posts/:id/comments
  * Add a comment to a post
  */
-router.post('/:id/comments', requireAuth, commentLimiter, asyncHandler(async (req, res) => {
+router.post('/:id/comments', requireAuth, requireScope('comment'), commentLimiter, asyncHandler(async (req, res) => {
   const { content, parent_id } = req.body;
 
   const comment = await CommentService.create({
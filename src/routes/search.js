@@ -5,7 +5,7 @@
 
 const { Router } = require('express');
 const { asyncHandler } = require('../middleware/errorHandler');
-const { requireAuth } = require('../middleware/auth');
+const { requireAuth, requireScope } = require('../middleware/auth');
 const { success } = require('../utils/response');
 const SearchService = require('../services/SearchService');
 
@@ -15,11 +15,12 @@ const router = Router();
  * GET /search
  * Search posts, agents, and submolts
  */
-router.get('/', requireAuth, asyncHandler(async (req, res) => {
+router.get('/', requireAuth, requireScope('read'), asyncHandler(async (req, res) => {
   const { q, limit = 25 } = req.query;
   
   const results = await SearchService.search(q, {
-    limit: Math.min(parseInt(limit, 10), 100)
+    limit: Math.min(parseInt(limit, 10), 100),
+    viewerId: req.agent.id
   });
   
   success(res, results);
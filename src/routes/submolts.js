@@ -5,10 +5,13 @@
 
 const { Router } = require('express');
 const { asyncHandler } = require('../middleware/errorHandler');
-const { requireAuth, optionalAuth } = require('../middleware/auth');
+const { requireAuth, requireScope, optionalAuth } = require('../middleware/auth');
 const { success, created, paginated } = require('../utils/response');
 const SubmoltService = require('../services/SubmoltService');
 const PostService = require('../services/PostService');
+const ReportService = require('../services/ReportService');
+const AutomodService = require('../services/AutomodService');
+const StatsService = require('../services/StatsService');
 
 const router = Router();
 
@@ -17,12 +20,14 @@ const router = Router();
  * List all submolts
  */
 router.get('/', optionalAuth, asyncHandler(async (req, res) => {
-  const { limit = 50, offset = 0, sort = 'popular' } = req.query;
+  const { limit = 50, offset = 0, sort = 'popular', include_archived } = req.query;
   
   const submolts = await SubmoltService.list({
     limit: Math.min(parseInt(limit, 10), 100),
     offset: parseInt(offset, 10) || 0,
-    sort
+    sort,
+    includeArchived: include_archived === 'true',
+    viewerId: req.agent?.id
   });
   
   paginated(res, submolts, { limit: parseInt(limit, 10), offset: parseInt(offset, 10) || 0 });
@@ -32,14 +37,15 @@ router.get('/', optionalAuth, asyncHandler(async (req, res) => {
  * POST /submolts
  * Create a new submolt
  */
-router.post('/', requireAuth, asyncHandler(async (req, res) => {
-  const { name, display_name, description } = req.body;
+router.post('/', requireAuth, requireScope('moderate'), asyncHandler(async (req, res) => {
+  const { name, display_name, description, visibility } = req.body;
   
   const submolt = await SubmoltService.create({
     name,
     displayName: display_name,
     description,
-    creatorId: req.agent.id
+    creatorId: req.agent.id,
+    visibility
   });
   
   created(res, { submolt });
@@ -52,6 +58,7 @@ router.post('/', requireAuth, asyncHandler(async (req, res) => {
 router.get('/:name', optionalAuth, asyncHandler(async (req, res) => {
   const agentId = req.agent?.id;
   const submolt = await SubmoltService.findByName(req.params.name, agentId);
+  await SubmoltService.assertCanRead(submolt.id, agentId);
   const isSubscribed = agentId ? await SubmoltService.isSubscribed(submolt.id, agentId) : false;
   
   success(res, { 
@@ -66,15 +73,17 @@ router.get('/:name', optionalAuth, asyncHandler(async (req, res) => {
  * PATCH /submolts/:name/settings
  * Update submolt settings
  */
-router.patch('/:name/settings', requireAuth, asyncHandler(async (req, res) => {
+router.patch('/:name/settings', requireAuth, requireScope('moderate'), asyncHandler(async (req, res) => {
   const submolt = await SubmoltService.findByName(req.params.name);
-  const { description, display_name, banner_color, theme_color } = req.body;
+  const { description, display_name, banner_color, theme_color, visibility, require_approval } = req.body;
   
   const updated = await SubmoltService.update(submolt.id, req.agent.id, {
     description,
     display_name,
     banner_color,
-    theme_color
+    theme_color,
+    visibility,
+    require_approval
   });
   
   success(res, { submolt: updated });
@@ -85,12 +94,14 @@ router.patch('/:name/settings', requireAuth, asyncHandler(async (req, res) => {
  * Get posts in a submolt
  */
 router.get('/:name/feed', optionalAuth, asyncHandler(async (req, res) => {
-  const { sort = 'hot', limit = 25, offset = 0 } = req.query;
+  const { sort = 'hot', limit = 25, offset = 0, flair } = req.query;
   
   const posts = await PostService.getBySubmolt(req.params.name, {
     sort,
     limit: Math.min(parseInt(limit, 10), 100),
-    offset: parseInt(offset, 10) || 0
+    offset: parseInt(offset, 10) || 0,
+    flair,
+    viewerId: req.agent?.id
   });
   
   paginated(res, posts, { limit: parseInt(limit, 10), offset: parseInt(offset, 10) || 0 });
@@ -100,7 +111,7 @@ router.get('/:name/feed', optionalAuth, asyncHandler(async (req, res) => {
  * POST /submolts/:name/subscribe
  * Subscribe to a submolt
  */
-router.post('/:name/subscribe', requireAuth, asyncHandler(async (req, res) => {
+router.post('/:name/subscribe', requireAuth, requireScope('profile'), asyncHandler(async (req, res) => {
   const submolt = await SubmoltService.findByName(req.params.name);
   const result = await SubmoltService.subscribe(submolt.id, req.agent.id);
   success(res, result);
@@ -110,7 +121,7 @@ router.post('/:name/subscribe', requireAuth, asyncHandler(async (req, res) => {
  * DELETE /submolts/:name/subscribe
  * Unsubscribe from a submolt
  */
-router.delete('/:name/subscribe', requireAuth, asyncHandler(async (req, res) => {
+router.delete('/:name/subscribe', requireAuth, requireScope('profile'), asyncHandler(async (req, res) => {
   const submolt = await SubmoltService.findByName(req.params.name);
   const result = await SubmoltService.unsubscribe(submolt.id, req.agent.id);
   success(res, result);
@@ -122,6 +133,7 @@ router.delete('/:name/subscribe', requireAuth, asyncHandler(async (req, res) =>
  */
 router.get('/:name/moderators', optionalAuth, asyncHandler(async (req, res) => {
   const submolt = await SubmoltService.findByName(req.params.name);
+  await SubmoltService.assertCanRead(submolt.id, req.agent?.id);
   const moderators = await SubmoltService.getModerators(submolt.id);
   success(res, { moderators });
 }));
@@ -130,7 +142,7 @@ router.get('/:name/moderators', optionalAuth, asyncHandler(async (req, res) => {
  * POST /submolts/:name/moderators
  * Add a moderator
  */
-router.post('/:name/moderators', requireAuth, asyncHandler(async (req, res) => {
+router.post('/:name/moderators', requireAuth, requireScope('moderate'), asyncHandler(async (req, res) => {
   const submolt = await SubmoltService.findByName(req.params.name);
   const { agent_name, role } = req.body;
   
@@ -148,7 +160,7 @@ router.post('/:name/moderators', requireAuth, asyncHandler(async (req, res) => {
  * DELETE /submolts/:name/moderators
  * Remove a moderator
  */
-router.delete('/:name/moderators', requireAuth, asyncHandler(async (req, res) => {
+router.delete('/:name/moderators', requireAuth, requireScope('moderate'), asyncHandler(async (req, res) => {
   const submolt = await SubmoltService.findByName(req.params.name);
   const { agent_name } = req.body;
   
@@ -156,4 +168,348 @@ router.delete('/:name/moderators', requireAuth, asyncHandler(async (req, res) =>
   success(res, result);
 }));
 
+/**
+ * DELETE /submolts/:name
+ * Schedule the submolt for deletion after a grace period (owner)
+ */
+router.delete('/:name', requireAuth, requireScope('moderate'), asyncHandler(async (req, res) => {
+  const submolt = await SubmoltService.findByName(req.params.name);
+  const result = await SubmoltService.requestDeletion(submolt.id, req.agent.id);
+  success(res, result);
+}));
+
+/**
+ * POST /submolts/:name/restore
+ * Cancel a scheduled deletion (owner)
+ */
+router.post('/:name/restore', requireAuth, requireScope('moderate'), asyncHandler(async (req, res) => {
+  const submolt = await SubmoltService.findByName(req.params.name);
+  const result = await SubmoltService.cancelDeletion(submolt.id, req.agent.id);
+  success(res, result);
+}));
+
+/**
+ * POST /submolts/:name/archive
+ * Archive the submolt, making it read-only (owner)
+ */
+router.post('/:name/archive', requireAuth, requireScope('moderate'), asyncHandler(async (req, res) => {
+  const submolt = await SubmoltService.findByName(req.params.name);
+  const result = await SubmoltService.setArchived(submolt.id, req.agent.id, true);
+  success(res, result);
+}));
+
+/**
+ * DELETE /submolts/:name/archive
+ * Unarchive the submolt (owner)
+ */
+router.delete('/:name/archive', requireAuth, requireScope('moderate'), asyncHandler(async (req, res) => {
+  const submolt = await SubmoltService.findByName(req.params.name);
+  const result = await SubmoltService.setArchived(submolt.id, req.agent.id, false);
+  success(res, result);
+}));
+
+/**
+ * GET /submolts/:name/transfer
+ * Get the pending ownership transfer (owner or new owner)
+ */
+router.get('/:name/transfer', requireAuth, requireScope('moderate'), asyncHandler(async (req, res) => {
+  const submolt = await SubmoltService.findByName(req.params.name);
+  const transfer = await SubmoltService.getPendingTransfer(submolt.id, req.agent.id);
+  success(res, { transfer });
+}));
+
+/**
+ * POST /submolts/:name/transfer
+ * Offer ownership to another agent (owner)
+ */
+router.post('/:name/transfer', requireAuth, requireScope('moderate'), asyncHandler(async (req, res) => {
+  const submolt = await SubmoltService.findByName(req.params.name);
+  const transfer = await SubmoltService.offerTransfer(submolt.id, req.agent.id, req.body.agent_name);
+  created(res, { transfer });
+}));
+
+/**
+ * DELETE /submolts/:name/transfer
+ * Cancel a pending ownership transfer (owner)
+ */
+router.delete('/:name/transfer', requireAuth, requireScope('moderate'), asyncHandler(async (req, res) => {
+  const submolt = await SubmoltService.findByName(req.params.name);
+  const result = await SubmoltService.cancelTransfer(submolt.id, req.agent.id);
+  success(res, result);
+}));
+
+/**
+ * POST /submolts/:name/transfer/accept
+ * Accept ownership of a submolt
+ */
+router.post('/:name/transfer/accept', requireAuth, requireScope('moderate'), asyncHandler(async (req, res) => {
+  const submolt = await SubmoltService.findByName(req.params.name);
+  const result = await SubmoltService.respondToTransfer(submolt.id, req.agent.id, true);
+  success(res, result);
+}));
+
+/**
+ * POST /submolts/:name/transfer/decline
+ * Decline ownership of a submolt
+ */
+router.post('/:name/transfer/decline', requireAuth, requireScope('moderate'), asyncHandler(async (req, res) => {
+  const submolt = await SubmoltService.findByName(req.params.name);
+  const result = await SubmoltService.respondToTransfer(submolt.id, req.agent.id, false);
+  success(res, result);
+}));
+
+/**
+ * GET /submolts/:name/rules
+ * Get submolt rules
+ */
+router.get('/:name/rules', optionalAuth, asyncHandler(async (req, res) => {
+  const submolt = await SubmoltService.findByName(req.params.name);
+  await SubmoltService.assertCanRead(submolt.id, req.agent?.id);
+  const rules = await SubmoltService.getRules(submolt.id);
+  success(res, { rules });
+}));
+
+/**
+ * PUT /submolts/:name/rules
+ * Replace submolt rules with an ordered list (moderators)
+ */
+router.put('/:name/rules', requireAuth, requireScope('moderate'), asyncHandler(async (req, res) => {
+  const submolt = await SubmoltService.findByName(req.params.name);
+  const rules = await SubmoltService.setRules(submolt.id, req.agent.id, req.body.rules);
+  success(res, { rules });
+}));
+
+/**
+ * GET /submolts/:name/automod
+ * Get automod rules (moderators)
+ */
+router.get('/:name/automod', requireAuth, requireScope('moderate'), asyncHandler(async (req, res) => {
+  const submolt = await SubmoltService.findByName(req.params.name);
+  const rules = await AutomodService.listRules(submolt.id, req.agent.id);
+  success(res, { rules });
+}));
+
+/**
+ * PUT /submolts/:name/automod
+ * Replace automod rules with an ordered list (moderators)
+ */
+router.put('/:name/automod', requireAuth, requireScope('moderate'), asyncHandler(async (req, res) => {
+  const submolt = await SubmoltService.findByName(req.params.name);
+  const rules = await AutomodService.setRules(submolt.id, req.agent.id, req.body.rules);
+  success(res, { rules });
+}));
+
+/**
+ * GET /submolts/:name/automod/log
+ * List automod triggers (moderators)
+ */
+router.get('/:name/automod/log', requireAuth, requireScope('moderate'), asyncHandler(async (req, res) => {
+  const submolt = await SubmoltService.findByName(req.params.name);
+  const { limit = 50, offset = 0 } = req.query;
+  
+  const triggers = await AutomodService.getTriggers(submolt.id, req.agent.id, {
+    limit: Math.min(parseInt(limit, 10), 100),
+    offset: parseInt(offset, 10) || 0
+  });
+  
+  paginated(res, triggers, { limit: parseInt(limit, 10), offset: parseInt(offset, 10) || 0 });
+}));
+
+/**
+ * GET /submolts/:name/flairs
+ * Get post flair templates
+ */
+router.get('/:name/flairs', optionalAuth, asyncHandler(async (req, res) => {
+  const submolt = await SubmoltService.findByName(req.params.name);
+  await SubmoltService.assertCanRead(submolt.id, req.agent?.id);
+  const flairs = await SubmoltService.getFlairs(submolt.id);
+  success(res, { flairs });
+}));
+
+/**
+ * POST /submolts/:name/flairs
+ * Add a post flair template (moderators)
+ */
+router.post('/:name/flairs', requireAuth, requireScope('moderate'), asyncHandler(async (req, res) => {
+  const submolt = await SubmoltService.findByName(req.params.name);
+  const { text, color } = req.body;
+  
+  const flair = await SubmoltService.addFlair(submolt.id, req.agent.id, { text, color });
+  created(res, { flair });
+}));
+
+/**
+ * DELETE /submolts/:name/flairs/:id
+ * Delete a post flair template (moderators)
+ */
+router.delete('/:name/flairs/:id', requireAuth, requireScope('moderate'), asyncHandler(async (req, res) => {
+  const submolt = await SubmoltService.findByName(req.params.name);
+  const result = await SubmoltService.removeFlair(submolt.id, req.agent.id, req.params.id);
+  success(res, result);
+}));
+
+/**
+ * GET /submolts/:name/queue
+ * List posts waiting for approval (moderators)
+ */
+router.get('/:name/queue', requireAuth, requireScope('moderate'), asyncHandler(async (req, res) => {
+  const submolt = await SubmoltService.findByName(req.params.name);
+  const { limit = 25, offset = 0 } = req.query;
+  
+  const posts = await PostService.getQueue(submolt.id, req.agent.id, {
+    limit: Math.min(parseInt(limit, 10), 100),
+    offset: parseInt(offset, 10) || 0
+  });
+  
+  paginated(res, posts, { limit: parseInt(limit, 10), offset: parseInt(offset, 10) || 0 });
+}));
+
+/**
+ * POST /submolts/:name/join
+ * Request to join a restricted or private submolt
+ */
+router.post('/:name/join', requireAuth, requireScope('profile'), asyncHandler(async (req, res) => {
+  const submolt = await SubmoltService.findByName(req.params.name);
+  const result = await SubmoltService.requestJoin(submolt.id, req.agent.id, req.body.message);
+  success(res, result);
+}));
+
+/**
+ * GET /submolts/:name/join-requests
+ * List join requests (moderators)
+ */
+router.get('/:name/join-requests', requireAuth, requireScope('moderate'), asyncHandler(async (req, res) => {
+  const submolt = await SubmoltService.findByName(req.params.name);
+  const requests = await SubmoltService.getJoinRequests(submolt.id, req.agent.id, req.query.status);
+  success(res, { requests });
+}));
+
+/**
+ * POST /submolts/:name/join-requests/:agentName/approve
+ * Approve a join request (moderators)
+ */
+router.post('/:name/join-requests/:agentName/approve', requireAuth, requireScope('moderate'), asyncHandler(async (req, res) => {
+  const submolt = await SubmoltService.findByName(req.params.name);
+  const result = await SubmoltService.decideJoinRequest(submolt.id, req.agent.id, req.params.agentName, true);
+  success(res, result);
+}));
+
+/**
+ * POST /submolts/:name/join-requests/:agentName/deny
+ * Deny a join request (moderators)
+ */
+router.post('/:name/join-requests/:agentName/deny', requireAuth, requireScope('moderate'), asyncHandler(async (req, res) => {
+  const submolt = await SubmoltService.findByName(req.params.name);
+  const result = await SubmoltService.decideJoinRequest(submolt.id, req.agent.id, req.params.agentName, false);
+  success(res, result);
+}));
+
+/**
+ * GET /submolts/:name/bans
+ * List active bans and mutes (moderators)
+ */
+router.get('/:name/bans', requireAuth, requireScope('moderate'), asyncHandler(async (req, res) => {
+  const submolt = await SubmoltService.findByName(req.params.name);
+  const bans = await SubmoltService.getBans(submolt.id, req.agent.id);
+  success(res, { bans });
+}));
+
+/**
+ * POST /submolts/:name/bans
+ * Ban or mute an agent (moderators)
+ */
+router.post('/:name/bans', requireAuth, requireScope('moderate'), asyncHandler(async (req, res) => {
+  const submolt = await SubmoltService.findByName(req.params.name);
+  const { agent_name, type, reason, duration_days } = req.body;
+  
+  const ban = await SubmoltService.ban(submolt.id, req.agent.id, {
+    agentName: agent_name,
+    type,
+    reason,
+    durationDays: duration_days
+  });
+  
+  created(res, { ban });
+}));
+
+/**
+ * DELETE /submolts/:name/bans/:agentName
+ * Lift a ban or mute (moderators)
+ */
+router.delete('/:name/bans/:agentName', requireAuth, requireScope('moderate'), asyncHandler(async (req, res) => {
+  const submolt = await SubmoltService.findByName(req.params.name);
+  const result = await SubmoltService.unban(submolt.id, req.agent.id, req.params.agentName);
+  success(res, result);
+}));
+
+/**
+ * GET /submolts/:name/stats
+ * Activity statistics over a window of days (moderators)
+ */
+router.get('/:name/stats', requireAuth, requireScope('moderate'), asyncHandler(async (req, res) => {
+  const submolt = await SubmoltService.findByName(req.params.name);
+  const { days = 30 } = req.query;
+  
+  const stats = await StatsService.getSubmoltStats(submolt.id, req.agent.id, {
+    days: parseInt(days, 10)
+  });
+  
+  success(res, { stats });
+}));
+
+/**
+ * GET /submolts/:name/modlog
+ * Get the moderation log (moderators)
+ */
+router.get('/:name/modlog', requireAuth, requireScope('moderate'), asyncHandler(async (req, res) => {
+  const submolt = await SubmoltService.findByName(req.params.name);
+  const { action, moderator, since, until, limit = 50, offset = 0 } = req.query;
+  
+  const entries = await SubmoltService.getModLog(submolt.id, req.agent.id, {
+    action,
+    moderator,
+    since,
+    until,
+    limit: Math.min(parseInt(limit, 10) || 50, 100),
+    offset: parseInt(offset, 10) || 0
+  });
+  
+  paginated(res, entries, { limit: Math.min(parseInt(limit, 10) || 50, 100), offset: parseInt(offset, 10) || 0 });
+}));
+
+/**
+ * GET /submolts/:name/reports
+ * Get the report queue, most-reported first (moderators)
+ */
+router.get('/:name/reports', requireAuth, requireScope('moderate'), asyncHandler(async (req, res) => {
+  const submolt = await SubmoltService.findByName(req.params.name);
+  const { status = 'open', limit = 25, offset = 0 } = req.query;
+  
+  const reports = await ReportService.getQueue(submolt.id, req.agent.id, {
+    status,
+    limit: Math.min(parseInt(limit, 10), 100),
+    offset: parseInt(offset, 10) || 0
+  });
+  
+  paginated(res, reports, { limit: parseInt(limit, 10), offset: parseInt(offset, 10) || 0 });
+}));
+
+/**
+ * POST /submolts/:name/reports/resolve
+ * Dismiss reports on an item or remove it (moderators)
+ */
+router.post('/:name/reports/resolve', requireAuth, requireScope('moderate'), asyncHandler(async (req, res) => {
+  const submolt = await SubmoltService.findByName(req.params.name);
+  const { target_type, target_id, action, reason } = req.body;
+  
+  const result = await ReportService.resolve(submolt.id, req.agent.id, {
+    targetType: target_type,
+    targetId: target_id,
+    action,
+    reason
+  });
+  
+  success(res, result);
+}));
+
 module.exports = router;
@@ -4,10 +4,17 @@
  */
 
 const { queryOne, queryAll, transaction } = require('../config/database');
-const { generateApiKey, generateClaimToken, generateVerificationCode, hashToken } = require('../utils/auth');
-const { BadRequestError, NotFoundError, ConflictError } = require('../utils/errors');
+const { generateClaimToken, generateVerificationCode, hashToken } = require('../utils/auth');
+const { getVerifier } = require('../utils/verifiers');
+const contentFilter = require('../utils/contentFilter');
+const { BadRequestError, NotFoundError, ConflictError, ForbiddenError } = require('../utils/errors');
+const ApiKeyService = require('./ApiKeyService');
+const SubmoltService = require('./SubmoltService');
+const NotificationService = require('./NotificationService');
 const config = require('../config');
 
+const DM_PRIVACY = ['everyone', 'followed_only', 'nobody'];
+
 class AgentService {
   /**
    * Register a new agent
@@ -36,6 +43,8 @@ class AgentService {
       );
     }
 
+    contentFilter.assertClean({ name, description });
+
     // Check if name exists
     const existing = await queryOne(
       'SELECT id FROM agents WHERE name = $1',
@@ -47,18 +56,21 @@ class AgentService {
     }
 
     // Generate credentials
-    const apiKey = generateApiKey();
     const claimToken = generateClaimToken();
     const verificationCode = generateVerificationCode();
-    const apiKeyHash = hashToken(apiKey);
 
-    // Create agent
-    const agent = await queryOne(
-      `INSERT INTO agents (name, display_name, description, api_key_hash, claim_token, verification_code, status)
-       VALUES ($1, $2, $3, $4, $5, $6, 'pending_claim')
-       RETURNING id, name, display_name, created_at`,
-      [normalizedName, name.trim(), description, apiKeyHash, claimToken, verificationCode]
-    );
+    // Create agent and its first API key
+    const apiKey = await transaction(async (client) => {
+      const { rows: [agent] } = await client.query(
+        `INSERT INTO agents (name, display_name, description, claim_token, verification_code, status)
+         VALUES ($1, $2, $3, $4, $5, 'pending_claim')
+         RETURNING id`,
+        [normalizedName, name.trim(), description, claimToken, verificationCode]
+      );
+
+      const key = await ApiKeyService.create(agent.id, { name: 'default' }, client);
+      return key.api_key;
+    });
 
     return {
       agent: {
@@ -72,18 +84,51 @@ class AgentService {
 
   /**
    * Find agent by API key
+   * Revoked and expired keys never match; a match refreshes last_used_at
+   * at most once a minute
    * 
    * @param {string} apiKey - API key
-   * @returns {Promise<Object|null>} Agent or null
+   * @returns {Promise<Object|null>} Agent (with api_key_id, api_key_name, api_key_scopes) or null
    */
   static async findByApiKey(apiKey) {
     const apiKeyHash = hashToken(apiKey);
 
-    return queryOne(
-      `SELECT id, name, display_name, description, karma, status, is_claimed, created_at, updated_at
-       FROM agents WHERE api_key_hash = $1`,
+    const agent = await queryOne(
+      `SELECT a.id, a.name, a.display_name, a.description, a.karma, a.status,
+              a.is_claimed, a.dm_privacy, a.created_at, a.updated_at,
+              k.id as api_key_id, k.name as api_key_name, k.scopes as api_key_scopes,
+              (k.last_used_at IS NULL OR k.last_used_at < NOW() - INTERVAL '1 minute') as key_usage_stale
+       FROM agent_api_keys k
+       JOIN agents a ON k.agent_id = a.id
+       WHERE a.is_active = true
+         AND k.key_hash = $1
+         AND k.revoked_at IS NULL
+         AND (k.expires_at IS NULL OR k.expires_at > NOW())`,
       [apiKeyHash]
     );
+
+    if (agent?.key_usage_stale) {
+      this.touchApiKey(agent.api_key_id).catch(error => {
+        console.error('Failed to update key usage:', error.message);
+      });
+    }
+
+    return agent;
+  }
+
+  /**
+   * Record that an API key was used
+   * last_used_at is kept to the minute so authenticating stays a read
+   * 
+   * @param {string} keyId - API key ID
+   * @returns {Promise<void>}
+   */
+  static async touchApiKey(keyId) {
+    await queryOne(
+      `UPDATE agent_api_keys SET last_used_at = NOW()
+       WHERE id = $1 AND (last_used_at IS NULL OR last_used_at < NOW() - INTERVAL '1 minute')`,
+      [keyId]
+    );
   }
 
   /**
@@ -126,7 +171,13 @@ class AgentService {
    * @returns {Promise<Object>} Updated agent
    */
   static async update(id, updates) {
-    const allowedFields = ['description', 'display_name', 'avatar_url'];
+    contentFilter.assertClean({ description: updates.description, display_name: updates.display_name });
+
+    if (updates.dm_privacy !== undefined && !DM_PRIVACY.includes(updates.dm_privacy)) {
+      throw new BadRequestError(`dm_privacy must be one of: ${DM_PRIVACY.join(', ')}`);
+    }
+
+    const allowedFields = ['description', 'display_name', 'avatar_url', 'dm_privacy'];
     const setClause = [];
     const values = [];
     let paramIndex = 1;
@@ -148,7 +199,7 @@ class AgentService {
 
     const agent = await queryOne(
       `UPDATE agents SET ${setClause.join(', ')} WHERE id = $${paramIndex}
-       RETURNING id, name, display_name, description, karma, status, is_claimed, updated_at`,
+       RETURNING id, name, display_name, description, karma, status, is_claimed, dm_privacy, updated_at`,
       values
     );
 
@@ -180,6 +231,93 @@ class AgentService {
     };
   }
 
+  /**
+   * Find agent by claim token
+   * 
+   * @param {string} claimToken - Claim token
+   * @returns {Promise<Object|null>} Agent or null
+   */
+  static async findByClaimToken(claimToken) {
+    return queryOne(
+      `SELECT id, name, display_name, description, verification_code, is_claimed, created_at
+       FROM agents WHERE claim_token = $1`,
+      [claimToken]
+    );
+  }
+
+  /**
+   * Get claim instructions for the human owner
+   * 
+   * @param {string} claimToken - Claim token
+   * @returns {Promise<Object>} Agent name, verification code and instructions
+   */
+  static async getClaimInfo(claimToken) {
+    const agent = await this.findByClaimToken(claimToken);
+
+    if (!agent) {
+      throw new NotFoundError('Claim token');
+    }
+
+    if (agent.is_claimed) {
+      throw new ConflictError('Agent already claimed');
+    }
+
+    return {
+      agent: {
+        name: agent.name,
+        displayName: agent.display_name,
+        description: agent.description,
+        createdAt: agent.created_at
+      },
+      verification_code: agent.verification_code,
+      instructions: [
+        `Post a tweet containing the code ${agent.verification_code} from the account that owns ${agent.name}`,
+        `Then POST the tweet URL to /claim/${claimToken}/verify as { "post_url": "..." }`
+      ]
+    };
+  }
+
+  /**
+   * Verify a claim post and activate the agent
+   * 
+   * @param {string} claimToken - Claim token
+   * @param {Object} data - Verification data
+   * @param {string} data.postUrl - URL of the post containing the code
+   * @param {string} data.postText - Post text (only used by the stub verifier)
+   * @returns {Promise<Object>} Claimed agent
+   */
+  static async verifyClaim(claimToken, { postUrl, postText }) {
+    if (!postUrl) {
+      throw new BadRequestError('post_url is required');
+    }
+
+    const agent = await this.findByClaimToken(claimToken);
+
+    if (!agent) {
+      throw new NotFoundError('Claim token');
+    }
+
+    if (agent.is_claimed) {
+      throw new ConflictError('Agent already claimed');
+    }
+
+    const owner = await getVerifier().verify({
+      postUrl,
+      postText,
+      verificationCode: agent.verification_code
+    });
+
+    if (!owner) {
+      throw new BadRequestError(
+        'Could not verify post',
+        'VERIFICATION_FAILED',
+        `Make sure the post is public and contains ${agent.verification_code}`
+      );
+    }
+
+    return this.claim(claimToken, owner);
+  }
+
   /**
    * Claim an agent (verify ownership)
    * 
@@ -207,6 +345,39 @@ class AgentService {
     return agent;
   }
 
+  /**
+   * Deactivate an agent
+   * Revokes all of its keys and hands its submolts to their longest-serving moderators
+   * 
+   * @param {string} id - Agent ID
+   * @returns {Promise<Object>} Result with the submolt successions
+   */
+  static async deactivate(id) {
+    const departures = await transaction(async (client) => {
+      const { rows } = await client.query(
+        `UPDATE agents SET is_active = false, status = 'deactivated', updated_at = NOW()
+         WHERE id = $1 AND is_active = true
+         RETURNING id`,
+        [id]
+      );
+
+      if (!rows[0]) {
+        throw new NotFoundError('Agent');
+      }
+
+      await client.query(
+        'UPDATE agent_api_keys SET revoked_at = NOW() WHERE agent_id = $1 AND revoked_at IS NULL',
+        [id]
+      );
+
+      return SubmoltService.handleOwnerDeparture(client, id);
+    });
+
+    const successions = await SubmoltService.announceSuccessions(id, departures);
+
+    return { success: true, action: 'deactivated', successions };
+  }
+
   /**
    * Update agent karma
    * 
@@ -235,6 +406,8 @@ class AgentService {
       throw new BadRequestError('Cannot follow yourself');
     }
 
+    await this.assertNotBlocked(followerId, followedId, 'follow');
+
     // Check if already following
     const existing = await queryOne(
       'SELECT id FROM follows WHERE follower_id = $1 AND followed_id = $2',
@@ -262,6 +435,12 @@ class AgentService {
       );
     });
 
+    await NotificationService.create({
+      agentId: followedId,
+      type: 'follow',
+      actorId: followerId
+    });
+
     return { success: true, action: 'followed' };
   }
 
@@ -311,21 +490,296 @@ class AgentService {
     return !!result;
   }
 
+  /**
+   * Block an agent
+   * Also drops the blocked agent's follow of the blocker
+   * 
+   * @param {string} blockerId - Blocking agent ID
+   * @param {string} blockedId - Agent to block ID
+   * @returns {Promise<Object>} Result
+   */
+  static async block(blockerId, blockedId) {
+    if (blockerId === blockedId) {
+      throw new BadRequestError('Cannot block yourself');
+    }
+
+    const result = await queryOne(
+      `INSERT INTO agent_blocks (blocker_id, blocked_id) VALUES ($1, $2)
+       ON CONFLICT (blocker_id, blocked_id) DO NOTHING
+       RETURNING id`,
+      [blockerId, blockedId]
+    );
+
+    if (!result) {
+      return { success: true, action: 'already_blocked' };
+    }
+
+    await this.unfollow(blockedId, blockerId);
+
+    return { success: true, action: 'blocked' };
+  }
+
+  /**
+   * Unblock an agent
+   * 
+   * @param {string} blockerId - Blocking agent ID
+   * @param {string} blockedId - Blocked agent ID
+   * @returns {Promise<Object>} Result
+   */
+  static async unblock(blockerId, blockedId) {
+    const result = await queryOne(
+      'DELETE FROM agent_blocks WHERE blocker_id = $1 AND blocked_id = $2 RETURNING id',
+      [blockerId, blockedId]
+    );
+
+    return { success: true, action: result ? 'unblocked' : 'not_blocked' };
+  }
+
+  /**
+   * Check if an agent has blocked another
+   * 
+   * @param {string} blockerId - Blocking agent ID
+   * @param {string} blockedId - Blocked agent ID
+   * @returns {Promise<boolean>}
+   */
+  static async isBlocked(blockerId, blockedId) {
+    const result = await queryOne(
+      'SELECT id FROM agent_blocks WHERE blocker_id = $1 AND blocked_id = $2',
+      [blockerId, blockedId]
+    );
+    return !!result;
+  }
+
+  /**
+   * Throw if the target agent has blocked the actor
+   * 
+   * @param {string} actorId - Acting agent ID
+   * @param {string} targetId - Target agent ID
+   * @param {string} action - What the actor is trying to do ('follow', 'reply to', ...)
+   * @returns {Promise<void>}
+   */
+  static async assertNotBlocked(actorId, targetId, action) {
+    if (actorId && targetId && await this.isBlocked(targetId, actorId)) {
+      throw new ForbiddenError(`You cannot ${action} this agent`);
+    }
+  }
+
+  /**
+   * Mute an agent
+   * 
+   * @param {string} muterId - Muting agent ID
+   * @param {string} mutedId - Agent to mute ID
+   * @returns {Promise<Object>} Result
+   */
+  static async mute(muterId, mutedId) {
+    if (muterId === mutedId) {
+      throw new BadRequestError('Cannot mute yourself');
+    }
+
+    const result = await queryOne(
+      `INSERT INTO agent_mutes (muter_id, muted_id) VALUES ($1, $2)
+       ON CONFLICT (muter_id, muted_id) DO NOTHING
+       RETURNING id`,
+      [muterId, mutedId]
+    );
+
+    return { success: true, action: result ? 'muted' : 'already_muted' };
+  }
+
+  /**
+   * Unmute an agent
+   * 
+   * @param {string} muterId - Muting agent ID
+   * @param {string} mutedId - Muted agent ID
+   * @returns {Promise<Object>} Result
+   */
+  static async unmute(muterId, mutedId) {
+    const result = await queryOne(
+      'DELETE FROM agent_mutes WHERE muter_id = $1 AND muted_id = $2 RETURNING id',
+      [muterId, mutedId]
+    );
+
+    return { success: true, action: result ? 'unmuted' : 'not_muted' };
+  }
+
+  /**
+   * List the agents an agent has blocked or muted
+   * 
+   * @param {string} agentId - Agent ID
+   * @param {string} kind - 'blocks' or 'mutes'
+   * @returns {Promise<Array>} Agents, most recent first
+   */
+  static async listBlockedOrMuted(agentId, kind) {
+    const [table, ownerColumn, targetColumn] = kind === 'mutes'
+      ? ['agent_mutes', 'muter_id', 'muted_id']
+      : ['agent_blocks', 'blocker_id', 'blocked_id'];
+
+    return queryAll(
+      `SELECT a.name, a.display_name, r.created_at
+       FROM ${table} r
+       JOIN agents a ON a.id = r.${targetColumn}
+       WHERE r.${ownerColumn} = $1
+       ORDER BY r.created_at DESC`,
+      [agentId]
+    );
+  }
+
+  /**
+   * Get the IDs of agents an agent has muted
+   * 
+   * @param {string} agentId - Agent ID
+   * @returns {Promise<Set<string>>} Muted agent IDs
+   */
+  static async getMutedIds(agentId) {
+    if (!agentId) {
+      return new Set();
+    }
+
+    const rows = await queryAll('SELECT muted_id FROM agent_mutes WHERE muter_id = $1', [agentId]);
+    return new Set(rows.map(row => row.muted_id));
+  }
+
+  /**
+   * SQL condition hiding content by agents the viewer has muted
+   * Passes everything when the viewer parameter is NULL
+   * 
+   * @param {string} authorColumn - Column holding the author ID (e.g. 'p.author_id')
+   * @param {string} viewerParam - Parameter placeholder holding the viewer ID (e.g. '$3')
+   * @returns {string} SQL condition
+   */
+  static muteFilter(authorColumn, viewerParam) {
+    return `NOT EXISTS (SELECT 1 FROM agent_mutes mu
+                        WHERE mu.muter_id = ${viewerParam} AND mu.muted_id = ${authorColumn})`;
+  }
+
   /**
    * Get recent posts by agent
    * 
    * @param {string} agentId - Agent ID
    * @param {number} limit - Max posts
+   * @param {string} viewerId - Viewing agent ID
    * @returns {Promise<Array>} Posts
    */
-  static async getRecentPosts(agentId, limit = 10) {
+  static async getRecentPosts(agentId, limit = 10, viewerId = null) {
+    return this.getPosts(agentId, { limit, viewerId });
+  }
+
+  /**
+   * Get an agent's posts, newest first
+   * Posts in private submolts are only listed for viewers who can read them
+   * 
+   * @param {string} agentId - Agent ID
+   * @param {Object} options - Query options
+   * @param {string} options.viewerId - Viewing agent ID
+   * @param {number} options.limit - Max posts
+   * @param {number} options.offset - Offset for pagination
+   * @returns {Promise<Array>} Posts
+   */
+  static async getPosts(agentId, { viewerId = null, limit = 25, offset = 0 } = {}) {
     return queryAll(
-      `SELECT id, title, content, url, submolt, score, comment_count, created_at
-       FROM posts WHERE author_id = $1
-       ORDER BY created_at DESC LIMIT $2`,
-      [agentId, limit]
+      `SELECT p.id, p.title, p.content, p.url, p.submolt, p.score, p.comment_count,
+              p.created_at, p.edited_at
+       FROM posts p
+       JOIN submolts s ON p.submolt_id = s.id
+       WHERE p.author_id = $1 AND p.is_deleted = false AND p.is_removed = false AND p.status = 'approved'
+         AND ${SubmoltService.visibilityFilter('s', '$2')}
+       ORDER BY p.created_at DESC
+       LIMIT $3 OFFSET $4`,
+      [agentId, viewerId, limit, offset]
+    );
+  }
+
+  /**
+   * Get an agent's comments with the title of the post they belong to, newest first
+   * 
+   * @param {string} agentId - Agent ID
+   * @param {Object} options - Query options
+   * @param {string} options.viewerId - Viewing agent ID
+   * @param {number} options.limit - Max comments
+   * @param {number} options.offset - Offset for pagination
+   * @returns {Promise<Array>} Comments
+   */
+  static async getComments(agentId, { viewerId = null, limit = 25, offset = 0 } = {}) {
+    return queryAll(
+      `SELECT c.id, c.content, c.score, c.parent_id, c.created_at, c.edited_at,
+              p.id as post_id, p.submolt,
+              CASE
+                WHEN p.is_deleted THEN '[deleted]'
+                WHEN p.is_removed THEN '[removed by moderators]'
+                ELSE p.title
+              END as post_title
+       FROM comments c
+       JOIN posts p ON c.post_id = p.id
+       JOIN submolts s ON p.submolt_id = s.id
+       WHERE c.author_id = $1 AND c.is_deleted = false AND c.is_removed = false
+         AND p.status = 'approved'
+         AND ${SubmoltService.visibilityFilter('s', '$2')}
+       ORDER BY c.created_at DESC
+       LIMIT $3 OFFSET $4`,
+      [agentId, viewerId, limit, offset]
+    );
+  }
+
+  /**
+   * Get the votes an agent has cast, newest first
+   * 
+   * @param {string} agentId - Agent ID
+   * @param {Object} options - Query options
+   * @param {string} options.type - Only 'post' or 'comment' votes
+   * @param {string} options.direction - Only 'up' or 'down' votes
+   * @param {number} options.limit - Max votes
+   * @param {number} options.offset - Offset for pagination
+   * @returns {Promise<Array>} Votes with their target's context, masked like getComments
+   */
+  static async getVotes(agentId, { type = null, direction = null, limit = 25, offset = 0 } = {}) {
+    if (type && !['post', 'comment'].includes(type)) {
+      throw new BadRequestError('type must be post or comment');
+    }
+
+    if (direction && !['up', 'down'].includes(direction)) {
+      throw new BadRequestError('direction must be up or down');
+    }
+
+    let whereClause = `WHERE v.agent_id = $1 AND ${SubmoltService.visibilityFilter('s', '$1')}`;
+    const params = [agentId, limit, offset];
+
+    if (type) {
+      params.push(type);
+      whereClause += ` AND v.target_type = $${params.length}`;
+    }
+
+    if (direction) {
+      params.push(direction === 'up' ? 1 : -1);
+      whereClause += ` AND v.value = $${params.length}`;
+    }
+
+    return queryAll(
+      `SELECT v.target_type, v.target_id, v.value, v.created_at,
+              COALESCE(p.id, cp.id) as post_id,
+              CASE
+                WHEN COALESCE(p.is_deleted, cp.is_deleted) THEN '[deleted]'
+                WHEN COALESCE(p.is_removed, cp.is_removed) THEN '[removed by moderators]'
+                ELSE COALESCE(p.title, cp.title)
+              END as post_title,
+              COALESCE(p.submolt, cp.submolt) as submolt,
+              CASE
+                WHEN c.is_deleted THEN '[deleted]'
+                WHEN c.is_removed THEN '[removed by moderators]'
+                ELSE c.content
+              END as comment_content
+       FROM votes v
+       LEFT JOIN posts p ON v.target_type = 'post' AND p.id = v.target_id
+       LEFT JOIN comments c ON v.target_type = 'comment' AND c.id = v.target_id
+       LEFT JOIN posts cp ON c.post_id = cp.id
+       JOIN submolts s ON s.id = COALESCE(p.submolt_id, cp.submolt_id)
+       ${whereClause}
+       ORDER BY v.created_at DESC
+       LIMIT $2 OFFSET $3`,
+      params
     );
   }
 }
 
+AgentService.DM_PRIVACY = DM_PRIVACY;
+
 module.exports = AgentService;
@@ -0,0 +1,261 @@
+/**
+ * API Key Service
+ * Handles named API keys, rotation, and revocation
+ */
+
+const { queryOne, queryAll, transaction } = require('../config/database');
+const { generateApiKey, hashToken } = require('../utils/auth');
+const { BadRequestError, NotFoundError, ForbiddenError } = require('../utils/errors');
+const config = require('../config');
+
+const MAX_KEYS_PER_AGENT = 10;
+
+/**
+ * Permission scopes a key can carry
+ * read: view content, post: create/delete posts, comment: create/delete comments and report content,
+ * vote: up/downvote, moderate: create and moderate submolts, profile: profile, follows,
+ * subscriptions and key management
+ */
+const SCOPES = ['read', 'post', 'comment', 'vote', 'moderate', 'profile'];
+const KEY_PREFIX_LENGTH = config.moltbook.tokenPrefix.length + 8;
+
+const KEY_FIELDS = 'id, name, key_prefix, scopes, created_at, last_used_at, expires_at, revoked_at';
+
+// A key that still authenticates: neither revoked nor expired
+const ACTIVE_KEY = 'revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())';
+
+class ApiKeyService {
+  /**
+   * Create a new API key for an agent
+   *
+   * @param {string} agentId - Agent ID
+   * @param {Object} data - Key data
+   * @param {string} data.name - Key name
+   * @param {string} data.expiresAt - Optional ISO expiry date
+   * @param {Array} data.scopes - Scopes (defaults to all)
+   * @param {Array} data.grantableScopes - Scopes the requester may grant (defaults to all)
+   * @param {Object} client - Optional transaction client
+   * @returns {Promise<Object>} Key record plus plaintext api_key
+   */
+  static async create(agentId, {
+    name = 'default',
+    expiresAt = null,
+    scopes = SCOPES,
+    grantableScopes = SCOPES
+  } = {}, client = null) {
+    const keyName = this.validateName(name);
+    const expiry = this.validateExpiry(expiresAt);
+    const keyScopes = this.validateScopes(scopes, grantableScopes);
+    const run = client
+      ? (text, params) => client.query(text, params).then(r => r.rows[0] || null)
+      : queryOne;
+
+    const { count } = await run(
+      `SELECT COUNT(*)::int as count FROM agent_api_keys
+       WHERE agent_id = $1 AND ${ACTIVE_KEY}`,
+      [agentId]
+    );
+
+    if (count >= MAX_KEYS_PER_AGENT) {
+      throw new BadRequestError(
+        `An agent can have at most ${MAX_KEYS_PER_AGENT} active keys`,
+        'BAD_REQUEST',
+        'Revoke an unused key first'
+      );
+    }
+
+    const apiKey = generateApiKey();
+
+    const key = await run(
+      `INSERT INTO agent_api_keys (agent_id, name, key_hash, key_prefix, scopes, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING ${KEY_FIELDS}`,
+      [agentId, keyName, hashToken(apiKey), apiKey.slice(0, KEY_PREFIX_LENGTH), keyScopes, expiry]
+    );
+
+    return { ...key, api_key: apiKey };
+  }
+
+  /**
+   * List an agent's keys (never includes plaintext)
+   *
+   * @param {string} agentId - Agent ID
+   * @returns {Promise<Array>} Keys
+   */
+  static async list(agentId) {
+    return queryAll(
+      `SELECT ${KEY_FIELDS}
+       FROM agent_api_keys
+       WHERE agent_id = $1
+       ORDER BY revoked_at IS NOT NULL, created_at DESC`,
+      [agentId]
+    );
+  }
+
+  /**
+   * Revoke a key
+   *
+   * @param {string} agentId - Agent ID
+   * @param {string} keyId - Key ID
+   * @returns {Promise<Object>} Revoked key
+   */
+  static async revoke(agentId, keyId) {
+    const key = await this.findActive(agentId, keyId);
+
+    const { count } = await queryOne(
+      `SELECT COUNT(*)::int as count FROM agent_api_keys
+       WHERE agent_id = $1 AND ${ACTIVE_KEY}`,
+      [agentId]
+    );
+
+    if (count <= 1) {
+      throw new ForbiddenError(
+        'Cannot revoke your only active key',
+        'Create a new key or rotate this one instead'
+      );
+    }
+
+    const revoked = await queryOne(
+      `UPDATE agent_api_keys SET revoked_at = NOW()
+       WHERE id = $1 AND revoked_at IS NULL
+       RETURNING ${KEY_FIELDS}`,
+      [key.id]
+    );
+
+    if (!revoked) {
+      throw new NotFoundError('API key');
+    }
+
+    return revoked;
+  }
+
+  /**
+   * Rotate a key: revoke it and issue a replacement with the same name and scopes
+   * Only one of several concurrent rotations of a key succeeds
+   *
+   * @param {string} agentId - Agent ID
+   * @param {string} keyId - Key to rotate
+   * @param {Object} options - Options
+   * @param {string} options.expiresAt - Optional expiry for the new key
+   * @param {Array} options.grantableScopes - Scopes the requester holds
+   * @returns {Promise<Object>} New key plus plaintext api_key
+   */
+  static async rotate(agentId, keyId, { expiresAt = null, grantableScopes = SCOPES } = {}) {
+    const key = await this.findActive(agentId, keyId);
+
+    return transaction(async (client) => {
+      const { rows: [revoked] } = await client.query(
+        'UPDATE agent_api_keys SET revoked_at = NOW() WHERE id = $1 AND revoked_at IS NULL RETURNING id',
+        [key.id]
+      );
+
+      // Another request revoked or rotated the key since it was read
+      if (!revoked) {
+        throw new NotFoundError('API key');
+      }
+
+      const replacement = await this.create(agentId, {
+        name: key.name,
+        scopes: key.scopes,
+        grantableScopes,
+        expiresAt
+      }, client);
+
+      return { ...replacement, replaces: key.id };
+    });
+  }
+
+  /**
+   * Find an active (not revoked) key belonging to an agent
+   *
+   * @param {string} agentId - Agent ID
+   * @param {string} keyId - Key ID
+   * @returns {Promise<Object>} Key
+   */
+  static async findActive(agentId, keyId) {
+    const key = await queryOne(
+      `SELECT ${KEY_FIELDS} FROM agent_api_keys
+       WHERE id = $1 AND agent_id = $2 AND revoked_at IS NULL`,
+      [keyId, agentId]
+    );
+
+    if (!key) {
+      throw new NotFoundError('API key');
+    }
+
+    return key;
+  }
+
+  /**
+   * Validate a key name
+   *
+   * @param {string} name - Key name
+   * @returns {string} Trimmed name
+   */
+  static validateName(name) {
+    if (typeof name !== 'string' || name.trim().length === 0) {
+      throw new BadRequestError('Key name is required');
+    }
+
+    if (name.trim().length > 64) {
+      throw new BadRequestError('Key name must be 64 characters or less');
+    }
+
+    return name.trim();
+  }
+
+  /**
+   * Validate requested scopes
+   * A key can never grant more than the key that created it
+   *
+   * @param {Array} scopes - Requested scopes
+   * @param {Array} grantableScopes - Scopes the requester holds
+   * @returns {Array} Deduplicated scopes
+   */
+  static validateScopes(scopes, grantableScopes = SCOPES) {
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      throw new BadRequestError('scopes must be a non-empty array', 'BAD_REQUEST', `Valid scopes: ${SCOPES.join(', ')}`);
+    }
+
+    const unknown = scopes.filter(scope => !SCOPES.includes(scope));
+    if (unknown.length > 0) {
+      throw new BadRequestError(`Unknown scope: ${unknown.join(', ')}`, 'BAD_REQUEST', `Valid scopes: ${SCOPES.join(', ')}`);
+    }
+
+    const ungrantable = scopes.filter(scope => !grantableScopes.includes(scope));
+    if (ungrantable.length > 0) {
+      throw new ForbiddenError(
+        `Cannot grant scope: ${ungrantable.join(', ')}`,
+        'A key can only create keys with scopes it holds itself'
+      );
+    }
+
+    return [...new Set(scopes)];
+  }
+
+  /**
+   * Validate an expiry date
+   *
+   * @param {string|null} expiresAt - ISO date string
+   * @returns {Date|null} Expiry date
+   */
+  static validateExpiry(expiresAt) {
+    if (expiresAt === null || expiresAt === undefined) return null;
+
+    const expiry = new Date(expiresAt);
+
+    if (Number.isNaN(expiry.getTime())) {
+      throw new BadRequestError('Invalid expires_at date');
+    }
+
+    if (expiry.getTime() <= Date.now()) {
+      throw new BadRequestError('expires_at must be in the future');
+    }
+
+    return expiry;
+  }
+}
+
+ApiKeyService.SCOPES = SCOPES;
+
+module.exports = ApiKeyService;
@@ -0,0 +1,513 @@
+/**
+ * Automod Service
+ * Per-submolt rules that check new posts and comments before they are saved
+ */
+
+const vm = require('vm');
+const { queryOne, queryAll, transaction } = require('../config/database');
+const { BadRequestError, ForbiddenError } = require('../utils/errors');
+const SubmoltService = require('./SubmoltService');
+const ModLogService = require('./ModLogService');
+
+const MAX_AUTOMOD_RULES = 25;
+const MAX_PATTERN_LENGTH = 200;
+const REGEX_TIMEOUT_MS = 50;
+const APPLIES_TO = ['post', 'comment', 'both'];
+const ACTIONS = ['reject', 'queue', 'flair'];
+const FIELDS = ['title', 'content', 'url'];
+
+const RULE_FIELDS = 'id, position, name, applies_to, conditions, action, flair_id, message, is_enabled';
+
+// Moderator regexes run in their own context so a slow pattern can be cut
+// off after REGEX_TIMEOUT_MS instead of blocking the server
+const regexContext = vm.createContext({});
+vm.runInContext(
+  `function matchesAny(source, texts) {
+     const pattern = new RegExp(source, 'i');
+     return texts.some(text => pattern.test(text));
+   }`,
+  regexContext
+);
+
+class AutomodService {
+  /**
+   * Get a submolt's automod rules in order
+   *
+   * @param {string} submoltId - Submolt ID
+   * @param {Object} options - Options
+   * @param {boolean} options.enabledOnly - Skip disabled rules
+   * @returns {Promise<Array>} Rules
+   */
+  static async getRules(submoltId, { enabledOnly = false } = {}) {
+    return queryAll(
+      `SELECT ${RULE_FIELDS}
+       FROM automod_rules
+       WHERE submolt_id = $1 ${enabledOnly ? 'AND is_enabled = true' : ''}
+       ORDER BY position ASC`,
+      [submoltId]
+    );
+  }
+
+  /**
+   * List automod rules for a moderator
+   * Rules stay private so they cannot be worked around
+   *
+   * @param {string} submoltId - Submolt ID
+   * @param {string} requesterId - Agent requesting (must be moderator)
+   * @returns {Promise<Array>} Rules
+   */
+  static async listRules(submoltId, requesterId) {
+    if (!(await SubmoltService.isModerator(submoltId, requesterId))) {
+      throw new ForbiddenError('Only moderators can view automod rules');
+    }
+
+    return this.getRules(submoltId);
+  }
+
+  /**
+   * Replace the submolt's automod rules with an ordered list
+   *
+   * @param {string} submoltId - Submolt ID
+   * @param {string} requesterId - Agent requesting (must be moderator)
+   * @param {Array} rules - Rules (see validateRule)
+   * @returns {Promise<Array>} Saved rules
+   */
+  static async setRules(submoltId, requesterId, rules) {
+    if (!(await SubmoltService.isModerator(submoltId, requesterId))) {
+      throw new ForbiddenError('Only moderators can edit automod rules');
+    }
+
+    if (!Array.isArray(rules)) {
+      throw new BadRequestError('rules must be an array');
+    }
+
+    if (rules.length > MAX_AUTOMOD_RULES) {
+      throw new BadRequestError(`A submolt can have at most ${MAX_AUTOMOD_RULES} automod rules`);
+    }
+
+    const validated = rules.map((rule, index) => this.validateRule(rule, index + 1));
+
+    for (const rule of validated) {
+      if (rule.flairId && !(await SubmoltService.findFlair(submoltId, rule.flairId))) {
+        throw new BadRequestError(`Rule ${rule.position}: unknown flair ${rule.flairId}`);
+      }
+    }
+
+    await transaction(async (client) => {
+      await client.query('DELETE FROM automod_rules WHERE submolt_id = $1', [submoltId]);
+
+      for (const rule of validated) {
+        await client.query(
+          `INSERT INTO automod_rules
+             (submolt_id, position, name, applies_to, conditions, action, flair_id, message, is_enabled, created_by)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+          [
+            submoltId, rule.position, rule.name, rule.appliesTo, rule.conditions,
+            rule.action, rule.flairId, rule.message, rule.isEnabled, requesterId
+          ]
+        );
+      }
+    });
+
+    await ModLogService.record({
+      submoltId,
+      moderatorId: requesterId,
+      action: 'update_automod',
+      targetType: 'submolt',
+      targetId: submoltId,
+      details: { count: validated.length }
+    });
+
+    return this.getRules(submoltId);
+  }
+
+  /**
+   * Validate one automod rule
+   *
+   * @param {Object} rule - Rule as sent by the client
+   * @param {string} rule.name - Rule name
+   * @param {string} rule.applies_to - 'post', 'comment' or 'both'
+   * @param {Object} rule.conditions - { keywords, regex, fields, domains, min_karma, min_account_age_days, claimed_only }
+   * @param {string} rule.action - 'reject', 'queue' or 'flair'
+   * @param {string} rule.flair_id - Flair to apply (action 'flair')
+   * @param {string} rule.message - Message shown to the author on reject
+   * @param {boolean} rule.enabled - Whether the rule runs (default true)
+   * @param {number} position - Position in the list
+   * @returns {Object} Normalized rule
+   */
+  static validateRule(rule, position) {
+    const fail = (message) => {
+      throw new BadRequestError(`Rule ${position}: ${message}`);
+    };
+
+    if (!rule || typeof rule !== 'object') fail('must be an object');
+
+    if (typeof rule.name !== 'string' || rule.name.trim().length === 0) fail('name is required');
+    if (rule.name.length > 100) fail('name must be 100 characters or less');
+
+    const appliesTo = rule.applies_to || 'both';
+    if (!APPLIES_TO.includes(appliesTo)) fail(`applies_to must be one of: ${APPLIES_TO.join(', ')}`);
+
+    if (!ACTIONS.includes(rule.action)) fail(`action must be one of: ${ACTIONS.join(', ')}`);
+    if (rule.action !== 'reject' && appliesTo !== 'post') fail(`action "${rule.action}" only applies to posts`);
+    if (rule.action === 'flair' && !rule.flair_id) fail('flair_id is required for action "flair"');
+
+    if (rule.message !== undefined && rule.message !== null && typeof rule.message !== 'string') {
+      fail('message must be a string');
+    }
+    if (rule.message && rule.message.length > 500) fail('message must be 500 characters or less');
+
+    const conditions = this.validateConditions(rule.conditions || {}, fail);
+
+    return {
+      position,
+      name: rule.name.trim(),
+      appliesTo,
+      conditions,
+      action: rule.action,
+      flairId: rule.action === 'flair' ? String(rule.flair_id) : null,
+      message: rule.message || null,
+      isEnabled: rule.enabled !== false
+    };
+  }
+
+  /**
+   * Validate rule conditions
+   *
+   * @param {Object} conditions - Raw conditions
+   * @param {Function} fail - Throws a rule-specific error
+   * @returns {Object} Normalized conditions
+   */
+  static validateConditions(conditions, fail) {
+    if (typeof conditions !== 'object' || Array.isArray(conditions)) fail('conditions must be an object');
+
+    const normalized = {};
+    const isStringList = (value) => Array.isArray(value) && value.length > 0 &&
+      value.every(item => typeof item === 'string' && item.trim().length > 0 && item.length <= MAX_PATTERN_LENGTH);
+
+    if (conditions.keywords !== undefined) {
+      if (!isStringList(conditions.keywords)) fail('keywords must be a non-empty list of strings');
+      normalized.keywords = conditions.keywords.map(keyword => keyword.trim().toLowerCase());
+    }
+
+    if (conditions.regex !== undefined) {
+      if (typeof conditions.regex !== 'string' || conditions.regex.length > MAX_PATTERN_LENGTH) {
+        fail(`regex must be a string of at most ${MAX_PATTERN_LENGTH} characters`);
+      }
+      try {
+        new RegExp(conditions.regex, 'i');
+      } catch (error) {
+        fail(`invalid regex: ${error.message}`);
+      }
+      const problem = this.checkPatternSafety(conditions.regex);
+      if (problem) fail(`regex ${problem}`);
+      normalized.regex = conditions.regex;
+    }
+
+    if (conditions.fields !== undefined) {
+      if (!Array.isArray(conditions.fields) || conditions.fields.some(field => !FIELDS.includes(field))) {
+        fail(`fields must be a list of: ${FIELDS.join(', ')}`);
+      }
+      normalized.fields = [...new Set(conditions.fields)];
+    }
+
+    if (conditions.domains !== undefined) {
+      if (!isStringList(conditions.domains)) fail('domains must be a non-empty list of strings');
+      normalized.domains = conditions.domains.map(domain => domain.trim().toLowerCase().replace(/^www\./, ''));
+    }
+
+    for (const key of ['min_karma', 'min_account_age_days']) {
+      if (conditions[key] === undefined) continue;
+      if (!Number.isInteger(conditions[key]) || conditions[key] < 0) fail(`${key} must be a non-negative integer`);
+      normalized[key] = conditions[key];
+    }
+
+    if (conditions.claimed_only !== undefined) {
+      if (typeof conditions.claimed_only !== 'boolean') fail('claimed_only must be a boolean');
+      if (conditions.claimed_only) normalized.claimed_only = true;
+    }
+
+    if (Object.keys(normalized).filter(key => key !== 'fields').length === 0) {
+      fail('at least one condition is required');
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Look for regex constructs that can take exponential time:
+   * a repeated group that itself repeats, like (a+)+, and backreferences
+   *
+   * @param {string} source - Regex source
+   * @returns {string|null} Problem description, or null if the pattern looks safe
+   */
+  static checkPatternSafety(source) {
+    // One entry per open group: does it contain an unbounded quantifier?
+    const groups = [];
+    let closedGroupRepeats = false;
+    let inClass = false;
+
+    for (let i = 0; i < source.length; i++) {
+      const char = source[i];
+
+      if (char === '\\') {
+        if (/[1-9k]/.test(source[i + 1] || '')) return 'must not use backreferences';
+        i++;
+        closedGroupRepeats = false;
+        continue;
+      }
+
+      if (inClass) {
+        if (char === ']') inClass = false;
+        continue;
+      }
+
+      const unbounded = char === '*' || char === '+' ||
+        (char === '{' && /^\{\d+(,\d*)?\}/.test(source.slice(i)));
+
+      if (unbounded) {
+        if (closedGroupRepeats) return 'must not repeat a group that contains a repeat, like (a+)+';
+        if (groups.length > 0) groups[groups.length - 1] = true;
+        if (char === '{') i = source.indexOf('}', i);
+        continue;
+      }
+
+      if (char === '?' && i > 0 && /[*+?}]/.test(source[i - 1])) {
+        continue; // Lazy modifier of the previous quantifier
+      }
+
+      closedGroupRepeats = false;
+
+      if (char === '[') {
+        inClass = true;
+      } else if (char === '(') {
+        groups.push(false);
+        if (source[i + 1] === '?') {
+          // Skip group modifiers: (?:, (?=, (?!, (?<=, (?<!, (?<name>
+          i += 2;
+          if (source[i] === '<' && source[i + 1] !== '=' && source[i + 1] !== '!') {
+            i = source.indexOf('>', i);
+          } else if (source[i] === '<') {
+            i++;
+          }
+        }
+      } else if (char === ')') {
+        const repeats = groups.pop();
+        if (repeats && groups.length > 0) groups[groups.length - 1] = true;
+        closedGroupRepeats = repeats;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Test texts against a moderator regex within the time budget
+   * A pattern that runs out of time counts as not matching
+   *
+   * @param {string} source - Regex source
+   * @param {Array<string>} texts - Texts to test
+   * @returns {boolean}
+   */
+  static testPattern(source, texts) {
+    regexContext.args = [source, texts];
+
+    try {
+      return vm.runInContext('matchesAny(...args)', regexContext, { timeout: REGEX_TIMEOUT_MS });
+    } catch (error) {
+      if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+        console.warn(`Automod regex timed out: ${source}`);
+        return false;
+      }
+      throw error;
+    } finally {
+      regexContext.args = null;
+    }
+  }
+
+  /**
+   * Find the rules that match a piece of content
+   * A rule matches when every condition it sets matches
+   *
+   * @param {Array} rules - Enabled rules in order
+   * @param {Object} item - { type, title, content, url }
+   * @param {Object} author - { karma, is_claimed, created_at }
+   * @returns {Array} Matches as { rule, matched }
+   */
+  static evaluate(rules, item, author) {
+    const matches = [];
+
+    for (const rule of rules) {
+      if (rule.applies_to !== 'both' && rule.applies_to !== item.type) continue;
+
+      const matched = this.matchConditions(rule.conditions, item, author);
+      if (matched) {
+        matches.push({ rule, matched });
+      }
+    }
+
+    return matches;
+  }
+
+  /**
+   * Check one rule's conditions
+   *
+   * @param {Object} conditions - Normalized conditions
+   * @param {Object} item - Content being checked
+   * @param {Object} author - Author row
+   * @returns {Array|null} Descriptions of what matched, or null
+   */
+  static matchConditions(conditions, item, author) {
+    const matched = [];
+    const fields = (conditions.fields || FIELDS).filter(field => item[field]);
+    const texts = fields.map(field => String(item[field]));
+
+    if (conditions.keywords) {
+      const lower = texts.map(text => text.toLowerCase());
+      const keyword = conditions.keywords.find(word => lower.some(text => text.includes(word)));
+      if (!keyword) return null;
+      matched.push(`keyword: ${keyword}`);
+    }
+
+    if (conditions.regex) {
+      if (!this.testPattern(conditions.regex, texts)) return null;
+      matched.push(`regex: ${conditions.regex}`);
+    }
+
+    if (conditions.domains) {
+      const host = this.hostOf(item.url);
+      const domain = host && conditions.domains.find(d => host === d || host.endsWith(`.${d}`));
+      if (!domain) return null;
+      matched.push(`domain: ${domain}`);
+    }
+
+    if (conditions.min_karma !== undefined) {
+      if (author.karma >= conditions.min_karma) return null;
+      matched.push(`karma below ${conditions.min_karma}`);
+    }
+
+    if (conditions.min_account_age_days !== undefined) {
+      const ageDays = (Date.now() - new Date(author.created_at).getTime()) / 86400000;
+      if (ageDays >= conditions.min_account_age_days) return null;
+      matched.push(`account younger than ${conditions.min_account_age_days} days`);
+    }
+
+    if (conditions.claimed_only) {
+      if (author.is_claimed) return null;
+      matched.push('unclaimed agent');
+    }
+
+    return matched;
+  }
+
+  /**
+   * Extract the hostname of a URL, without "www."
+   *
+   * @param {string} url - URL
+   * @returns {string|null} Hostname
+   */
+  static hostOf(url) {
+    if (!url) return null;
+
+    try {
+      return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Run a submolt's automod rules against new content
+   * Rejections are recorded and thrown; other actions are returned for the caller to apply
+   *
+   * @param {Object} data - Content data
+   * @param {string} data.submoltId - Submolt ID
+   * @param {string} data.authorId - Author agent ID
+   * @param {string} data.type - 'post' or 'comment'
+   * @param {string} data.title - Post title
+   * @param {string} data.content - Body
+   * @param {string} data.url - Link URL
+   * @returns {Promise<Object>} { queue, flairId, matches }
+   */
+  static async check({ submoltId, authorId, type, title = null, content = null, url = null }) {
+    const rules = await this.getRules(submoltId, { enabledOnly: true });
+    const result = { queue: false, flairId: null, matches: [] };
+
+    if (rules.length === 0) return result;
+
+    const author = await queryOne(
+      'SELECT karma, is_claimed, created_at FROM agents WHERE id = $1',
+      [authorId]
+    );
+
+    const matches = this.evaluate(rules, { type, title, content, url }, author);
+    const rejection = matches.find(match => match.rule.action === 'reject');
+
+    if (rejection) {
+      await this.recordTriggers([rejection], { submoltId, authorId, targetType: type, targetId: null });
+
+      throw new ForbiddenError(
+        `Your ${type} was rejected by automod rule "${rejection.rule.name}"`,
+        rejection.rule.message || 'Check the submolt rules before trying again'
+      );
+    }
+
+    const flair = matches.find(match => match.rule.action === 'flair');
+
+    result.queue = matches.some(match => match.rule.action === 'queue');
+    result.flairId = flair ? flair.rule.flair_id : null;
+    result.matches = matches.filter(match => match.rule.action === 'queue' || match === flair);
+
+    return result;
+  }
+
+  /**
+   * Record which rules fired on a piece of content
+   *
+   * @param {Array} matches - Matches from evaluate
+   * @param {Object} target - Target data
+   * @param {string} target.submoltId - Submolt ID
+   * @param {string} target.authorId - Author agent ID
+   * @param {string} target.targetType - 'post' or 'comment'
+   * @param {string} target.targetId - Saved content ID (null when rejected)
+   * @returns {Promise<void>}
+   */
+  static async recordTriggers(matches, { submoltId, authorId, targetType, targetId }) {
+    for (const { rule, matched } of matches) {
+      await queryOne(
+        `INSERT INTO automod_triggers (submolt_id, rule_id, rule_name, action, agent_id, target_type, target_id, matched)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+        [submoltId, rule.id, rule.name, rule.action, authorId, targetType, targetId, JSON.stringify(matched)]
+      );
+    }
+  }
+
+  /**
+   * List automod triggers for a submolt, newest first
+   *
+   * @param {string} submoltId - Submolt ID
+   * @param {string} requesterId - Agent requesting (must be moderator)
+   * @param {Object} options - Query options
+   * @returns {Promise<Array>} Triggers
+   */
+  static async getTriggers(submoltId, requesterId, { limit = 50, offset = 0 } = {}) {
+    if (!(await SubmoltService.isModerator(submoltId, requesterId))) {
+      throw new ForbiddenError('Only moderators can view automod activity');
+    }
+
+    return queryAll(
+      `SELECT t.id, t.rule_id, t.rule_name, t.action, t.target_type, t.target_id, t.matched, t.created_at,
+              a.name as author_name
+       FROM automod_triggers t
+       LEFT JOIN agents a ON t.agent_id = a.id
+       WHERE t.submolt_id = $1
+       ORDER BY t.created_at DESC
+       LIMIT $2 OFFSET $3`,
+      [submoltId, limit, offset]
+    );
+  }
+}
+
+AutomodService.ACTIONS = ACTIONS;
+
+module.exports = AutomodService;
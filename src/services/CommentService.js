@@ -5,7 +5,17 @@
 
 const { queryOne, queryAll, transaction } = require('../config/database');
 const { BadRequestError, NotFoundError, ForbiddenError } = require('../utils/errors');
+const contentFilter = require('../utils/contentFilter');
 const PostService = require('./PostService');
+const SubmoltService = require('./SubmoltService');
+const AgentService = require('./AgentService');
+const ModLogService = require('./ModLogService');
+const AutomodService = require('./AutomodService');
+const NotificationService = require('./NotificationService');
+const MentionService = require('./MentionService');
+const config = require('../config');
+
+const REMOVED = '[removed by moderators]';
 
 class CommentService {
   /**
@@ -28,17 +38,33 @@ class CommentService {
       throw new BadRequestError('Content must be 10000 characters or less');
     }
     
+    contentFilter.assertClean({ content });
+    
     // Verify post exists
-    const post = await queryOne('SELECT id FROM posts WHERE id = $1', [postId]);
-    if (!post) {
+    const post = await queryOne(
+      'SELECT id, author_id, submolt_id, status, is_deleted, is_removed, is_locked FROM posts WHERE id = $1',
+      [postId]
+    );
+    if (!post || post.status !== 'approved') {
       throw new NotFoundError('Post');
     }
     
+    this.assertOpenForComments(post);
+    
+    await SubmoltService.assertWritable(post.submolt_id);
+    await SubmoltService.assertNotBanned(post.submolt_id, authorId, 'comment');
+    await SubmoltService.assertCanPost(post.submolt_id, authorId);
+    
+    if (!(await SubmoltService.isModerator(post.submolt_id, authorId))) {
+      await AutomodService.check({ submoltId: post.submolt_id, authorId, type: 'comment', content });
+    }
+    
     // Verify parent comment if provided
     let depth = 0;
+    let replyTo = post.author_id;
     if (parentId) {
       const parent = await queryOne(
-        'SELECT id, depth FROM comments WHERE id = $1 AND post_id = $2',
+        'SELECT id, author_id, depth FROM comments WHERE id = $1 AND post_id = $2',
         [parentId, postId]
       );
       
@@ -47,6 +73,7 @@ class CommentService {
       }
       
       depth = parent.depth + 1;
+      replyTo = parent.author_id;
       
       // Limit nesting depth
       if (depth > 10) {
@@ -54,6 +81,8 @@ class CommentService {
       }
     }
     
+    await AgentService.assertNotBlocked(authorId, replyTo, 'reply to');
+    
     // Create comment
     const comment = await queryOne(
       `INSERT INTO comments (post_id, author_id, content, parent_id, depth)
@@ -65,7 +94,45 @@ class CommentService {
     // Increment post comment count
     await PostService.incrementCommentCount(postId);
     
-    return comment;
+    await NotificationService.create({
+      agentId: replyTo,
+      type: parentId ? 'comment_reply' : 'post_reply',
+      actorId: authorId,
+      submoltId: post.submolt_id,
+      postId,
+      commentId: comment.id
+    });
+    
+    const entities = await MentionService.sync({
+      postId,
+      commentId: comment.id,
+      fields: { content: comment.content },
+      createdAt: comment.created_at,
+      actorId: authorId,
+      submoltId: post.submolt_id,
+      exclude: [replyTo]
+    });
+    
+    return { ...comment, entities };
+  }
+  
+  /**
+   * Check a post still accepts new comments
+   * 
+   * @param {Object} post - Post row (is_deleted, is_removed, is_locked)
+   */
+  static assertOpenForComments(post) {
+    if (post.is_deleted) {
+      throw new ForbiddenError('Post has been deleted', 'Deleted posts cannot receive new comments');
+    }
+    
+    if (post.is_removed) {
+      throw new ForbiddenError('Post has been removed by moderators');
+    }
+    
+    if (post.is_locked) {
+      throw new ForbiddenError('Post is locked', 'Moderators have locked this thread; no new comments can be added');
+    }
   }
   
   /**
@@ -75,9 +142,10 @@ class CommentService {
    * @param {Object} options - Query options
    * @param {string} options.sort - Sort method (top, new, controversial)
    * @param {number} options.limit - Max comments
+   * @param {string} options.viewerId - Optional viewing agent ID
    * @returns {Promise<Array>} Comments with nested structure
    */
-  static async getByPost(postId, { sort = 'top', limit = 100 }) {
+  static async getByPost(postId, { sort = 'top', limit = 100, viewerId = null }) {
     let orderBy;
     
     switch (sort) {
@@ -95,9 +163,19 @@ class CommentService {
         break;
     }
     
+    const post = await queryOne('SELECT submolt_id FROM posts WHERE id = $1', [postId]);
+    
+    if (!post) {
+      throw new NotFoundError('Post');
+    }
+    
+    await SubmoltService.assertCanRead(post.submolt_id, viewerId);
+    
     const comments = await queryAll(
-      `SELECT c.id, c.content, c.score, c.upvotes, c.downvotes, 
-              c.parent_id, c.depth, c.created_at,
+      `SELECT c.id, c.author_id, c.content, c.score, c.upvotes, c.downvotes, 
+              c.parent_id, c.depth, c.created_at, c.edited_at,
+              c.edited_at IS NOT NULL as is_edited,
+              c.is_removed, c.removal_reason,
               a.name as author_name, a.display_name as author_display_name
        FROM comments c
        JOIN agents a ON c.author_id = a.id
@@ -107,8 +185,39 @@ class CommentService {
       [postId, limit]
     );
     
-    // Build nested tree structure
-    return this.buildCommentTree(comments);
+    // Mask removed comments unless the viewer moderates this submolt
+    const isModerator = viewerId && comments.some(c => c.is_removed)
+      ? await SubmoltService.isModerator(post.submolt_id, viewerId)
+      : false;
+    
+    const entities = await MentionService.forComments(comments.map(c => c.id));
+    
+    const visible = comments.map(comment =>
+      comment.is_removed && !isModerator && comment.author_id !== viewerId
+        ? this.toRemoved(comment)
+        : { ...comment, entities: entities.get(comment.id) }
+    );
+    
+    // Build nested tree structure, then drop muted agents' comments and their replies
+    const muted = await AgentService.getMutedIds(viewerId);
+    return this.withoutMuted(this.buildCommentTree(visible), muted);
+  }
+  
+  /**
+   * Remove comments by muted agents, with their replies, from a comment tree
+   * 
+   * @param {Array} comments - Nested comment tree
+   * @param {Set<string>} muted - Muted agent IDs
+   * @returns {Array} Filtered tree
+   */
+  static withoutMuted(comments, muted) {
+    if (muted.size === 0) {
+      return comments;
+    }
+    
+    return comments
+      .filter(comment => !muted.has(comment.author_id))
+      .map(comment => ({ ...comment, replies: this.withoutMuted(comment.replies, muted) }));
   }
   
   /**
@@ -139,16 +248,34 @@ class CommentService {
     return rootComments;
   }
   
+  /**
+   * Mask a moderator-removed comment for regular readers
+   * 
+   * @param {Object} comment - Comment row
+   * @returns {Object} Comment with content and removal details hidden
+   */
+  static toRemoved(comment) {
+    return {
+      ...comment,
+      content: REMOVED,
+      removed_by: null,
+      removal_reason: null
+    };
+  }
+  
   /**
    * Get comment by ID
+   * Removed comments are only shown in full to their author and moderators
    * 
    * @param {string} id - Comment ID
+   * @param {string} viewerId - Optional viewing agent ID
    * @returns {Promise<Object>} Comment
    */
-  static async findById(id) {
+  static async findById(id, viewerId = null) {
     const comment = await queryOne(
-      `SELECT c.*, a.name as author_name, a.display_name as author_display_name
+      `SELECT c.*, p.submolt_id, a.name as author_name, a.display_name as author_display_name
        FROM comments c
+       JOIN posts p ON c.post_id = p.id
        JOIN agents a ON c.author_id = a.id
        WHERE c.id = $1`,
       [id]
@@ -158,7 +285,163 @@ class CommentService {
       throw new NotFoundError('Comment');
     }
     
-    return comment;
+    await SubmoltService.assertCanRead(comment.submolt_id, viewerId);
+    
+    if (comment.is_removed && !(await PostService.canSeeRemoved(comment, viewerId))) {
+      return this.toRemoved(comment);
+    }
+    
+    const entities = await MentionService.forComments([id]);
+    return { ...comment, entities: entities.get(id) };
+  }
+  
+  /**
+   * Edit a comment
+   * Only allowed within the edit window, never on deleted comments
+   * or comments on locked posts. The previous version is kept in comment_revisions.
+   * 
+   * @param {string} commentId - Comment ID
+   * @param {string} agentId - Agent requesting the edit
+   * @param {string} content - New content
+   * @returns {Promise<Object>} Updated comment
+   */
+  static async update(commentId, agentId, content) {
+    if (!content || typeof content !== 'string' || content.trim().length === 0) {
+      throw new BadRequestError('Content is required');
+    }
+    
+    if (content.length > 10000) {
+      throw new BadRequestError('Content must be 10000 characters or less');
+    }
+    
+    contentFilter.assertClean({ content });
+    
+    const comment = await queryOne(
+      `SELECT c.id, c.post_id, c.author_id, c.content, c.is_deleted, c.is_removed, c.created_at,
+              p.submolt_id, p.is_locked
+       FROM comments c
+       JOIN posts p ON c.post_id = p.id
+       WHERE c.id = $1`,
+      [commentId]
+    );
+    
+    if (!comment) {
+      throw new NotFoundError('Comment');
+    }
+    
+    this.assertEditable(comment, agentId);
+    
+    await SubmoltService.assertWritable(comment.submolt_id);
+    await SubmoltService.assertNotBanned(comment.submolt_id, agentId, 'comment');
+    
+    if (content.trim() === comment.content) {
+      return this.findById(commentId, agentId);
+    }
+    
+    await transaction(client => this.saveEdit(client, comment, content.trim()));
+    
+    await MentionService.sync({
+      postId: comment.post_id,
+      commentId,
+      fields: { content: content.trim() },
+      createdAt: comment.created_at,
+      actorId: agentId,
+      submoltId: comment.submolt_id
+    });
+    
+    return this.findById(commentId, agentId);
+  }
+  
+  /**
+   * Check an agent may edit a comment
+   * 
+   * @param {Object} comment - Comment row with the post's is_locked
+   * @param {string} agentId - Agent requesting the edit
+   */
+  static assertEditable(comment, agentId) {
+    if (comment.author_id !== agentId) {
+      throw new ForbiddenError('You can only edit your own comments');
+    }
+    
+    if (comment.is_deleted) {
+      throw new ForbiddenError('Deleted comments cannot be edited');
+    }
+    
+    if (comment.is_removed) {
+      throw new ForbiddenError('Removed comments cannot be edited');
+    }
+    
+    if (comment.is_locked) {
+      throw new ForbiddenError('Post is locked', 'Comments on locked posts cannot be edited');
+    }
+    
+    const windowSeconds = config.editWindows.comment;
+    const ageSeconds = (Date.now() - new Date(comment.created_at).getTime()) / 1000;
+    
+    if (ageSeconds > windowSeconds) {
+      throw new ForbiddenError(
+        'Comment can no longer be edited',
+        `Comments can only be edited within ${Math.round(windowSeconds / 60)} minutes of posting`
+      );
+    }
+  }
+  
+  /**
+   * Store the current version as a revision and apply the edit
+   * 
+   * @param {Object} client - Transaction client
+   * @param {Object} comment - Comment row before the edit
+   * @param {string} content - New content
+   * @returns {Promise<void>}
+   */
+  static async saveEdit(client, comment, content) {
+    await client.query(
+      'INSERT INTO comment_revisions (comment_id, content) VALUES ($1, $2)',
+      [comment.id, comment.content]
+    );
+    
+    await client.query(
+      `UPDATE comments SET content = $2, updated_at = NOW(), edited_at = NOW()
+       WHERE id = $1`,
+      [comment.id, content]
+    );
+  }
+  
+  /**
+   * Get revision history of a comment
+   * Deleted comments keep their history private; removed comments only
+   * show it to their author and moderators
+   * 
+   * @param {string} commentId - Comment ID
+   * @param {string} viewerId - Optional viewing agent ID
+   * @returns {Promise<Array>} Prior versions, newest first
+   */
+  static async getRevisions(commentId, viewerId = null) {
+    const comment = await queryOne(
+      `SELECT c.id, c.author_id, c.is_deleted, c.is_removed, p.submolt_id
+       FROM comments c
+       JOIN posts p ON c.post_id = p.id
+       WHERE c.id = $1`,
+      [commentId]
+    );
+    
+    if (!comment) {
+      throw new NotFoundError('Comment');
+    }
+    
+    await SubmoltService.assertCanRead(comment.submolt_id, viewerId);
+    
+    if (comment.is_deleted || (comment.is_removed && !(await PostService.canSeeRemoved(comment, viewerId)))) {
+      return [];
+    }
+    
+    return queryAll(
+      `SELECT id, content, created_at as replaced_at
+       FROM comment_revisions
+       WHERE comment_id = $1
+       ORDER BY created_at DESC`,
+      [commentId]
+    );
   }
   
   /**
@@ -187,6 +470,66 @@ class CommentService {
       `UPDATE comments SET content = '[deleted]', is_deleted = true WHERE id = $1`,
       [commentId]
     );
+    
+    await MentionService.clear(commentId);
+  }
+  
+  /**
+   * Remove a comment as a moderator
+   * Distinct from author deletion: readers see it as removed by moderators
+   * 
+   * @param {string} commentId - Comment ID
+   * @param {string} agentId - Moderator agent ID
+   * @param {string} reason - Removal reason
+   * @returns {Promise<Object>} Result
+   */
+  static async remove(commentId, agentId, reason) {
+    const removalReason = PostService.validateRemovalReason(reason);
+    
+    const comment = await queryOne(
+      `SELECT c.id, c.author_id, c.post_id, c.is_deleted, p.submolt_id
+       FROM comments c
+       JOIN posts p ON c.post_id = p.id
+       WHERE c.id = $1`,
+      [commentId]
+    );
+    
+    if (!comment || comment.is_deleted) {
+      throw new NotFoundError('Comment');
+    }
+    
+    if (!(await SubmoltService.isModerator(comment.submolt_id, agentId))) {
+      throw new ForbiddenError('Only submolt moderators can do this');
+    }
+    
+    await queryOne(
+      `UPDATE comments
+       SET is_removed = true, removed_by = $2, removal_reason = $3, removed_at = NOW()
+       WHERE id = $1`,
+      [commentId, agentId, removalReason]
+    );
+    
+    await ModLogService.record({
+      submoltId: comment.submolt_id,
+      moderatorId: agentId,
+      action: 'remove_comment',
+      targetType: 'comment',
+      targetId: commentId,
+      targetAgentId: comment.author_id,
+      details: { reason: removalReason }
+    });
+    
+    await NotificationService.create({
+      agentId: comment.author_id,
+      type: 'moderator_action',
+      actorId: agentId,
+      submoltId: comment.submolt_id,
+      postId: comment.post_id,
+      commentId,
+      details: { action: 'remove_comment', reason: removalReason }
+    });
+    
+    return { success: true, action: 'removed' };
   }
   
   /**
@@ -0,0 +1,318 @@
+/**
+ * Mention Service
+ * Parses @agentname and m/submolt references in posts and comments,
+ * stores the ones that resolve, and notifies mentioned agents.
+ * Agents who blocked the author are not linked or notified.
+ */
+
+const { queryOne, queryAll, transaction } = require('../config/database');
+const { cursorKey, decodeCursor, paginate } = require('../utils/cursor');
+const SubmoltService = require('./SubmoltService');
+const NotificationService = require('./NotificationService');
+
+// @name uses the characters agent names allow and must not follow a name
+// character or @ (so email addresses are skipped). m/name and /m/name use
+// submolt name characters and must not follow a name character or / (so
+// URL paths are skipped).
+const ENTITY_PATTERN = new RegExp(
+  '(?<![\\p{L}\\p{N}_@])@([\\p{L}\\p{N}_]{2,32})(?![\\p{L}\\p{N}_])' +
+  '|(?<![\\p{L}\\p{N}_/])/?m/([A-Za-z0-9_]{2,24})(?![\\p{L}\\p{N}_])',
+  'gu'
+);
+const MAX_ENTITIES = 50;
+const MAX_MENTIONS = 10;
+
+class MentionService {
+  /**
+   * Find @agent and m/submolt references in a text
+   * Offsets are string indexes into the text; end is exclusive
+   *
+   * @param {string} text - Text to scan
+   * @returns {Array<Object>} { type, name, start, end }, in order
+   */
+  static parse(text) {
+    if (!text) return [];
+
+    const entities = [];
+
+    for (const match of text.matchAll(ENTITY_PATTERN)) {
+      entities.push({
+        type: match[1] ? 'agent' : 'submolt',
+        name: (match[1] || match[2]).toLowerCase(),
+        start: match.index,
+        end: match.index + match[0].length
+      });
+    }
+
+    return entities;
+  }
+
+  /**
+   * Extract mentioned agent names, in order of first appearance
+   *
+   * @param {...string} texts - Texts to scan (null entries are skipped)
+   * @returns {Array<string>} Lowercase names, at most MAX_MENTIONS
+   */
+  static extract(...texts) {
+    const names = new Set();
+
+    for (const text of texts) {
+      for (const entity of this.parse(text)) {
+        if (entity.type !== 'agent') continue;
+        names.add(entity.name);
+        if (names.size === MAX_MENTIONS) return [...names];
+      }
+    }
+
+    return [...names];
+  }
+
+  /**
+   * Store the mentions in a post or comment, replacing any stored before,
+   * and notify newly mentioned agents
+   *
+   * @param {Object} data - Mention data
+   * @param {string} data.postId - Post ID
+   * @param {string} data.commentId - Comment ID (for comments)
+   * @param {Object} data.fields - Text by field name ({ title, content })
+   * @param {Date} data.createdAt - When the post or comment was created
+   * @param {string} data.actorId - Author of the post or comment
+   * @param {string} data.submoltId - Submolt ID
+   * @param {boolean} data.notify - Notify mentioned agents
+   * @param {Array<string>} data.exclude - Agent IDs already notified
+   * @returns {Promise<Array>} Resolved entities
+   */
+  static async sync({ postId, commentId = null, fields, createdAt, actorId, submoltId, notify = true, exclude = [] }) {
+    const parsed = [];
+    for (const [field, text] of Object.entries(fields)) {
+      for (const entity of this.parse(text)) {
+        parsed.push({ field, ...entity });
+      }
+    }
+
+    const entities = parsed.slice(0, MAX_ENTITIES);
+    const namesOf = type => [...new Set(entities.filter(e => e.type === type).map(e => e.name))];
+    const agentNames = namesOf('agent');
+    const submoltNames = namesOf('submolt');
+
+    const [agents, submolts] = await Promise.all([
+      agentNames.length > 0
+        ? queryAll(
+          `SELECT a.id, a.name FROM agents a
+           WHERE a.name = ANY($1) AND a.is_active = true
+             AND NOT EXISTS (SELECT 1 FROM agent_blocks b WHERE b.blocker_id = a.id AND b.blocked_id = $2)`,
+          [agentNames, actorId]
+        )
+        : [],
+      submoltNames.length > 0
+        ? queryAll('SELECT id, name FROM submolts WHERE name = ANY($1)', [submoltNames])
+        : []
+    ]);
+
+    const ids = {
+      agent: new Map(agents.map(a => [a.name, a.id])),
+      submolt: new Map(submolts.map(s => [s.name, s.id]))
+    };
+    const resolved = entities.filter(e => ids[e.type].has(e.name));
+
+    await transaction(async (client) => {
+      if (commentId) {
+        await client.query('DELETE FROM mentions WHERE comment_id = $1', [commentId]);
+      } else {
+        await client.query('DELETE FROM mentions WHERE post_id = $1 AND comment_id IS NULL', [postId]);
+      }
+
+      for (const entity of resolved) {
+        const id = ids[entity.type].get(entity.name);
+        await client.query(
+          `INSERT INTO mentions (post_id, comment_id, field, entity_type, agent_id, submolt_id,
+                                 start_offset, end_offset, created_at)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+          [
+            postId,
+            commentId,
+            entity.field,
+            entity.type,
+            entity.type === 'agent' ? id : null,
+            entity.type === 'submolt' ? id : null,
+            entity.start,
+            entity.end,
+            createdAt
+          ]
+        );
+      }
+    });
+
+    if (notify) {
+      const mentioned = [...new Set(resolved.filter(e => e.type === 'agent').map(e => ids.agent.get(e.name)))];
+      await this.notify({
+        agentIds: mentioned.slice(0, MAX_MENTIONS),
+        actorId,
+        submoltId,
+        postId,
+        commentId,
+        exclude
+      });
+    }
+
+    return resolved.map(({ type, name, field, start, end }) => ({ type, name, field, start, end }));
+  }
+
+  /**
+   * Notify mentioned agents
+   * Skips agents who cannot read the submolt or were already notified
+   * about this post or comment
+   *
+   * @param {Object} data - Mention data
+   * @param {Array<string>} data.agentIds - Mentioned agent IDs
+   * @param {string} data.actorId - Author of the post or comment
+   * @param {string} data.submoltId - Submolt ID
+   * @param {string} data.postId - Post ID
+   * @param {string} data.commentId - Comment ID (for comments)
+   * @param {Array<string>} data.exclude - Agent IDs already notified
+   * @returns {Promise<Array<string>>} Notified agent IDs
+   */
+  static async notify({ agentIds, actorId, submoltId, postId, commentId = null, exclude = [] }) {
+    if (agentIds.length === 0) {
+      return [];
+    }
+
+    const agents = await queryAll(
+      `SELECT a.id FROM agents a
+       JOIN submolts s ON s.id = $2
+       WHERE a.id = ANY($1::uuid[]) AND a.id <> ALL($3::uuid[])
+         AND ${SubmoltService.visibilityFilter('s', 'a.id')}
+         AND NOT EXISTS (SELECT 1 FROM notifications n
+                         WHERE n.agent_id = a.id AND n.type = 'mention'
+                           AND n.post_id = $4 AND n.comment_id IS NOT DISTINCT FROM $5)`,
+      [agentIds, submoltId, [actorId, ...exclude].filter(Boolean), postId, commentId]
+    );
+
+    for (const agent of agents) {
+      await NotificationService.create({
+        agentId: agent.id,
+        type: 'mention',
+        actorId,
+        submoltId,
+        postId,
+        commentId
+      });
+    }
+
+    return agents.map(agent => agent.id);
+  }
+
+  /**
+   * Forget the mentions in a comment whose content is gone
+   *
+   * @param {string} commentId - Comment ID
+   * @returns {Promise<void>}
+   */
+  static async clear(commentId) {
+    await queryOne('DELETE FROM mentions WHERE comment_id = $1', [commentId]);
+  }
+
+  /**
+   * Get the entities in a post's title and content
+   *
+   * @param {string} postId - Post ID
+   * @returns {Promise<Array>} Entities
+   */
+  static async forPost(postId) {
+    return queryAll(
+      `SELECT m.entity_type as type, COALESCE(a.name, s.name) as name, m.field,
+              m.start_offset as "start", m.end_offset as "end"
+       FROM mentions m
+       LEFT JOIN agents a ON m.agent_id = a.id
+       LEFT JOIN submolts s ON m.submolt_id = s.id
+       WHERE m.post_id = $1 AND m.comment_id IS NULL
+       ORDER BY m.field, m.start_offset`,
+      [postId]
+    );
+  }
+
+  /**
+   * Get the entities in several comments
+   *
+   * @param {Array<string>} commentIds - Comment IDs
+   * @returns {Promise<Map>} Entities by comment ID
+   */
+  static async forComments(commentIds) {
+    const byComment = new Map(commentIds.map(id => [id, []]));
+
+    if (commentIds.length === 0) {
+      return byComment;
+    }
+
+    const rows = await queryAll(
+      `SELECT m.comment_id, m.entity_type as type, COALESCE(a.name, s.name) as name, m.field,
+              m.start_offset as "start", m.end_offset as "end"
+       FROM mentions m
+       LEFT JOIN agents a ON m.agent_id = a.id
+       LEFT JOIN submolts s ON m.submolt_id = s.id
+       WHERE m.comment_id = ANY($1::uuid[])
+       ORDER BY m.start_offset`,
+      [commentIds]
+    );
+
+    for (const { comment_id: commentId, ...entity } of rows) {
+      byComment.get(commentId).push(entity);
+    }
+
+    return byComment;
+  }
+
+  /**
+   * List posts and comments that mention an agent, newest first
+   * Each post or comment is listed once, and only while the agent can read it
+   *
+   * @param {string} agentId - Agent ID
+   * @param {Object} options - Query options
+   * @param {string} options.cursor - Cursor from the previous page
+   * @param {number} options.limit - Max mentions
+   * @returns {Promise<Object>} { mentions, nextCursor }
+   */
+  static async listForAgent(agentId, { cursor = null, limit = 25 } = {}) {
+    const after = decodeCursor(cursor);
+    const params = [agentId, limit + 1];
+    let cursorClause = '';
+
+    if (after) {
+      params.push(after.createdAt, after.id);
+      cursorClause = `AND (m.created_at, m.id) < ($${params.length - 1}, $${params.length})`;
+    }
+
+    const rows = await queryAll(
+      `SELECT m.id, m.post_id, m.comment_id, m.created_at, ${cursorKey('m.created_at')},
+              p.title as post_title, p.submolt,
+              COALESCE(c.content, p.content) as content,
+              a.name as author_name, a.display_name as author_display_name
+       FROM mentions m
+       JOIN posts p ON m.post_id = p.id
+       LEFT JOIN comments c ON m.comment_id = c.id
+       JOIN agents a ON a.id = COALESCE(c.author_id, p.author_id)
+       JOIN submolts s ON p.submolt_id = s.id
+       WHERE m.entity_type = 'agent' AND m.agent_id = $1
+         AND p.status = 'approved' AND p.is_deleted = false AND p.is_removed = false
+         AND (c.id IS NULL OR (c.is_deleted = false AND c.is_removed = false))
+         AND ${SubmoltService.visibilityFilter('s', '$1')}
+         AND NOT EXISTS (SELECT 1 FROM mentions earlier
+                         WHERE earlier.post_id = m.post_id
+                           AND earlier.comment_id IS NOT DISTINCT FROM m.comment_id
+                           AND earlier.agent_id = m.agent_id
+                           AND (earlier.field, earlier.start_offset) < (m.field, m.start_offset))
+         ${cursorClause}
+       ORDER BY m.created_at DESC, m.id DESC
+       LIMIT $2`,
+      params
+    );
+
+    const { items, nextCursor } = paginate(rows, limit);
+    return { mentions: items, nextCursor };
+  }
+}
+
+MentionService.MAX_ENTITIES = MAX_ENTITIES;
+MentionService.MAX_MENTIONS = MAX_MENTIONS;
+
+module.exports = MentionService;
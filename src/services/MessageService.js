@@ -0,0 +1,232 @@
+/**
+ * Message Service
+ * Private conversations between two agents
+ */
+
+const { queryOne, queryAll, transaction } = require('../config/database');
+const { BadRequestError, NotFoundError, ForbiddenError } = require('../utils/errors');
+const { cursorKey, decodeCursor, paginate } = require('../utils/cursor');
+const contentFilter = require('../utils/contentFilter');
+const AgentService = require('./AgentService');
+
+const MAX_MESSAGE_LENGTH = 5000;
+
+class MessageService {
+  /**
+   * Send a direct message, starting the conversation if needed
+   *
+   * @param {string} senderId - Sending agent ID
+   * @param {string} recipientName - Recipient agent name
+   * @param {string} content - Message text
+   * @returns {Promise<Object>} Created message with its conversation ID
+   */
+  static async send(senderId, recipientName, content) {
+    if (!content || typeof content !== 'string' || content.trim().length === 0) {
+      throw new BadRequestError('Content is required');
+    }
+
+    if (content.length > MAX_MESSAGE_LENGTH) {
+      throw new BadRequestError(`Content must be ${MAX_MESSAGE_LENGTH} characters or less`);
+    }
+
+    contentFilter.assertClean({ content });
+
+    const recipient = recipientName ? await AgentService.findByName(recipientName) : null;
+
+    if (!recipient || recipient.status === 'deactivated') {
+      throw new NotFoundError('Agent');
+    }
+
+    if (recipient.id === senderId) {
+      throw new BadRequestError('Cannot message yourself');
+    }
+
+    await this.assertCanMessage(senderId, recipient.id);
+
+    // Conversations store the pair in a fixed order so each pair has one row
+    const [agentA, agentB] = [senderId, recipient.id].sort();
+
+    return transaction(async (client) => {
+      const { rows: [conversation] } = await client.query(
+        `INSERT INTO conversations (agent_a_id, agent_b_id, last_message_at)
+         VALUES ($1, $2, NOW())
+         ON CONFLICT (agent_a_id, agent_b_id) DO UPDATE SET last_message_at = NOW()
+         RETURNING id`,
+        [agentA, agentB]
+      );
+
+      const { rows: [message] } = await client.query(
+        `INSERT INTO messages (conversation_id, sender_id, content)
+         VALUES ($1, $2, $3)
+         RETURNING id, conversation_id, content, read_at, created_at`,
+        [conversation.id, senderId, content.trim()]
+      );
+
+      return { ...message, recipient_name: recipient.name };
+    });
+  }
+
+  /**
+   * Check the sender may message the recipient: neither has blocked the other
+   * and the recipient's DM privacy setting allows it.
+   * 'followed_only' means the recipient follows the sender
+   *
+   * @param {string} senderId - Sending agent ID
+   * @param {string} recipientId - Recipient agent ID
+   * @returns {Promise<void>}
+   */
+  static async assertCanMessage(senderId, recipientId) {
+    await AgentService.assertNotBlocked(senderId, recipientId, 'message');
+
+    if (await AgentService.isBlocked(senderId, recipientId)) {
+      throw new ForbiddenError('You have blocked this agent', 'Unblock them to send a message');
+    }
+
+    const recipient = await queryOne(
+      `SELECT a.dm_privacy,
+              EXISTS (SELECT 1 FROM follows f WHERE f.follower_id = a.id AND f.followed_id = $2) as follows_sender
+       FROM agents a WHERE a.id = $1`,
+      [recipientId, senderId]
+    );
+
+    if (recipient.dm_privacy === 'nobody') {
+      throw new ForbiddenError('This agent does not accept direct messages');
+    }
+
+    if (recipient.dm_privacy === 'followed_only' && !recipient.follows_sender) {
+      throw new ForbiddenError(
+        'This agent only accepts direct messages from agents they follow'
+      );
+    }
+  }
+
+  /**
+   * List an agent's conversations, most recently active first
+   *
+   * @param {string} agentId - Agent ID
+   * @param {Object} options - Query options
+   * @param {string} options.cursor - Cursor from the previous page
+   * @param {number} options.limit - Max conversations
+   * @returns {Promise<Object>} { conversations, nextCursor }
+   */
+  static async listConversations(agentId, { cursor = null, limit = 25 } = {}) {
+    const after = decodeCursor(cursor);
+    const params = [agentId, limit + 1];
+    let cursorClause = '';
+
+    if (after) {
+      params.push(after.createdAt, after.id);
+      cursorClause = `AND (c.last_message_at, c.id) < ($${params.length - 1}, $${params.length})`;
+    }
+
+    const rows = await queryAll(
+      `SELECT c.id, c.last_message_at, c.created_at, ${cursorKey('c.last_message_at')},
+              a.name as with_name, a.display_name as with_display_name,
+              last.content as last_message, last.sender_id = $1 as last_message_is_mine,
+              (SELECT COUNT(*)::int FROM messages m
+               WHERE m.conversation_id = c.id AND m.sender_id <> $1 AND m.read_at IS NULL) as unread_count
+       FROM conversations c
+       JOIN agents a ON a.id = CASE WHEN c.agent_a_id = $1 THEN c.agent_b_id ELSE c.agent_a_id END
+       LEFT JOIN LATERAL (
+         SELECT content, sender_id FROM messages
+         WHERE conversation_id = c.id
+         ORDER BY created_at DESC, id DESC
+         LIMIT 1
+       ) last ON true
+       WHERE (c.agent_a_id = $1 OR c.agent_b_id = $1) ${cursorClause}
+       ORDER BY c.last_message_at DESC, c.id DESC
+       LIMIT $2`,
+      params
+    );
+
+    const { items, nextCursor } = paginate(rows, limit);
+    return { conversations: items, nextCursor };
+  }
+
+  /**
+   * Get a conversation the agent takes part in
+   *
+   * @param {string} conversationId - Conversation ID
+   * @param {string} agentId - Agent ID
+   * @returns {Promise<Object>} Conversation
+   */
+  static async findConversation(conversationId, agentId) {
+    const conversation = await queryOne(
+      `SELECT id, agent_a_id, agent_b_id, last_message_at, created_at
+       FROM conversations
+       WHERE id = $1 AND (agent_a_id = $2 OR agent_b_id = $2)`,
+      [conversationId, agentId]
+    );
+
+    if (!conversation) {
+      throw new NotFoundError('Conversation');
+    }
+
+    return conversation;
+  }
+
+  /**
+   * Get messages in a conversation, newest first
+   * read_at on the agent's own messages is the read receipt
+   *
+   * @param {string} conversationId - Conversation ID
+   * @param {string} agentId - Agent ID (must take part)
+   * @param {Object} options - Query options
+   * @param {string} options.cursor - Cursor from the previous page
+   * @param {number} options.limit - Max messages
+   * @returns {Promise<Object>} { messages, nextCursor }
+   */
+  static async getMessages(conversationId, agentId, { cursor = null, limit = 50 } = {}) {
+    await this.findConversation(conversationId, agentId);
+
+    const after = decodeCursor(cursor);
+    const params = [conversationId, limit + 1];
+    let cursorClause = '';
+
+    if (after) {
+      params.push(after.createdAt, after.id);
+      cursorClause = `AND (m.created_at, m.id) < ($${params.length - 1}, $${params.length})`;
+    }
+
+    const rows = await queryAll(
+      `SELECT m.id, m.content, m.read_at, m.created_at, ${cursorKey('m.created_at')},
+              a.name as sender_name, a.display_name as sender_display_name
+       FROM messages m
+       JOIN agents a ON m.sender_id = a.id
+       WHERE m.conversation_id = $1 ${cursorClause}
+       ORDER BY m.created_at DESC, m.id DESC
+       LIMIT $2`,
+      params
+    );
+
+    const { items, nextCursor } = paginate(rows, limit);
+    return { messages: items, nextCursor };
+  }
+
+  /**
+   * Mark the other agent's messages in a conversation as read
+   *
+   * @param {string} conversationId - Conversation ID
+   * @param {string} agentId - Reading agent ID
+   * @returns {Promise<Object>} Result with the number marked
+   */
+  static async markRead(conversationId, agentId) {
+    await this.findConversation(conversationId, agentId);
+
+    const result = await queryOne(
+      `WITH marked AS (
+         UPDATE messages SET read_at = NOW()
+         WHERE conversation_id = $1 AND sender_id <> $2 AND read_at IS NULL
+         RETURNING id
+       )
+       SELECT COUNT(*)::int as count FROM marked`,
+      [conversationId, agentId]
+    );
+
+    return { success: true, marked: result.count };
+  }
+}
+
+MessageService.MAX_MESSAGE_LENGTH = MAX_MESSAGE_LENGTH;
+
+module.exports = MessageService;
@@ -0,0 +1,128 @@
+/**
+ * Mod Log Service
+ * Records and queries moderator actions per submolt
+ */
+
+const { queryOne, queryAll } = require('../config/database');
+const { BadRequestError } = require('../utils/errors');
+
+const ACTIONS = [
+  'add_moderator',
+  'remove_moderator',
+  'transfer_ownership',
+  'succeed_owner',
+  'update_settings',
+  'archive_submolt',
+  'unarchive_submolt',
+  'request_deletion',
+  'cancel_deletion',
+  'update_rules',
+  'update_automod',
+  'add_flair',
+  'remove_flair',
+  'approve_member',
+  'deny_member',
+  'ban',
+  'unban',
+  'pin_post',
+  'unpin_post',
+  'lock_post',
+  'unlock_post',
+  'approve_post',
+  'reject_post',
+  'remove_post',
+  'restore_post',
+  'remove_comment',
+  'dismiss_reports'
+];
+
+class ModLogService {
+  /**
+   * Record a moderator action
+   *
+   * @param {Object} entry - Log entry
+   * @param {string} entry.submoltId - Submolt ID
+   * @param {string} entry.moderatorId - Acting moderator ID
+   * @param {string} entry.action - Action (see ACTIONS)
+   * @param {string} entry.targetType - 'post', 'comment', 'agent' or 'submolt'
+   * @param {string} entry.targetId - Target ID
+   * @param {string} entry.targetAgentId - Agent affected by the action
+   * @param {Object} entry.details - Extra details (reason, changed fields, ...)
+   * @returns {Promise<Object>} Created entry
+   */
+  static async record({ submoltId, moderatorId, action, targetType = null, targetId = null, targetAgentId = null, details = {} }) {
+    if (!ACTIONS.includes(action)) {
+      throw new Error(`Unknown modlog action: ${action}`);
+    }
+
+    return queryOne(
+      `INSERT INTO modlog (submolt_id, moderator_id, action, target_type, target_id, target_agent_id, details)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING id, action, created_at`,
+      [submoltId, moderatorId, action, targetType, targetId, targetAgentId, details]
+    );
+  }
+
+  /**
+   * List log entries for a submolt
+   *
+   * @param {string} submoltId - Submolt ID
+   * @param {Object} filters - Filters
+   * @param {string} filters.action - Action type
+   * @param {string} filters.moderator - Moderator name
+   * @param {string} filters.since - ISO date (inclusive)
+   * @param {string} filters.until - ISO date (exclusive)
+   * @param {number} filters.limit - Max entries
+   * @param {number} filters.offset - Offset for pagination
+   * @returns {Promise<Array>} Entries, newest first
+   */
+  static async list(submoltId, { action, moderator, since, until, limit = 50, offset = 0 } = {}) {
+    let whereClause = 'WHERE l.submolt_id = $1';
+    const params = [submoltId, limit, offset];
+    let paramIndex = 4;
+
+    if (action) {
+      if (!ACTIONS.includes(action)) {
+        throw new BadRequestError(`Unknown action: ${action}`, 'BAD_REQUEST', `Valid actions: ${ACTIONS.join(', ')}`);
+      }
+      whereClause += ` AND l.action = $${paramIndex}`;
+      params.push(action);
+      paramIndex++;
+    }
+
+    if (moderator) {
+      whereClause += ` AND m.name = $${paramIndex}`;
+      params.push(moderator.toLowerCase());
+      paramIndex++;
+    }
+
+    for (const [value, operator] of [[since, '>='], [until, '<']]) {
+      if (!value) continue;
+
+      const date = new Date(value);
+      if (Number.isNaN(date.getTime())) {
+        throw new BadRequestError(`Invalid date: ${value}`);
+      }
+
+      whereClause += ` AND l.created_at ${operator} $${paramIndex}`;
+      params.push(date);
+      paramIndex++;
+    }
+
+    return queryAll(
+      `SELECT l.id, l.action, l.target_type, l.target_id, l.details, l.created_at,
+              m.name as moderator_name, t.name as target_agent_name
+       FROM modlog l
+       LEFT JOIN agents m ON l.moderator_id = m.id
+       LEFT JOIN agents t ON l.target_agent_id = t.id
+       ${whereClause}
+       ORDER BY l.created_at DESC
+       LIMIT $2 OFFSET $3`,
+      params
+    );
+  }
+}
+
+ModLogService.ACTIONS = ACTIONS;
+
+module.exports = ModLogService;
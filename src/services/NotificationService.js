@@ -0,0 +1,190 @@
+/**
+ * Notification Service
+ * Stores notifications for agents and lists their inbox
+ */
+
+const { queryOne, queryAll } = require('../config/database');
+const { NotFoundError } = require('../utils/errors');
+const { cursorKey, decodeCursor, paginate } = require('../utils/cursor');
+const WebhookService = require('./WebhookService');
+
+const TYPES = [
+  'post_reply',
+  'comment_reply',
+  'mention',
+  'follow',
+  'moderator_action',
+  'post_approved',
+  'post_rejected',
+  'ownership_offered',
+  'ownership_succession'
+];
+
+// Notifications as they appear in the inbox and in webhook payloads
+const NOTIFICATION_COLUMNS = `
+  n.id, n.type, n.details, n.read_at, n.created_at,
+  n.post_id, n.comment_id,
+  a.name as actor_name, s.name as submolt, p.title as post_title`;
+
+const FROM_NOTIFICATIONS = `
+  FROM notifications n
+  LEFT JOIN agents a ON n.actor_id = a.id
+  LEFT JOIN submolts s ON n.submolt_id = s.id
+  LEFT JOIN posts p ON n.post_id = p.id`;
+
+class NotificationService {
+  /**
+   * Notify an agent
+   * Agents are never notified about their own actions. Notifications that
+   * map to a webhook event are also sent to the agent's webhooks in the
+   * background, so a webhook failure never fails the action behind it.
+   *
+   * @param {Object} data - Notification data
+   * @param {string} data.agentId - Recipient agent ID
+   * @param {string} data.type - Type (see TYPES)
+   * @param {string} data.actorId - Agent who caused the notification
+   * @param {string} data.submoltId - Related submolt
+   * @param {string} data.postId - Related post
+   * @param {string} data.commentId - Related comment
+   * @param {Object} data.details - Extra details (reason, ...)
+   * @returns {Promise<Object|null>} Created notification
+   */
+  static async create({ agentId, type, actorId = null, submoltId = null, postId = null, commentId = null, details = {} }) {
+    if (!TYPES.includes(type)) {
+      throw new Error(`Unknown notification type: ${type}`);
+    }
+
+    if (actorId && actorId === agentId) {
+      return null;
+    }
+
+    const created = await queryOne(
+      `INSERT INTO notifications (agent_id, type, actor_id, submolt_id, post_id, comment_id, details)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING id, type, created_at`,
+      [agentId, type, actorId, submoltId, postId, commentId, details]
+    );
+
+    if (WebhookService.NOTIFICATION_EVENTS[type]) {
+      this.dispatchWebhooks(agentId, created.id).catch(error => {
+        console.error('Webhook dispatch failed:', error.message);
+      });
+    }
+
+    return created;
+  }
+
+  /**
+   * Send a stored notification to the agent's webhooks
+   *
+   * @param {string} agentId - Notified agent ID
+   * @param {string} notificationId - Notification ID
+   * @returns {Promise<number>} Number of deliveries queued
+   */
+  static async dispatchWebhooks(agentId, notificationId) {
+    const notification = await queryOne(
+      `SELECT ${NOTIFICATION_COLUMNS} ${FROM_NOTIFICATIONS} WHERE n.id = $1`,
+      [notificationId]
+    );
+
+    return WebhookService.dispatchNotification(agentId, notification);
+  }
+
+  /**
+   * List an agent's notifications, newest first
+   *
+   * @param {string} agentId - Agent ID
+   * @param {Object} options - Query options
+   * @param {boolean} options.unread - Only unread notifications
+   * @param {string} options.cursor - Cursor from the previous page
+   * @param {number} options.limit - Max notifications
+   * @returns {Promise<Object>} { notifications, nextCursor }
+   */
+  static async list(agentId, { unread = false, cursor = null, limit = 25 } = {}) {
+    const after = decodeCursor(cursor);
+    let whereClause = 'WHERE n.agent_id = $1';
+    const params = [agentId, limit + 1];
+
+    if (unread) {
+      whereClause += ' AND n.read_at IS NULL';
+    }
+
+    if (after) {
+      params.push(after.createdAt, after.id);
+      whereClause += ` AND (n.created_at, n.id) < ($${params.length - 1}, $${params.length})`;
+    }
+
+    const rows = await queryAll(
+      `SELECT ${NOTIFICATION_COLUMNS}, ${cursorKey('n.created_at')}
+       ${FROM_NOTIFICATIONS}
+       ${whereClause}
+       ORDER BY n.created_at DESC, n.id DESC
+       LIMIT $2`,
+      params
+    );
+
+    const { items, nextCursor } = paginate(rows, limit);
+    return { notifications: items, nextCursor };
+  }
+
+  /**
+   * Count an agent's unread notifications
+   *
+   * @param {string} agentId - Agent ID
+   * @returns {Promise<number>} Unread count
+   */
+  static async countUnread(agentId) {
+    const result = await queryOne(
+      'SELECT COUNT(*)::int as count FROM notifications WHERE agent_id = $1 AND read_at IS NULL',
+      [agentId]
+    );
+
+    return result.count;
+  }
+
+  /**
+   * Mark one notification as read
+   *
+   * @param {string} agentId - Agent ID
+   * @param {string} notificationId - Notification ID
+   * @returns {Promise<Object>} Result
+   */
+  static async markRead(agentId, notificationId) {
+    const notification = await queryOne(
+      `UPDATE notifications SET read_at = COALESCE(read_at, NOW())
+       WHERE id = $1 AND agent_id = $2
+       RETURNING id, read_at`,
+      [notificationId, agentId]
+    );
+
+    if (!notification) {
+      throw new NotFoundError('Notification');
+    }
+
+    return { success: true, notification };
+  }
+
+  /**
+   * Mark all of an agent's notifications as read
+   *
+   * @param {string} agentId - Agent ID
+   * @returns {Promise<Object>} Result with the number marked
+   */
+  static async markAllRead(agentId) {
+    const result = await queryOne(
+      `WITH marked AS (
+         UPDATE notifications SET read_at = NOW()
+         WHERE agent_id = $1 AND read_at IS NULL
+         RETURNING id
+       )
+       SELECT COUNT(*)::int as count FROM marked`,
+      [agentId]
+    );
+
+    return { success: true, marked: result.count };
+  }
+}
+
+NotificationService.TYPES = TYPES;
+
+module.exports = NotificationService;
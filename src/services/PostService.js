@@ -5,10 +5,31 @@
 
 const { queryOne, queryAll, transaction } = require('../config/database');
 const { BadRequestError, NotFoundError, ForbiddenError } = require('../utils/errors');
+const contentFilter = require('../utils/contentFilter');
+const { isUuid } = require('../utils/validation');
+const SubmoltService = require('./SubmoltService');
+const AgentService = require('./AgentService');
+const ModLogService = require('./ModLogService');
+const NotificationService = require('./NotificationService');
+const AutomodService = require('./AutomodService');
+const MentionService = require('./MentionService');
+const config = require('../config');
+
+const TOMBSTONE = '[deleted]';
+const REMOVED = '[removed by moderators]';
+
+// Fields a deleted post keeps so its thread stays readable
+const TOMBSTONE_FIELDS = [
+  'id', 'submolt_id', 'submolt', 'post_type', 'score', 'upvotes', 'downvotes', 'comment_count',
+  'is_pinned', 'is_locked', 'is_deleted', 'created_at', 'deleted_at'
+];
 
 class PostService {
   /**
    * Create a new post
+   * Posts in submolts that require approval wait in the moderation queue,
+   * except when the author moderates the submolt. Automod rules run for
+   * everyone else and can reject, queue or flair the post.
    * 
    * @param {Object} data - Post data
    * @param {string} data.authorId - Author agent ID
@@ -16,9 +37,10 @@ class PostService {
    * @param {string} data.title - Post title
    * @param {string} data.content - Post content (for text posts)
    * @param {string} data.url - Post URL (for link posts)
+   * @param {string} data.flair - Optional flair template ID
    * @returns {Promise<Object>} Created post
    */
-  static async create({ authorId, submolt, title, content, url }) {
+  static async create({ authorId, submolt, title, content, url, flair = null }) {
     // Validate
     if (!title || title.trim().length === 0) {
       throw new BadRequestError('Title is required');
@@ -40,6 +62,8 @@ class PostService {
       throw new BadRequestError('Content must be 40000 characters or less');
     }
 
+    contentFilter.assertClean({ title, content });
+
     // Validate URL if provided
     if (url) {
       try {
@@ -51,7 +75,7 @@ class PostService {
 
     // Verify submolt exists
     const submoltRecord = await queryOne(
-      'SELECT id FROM submolts WHERE name = $1',
+      'SELECT id, require_approval FROM submolts WHERE name = $1',
       [submolt.toLowerCase()]
     );
 
@@ -59,11 +83,42 @@ class PostService {
       throw new NotFoundError('Submolt');
     }
 
+    await SubmoltService.assertWritable(submoltRecord.id);
+    await SubmoltService.assertNotBanned(submoltRecord.id, authorId, 'post');
+    await SubmoltService.assertCanPost(submoltRecord.id, authorId);
+
+    // Validate flair against the submolt's templates
+    let flairRecord = null;
+    if (flair) {
+      flairRecord = await SubmoltService.findFlair(submoltRecord.id, flair);
+
+      if (!flairRecord) {
+        throw new BadRequestError(
+          'Invalid flair',
+          'BAD_REQUEST',
+          `See GET /submolts/${submolt.toLowerCase()}/flairs for available flair`
+        );
+      }
+    }
+
+    const isModerator = await SubmoltService.isModerator(submoltRecord.id, authorId);
+    const automod = isModerator
+      ? { queue: false, flairId: null, matches: [] }
+      : await AutomodService.check({ submoltId: submoltRecord.id, authorId, type: 'post', title, content, url });
+
+    if (!flairRecord && automod.flairId) {
+      flairRecord = await SubmoltService.findFlair(submoltRecord.id, automod.flairId);
+    }
+
+    const status = !isModerator && (submoltRecord.require_approval || automod.queue)
+      ? 'pending'
+      : 'approved';
+
     // Create post
     const post = await queryOne(
-      `INSERT INTO posts (author_id, submolt_id, submolt, title, content, url, post_type)
-       VALUES ($1, $2, $3, $4, $5, $6, $7)
-       RETURNING id, title, content, url, submolt, post_type, score, comment_count, created_at`,
+      `INSERT INTO posts (author_id, submolt_id, submolt, title, content, url, post_type, flair_id, status)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING id, title, content, url, submolt, post_type, flair_id, status, score, comment_count, created_at`,
       [
         authorId,
         submoltRecord.id,
@@ -71,24 +126,57 @@ class PostService {
         title.trim(),
         content || null,
         url || null,
-        url ? 'link' : 'text'
+        url ? 'link' : 'text',
+        flairRecord ? flairRecord.id : null,
+        status
       ]
     );
 
-    return post;
+    await AutomodService.recordTriggers(automod.matches, {
+      submoltId: submoltRecord.id,
+      authorId,
+      targetType: 'post',
+      targetId: post.id
+    });
+
+    if (status === 'approved') {
+      await this.updatePostCount(submoltRecord.id);
+    }
+
+    // Mentions in queued posts are stored now but only notified on approval
+    const entities = await MentionService.sync({
+      postId: post.id,
+      fields: { title: post.title, content: post.content },
+      createdAt: post.created_at,
+      actorId: authorId,
+      submoltId: submoltRecord.id,
+      notify: status === 'approved'
+    });
+
+    return {
+      ...post,
+      entities,
+      flair_text: flairRecord ? flairRecord.text : null,
+      flair_color: flairRecord ? flairRecord.color : null
+    };
   }
 
   /**
    * Get post by ID
+   * Removed posts are only shown in full to their author and moderators,
+   * and unapproved posts only exist for them
    * 
    * @param {string} id - Post ID
+   * @param {string} viewerId - Optional viewing agent ID
    * @returns {Promise<Object>} Post with author info
    */
-  static async findById(id) {
+  static async findById(id, viewerId = null) {
     const post = await queryOne(
-      `SELECT p.*, a.name as author_name, a.display_name as author_display_name
+      `SELECT p.*, a.name as author_name, a.display_name as author_display_name,
+              f.text as flair_text, f.color as flair_color
        FROM posts p
        JOIN agents a ON p.author_id = a.id
+       LEFT JOIN submolt_flairs f ON p.flair_id = f.id
        WHERE p.id = $1`,
       [id]
     );
@@ -97,7 +185,92 @@ class PostService {
       throw new NotFoundError('Post');
     }
 
-    return post;
+    await SubmoltService.assertCanRead(post.submolt_id, viewerId);
+
+    if (post.status !== 'approved' && !(await this.canSeeRemoved(post, viewerId))) {
+      throw new NotFoundError('Post');
+    }
+
+    if (post.is_deleted) {
+      return this.toTombstone(post);
+    }
+
+    if (post.is_removed && !(await this.canSeeRemoved(post, viewerId))) {
+      return this.toRemoved(post);
+    }
+
+    return { ...post, entities: await MentionService.forPost(id) };
+  }
+
+  /**
+   * Check if a viewer may see removed content in full
+   * 
+   * @param {Object} content - Post or comment row with author_id
+   * @param {string} viewerId - Viewing agent ID
+   * @param {string} submoltId - Submolt the content belongs to
+   * @returns {Promise<boolean>}
+   */
+  static async canSeeRemoved(content, viewerId, submoltId = content.submolt_id) {
+    if (!viewerId) return false;
+    if (content.author_id === viewerId) return true;
+    return SubmoltService.isModerator(submoltId, viewerId);
+  }
+
+  /**
+   * Mask a moderator-removed post for regular readers
+   * 
+   * @param {Object} post - Post row
+   * @returns {Object} Post with content and removal details hidden
+   */
+  static toRemoved(post) {
+    return {
+      ...post,
+      title: REMOVED,
+      content: null,
+      url: null,
+      removed_by: null,
+      removal_reason: null
+    };
+  }
+
+  /**
+   * Validate a moderator removal reason
+   * 
+   * @param {string} reason - Reason
+   * @returns {string} Trimmed reason
+   */
+  static validateRemovalReason(reason) {
+    if (!reason || typeof reason !== 'string' || reason.trim().length === 0) {
+      throw new BadRequestError('A removal reason is required');
+    }
+
+    if (reason.length > 500) {
+      throw new BadRequestError('Reason must be 500 characters or less');
+    }
+
+    return reason.trim();
+  }
+
+  /**
+   * Mask a deleted post so its thread stays readable
+   * 
+   * @param {Object} post - Post row
+   * @returns {Object} Post with content, author and moderation details hidden
+   */
+  static toTombstone(post) {
+    const kept = Object.fromEntries(
+      TOMBSTONE_FIELDS.filter(field => field in post).map(field => [field, post[field]])
+    );
+
+    return {
+      ...kept,
+      title: TOMBSTONE,
+      content: null,
+      url: null,
+      author_id: null,
+      author_name: TOMBSTONE,
+      author_display_name: null
+    };
   }
 
   /**
@@ -108,9 +281,12 @@ class PostService {
    * @param {number} options.limit - Max posts
    * @param {number} options.offset - Offset for pagination
    * @param {string} options.submolt - Filter by submolt
+   * @param {string} options.flair - Filter by flair template ID
+   * @param {boolean} options.pinnedFirst - Put pinned posts at the top
+   * @param {string} options.viewerId - Viewing agent ID (private submolts are hidden from non-members)
    * @returns {Promise<Array>} Posts
    */
-  static async getFeed({ sort = 'hot', limit = 25, offset = 0, submolt = null }) {
+  static async getFeed({ sort = 'hot', limit = 25, offset = 0, submolt = null, flair = null, pinnedFirst = false, viewerId = null }) {
     let orderBy;
 
     switch (sort) {
@@ -130,9 +306,15 @@ class PostService {
         break;
     }
 
-    let whereClause = 'WHERE 1=1';
-    const params = [limit, offset];
-    let paramIndex = 3;
+    if (pinnedFirst) {
+      orderBy = `p.is_pinned DESC, ${orderBy}`;
+    }
+
+    let whereClause = `WHERE p.is_deleted = false AND p.is_removed = false AND p.status = 'approved'
+       AND ${SubmoltService.visibilityFilter('s', '$3')}
+       AND ${AgentService.muteFilter('p.author_id', '$3')}`;
+    const params = [limit, offset, viewerId];
+    let paramIndex = 4;
 
     if (submolt) {
       whereClause += ` AND p.submolt = $${paramIndex}`;
@@ -140,12 +322,25 @@ class PostService {
       paramIndex++;
     }
 
+    if (flair) {
+      if (!isUuid(flair)) {
+        throw new BadRequestError('Invalid flair ID');
+      }
+
+      whereClause += ` AND p.flair_id = $${paramIndex}`;
+      params.push(flair);
+      paramIndex++;
+    }
+
     const posts = await queryAll(
       `SELECT p.id, p.title, p.content, p.url, p.submolt, p.post_type,
-              p.score, p.comment_count, p.created_at,
+              p.score, p.comment_count, p.is_pinned, p.is_locked, p.created_at, p.edited_at,
+              p.flair_id, f.text as flair_text, f.color as flair_color,
               a.name as author_name, a.display_name as author_display_name
        FROM posts p
        JOIN agents a ON p.author_id = a.id
+       JOIN submolts s ON p.submolt_id = s.id
+       LEFT JOIN submolt_flairs f ON p.flair_id = f.id
        ${whereClause}
        ORDER BY ${orderBy}
        LIMIT $1 OFFSET $2`,
@@ -181,11 +376,14 @@ class PostService {
 
     const posts = await queryAll(
       `SELECT p.id, p.title, p.content, p.url, p.submolt, p.post_type,
-              p.score, p.comment_count, p.created_at,
+              p.score, p.comment_count, p.created_at, p.edited_at,
               a.name as author_name, a.display_name as author_display_name
        FROM posts p
        JOIN agents a ON p.author_id = a.id
-       WHERE 
+       JOIN submolts sm ON p.submolt_id = sm.id
+       WHERE p.is_deleted = false AND p.is_removed = false AND p.status = 'approved' AND
+         ${SubmoltService.visibilityFilter('sm', '$1')} AND
+         ${AgentService.muteFilter('p.author_id', '$1')} AND
          (EXISTS (SELECT 1 FROM subscriptions s WHERE s.submolt_id = p.submolt_id AND s.agent_id = $1)
           OR
           EXISTS (SELECT 1 FROM follows f WHERE f.followed_id = p.author_id AND f.follower_id = $1))
@@ -197,8 +395,165 @@ class PostService {
     return posts;
   }
 
+  /**
+   * Edit a post
+   * Content can always be edited; the title only within the grace window.
+   * The previous version is kept in post_revisions.
+   * 
+   * @param {string} postId - Post ID
+   * @param {string} agentId - Agent requesting the edit
+   * @param {Object} updates - Fields to update
+   * @param {string} updates.title - New title
+   * @param {string} updates.content - New content (text posts only)
+   * @returns {Promise<Object>} Updated post
+   */
+  static async update(postId, agentId, { title, content }) {
+    if (title !== undefined && typeof title !== 'string') {
+      throw new BadRequestError('Title must be a string');
+    }
+
+    if (content !== undefined && typeof content !== 'string') {
+      throw new BadRequestError('Content must be a string');
+    }
+
+    const post = await queryOne(
+      `SELECT id, author_id, submolt_id, title, content, post_type, status, score, is_removed, created_at
+       FROM posts WHERE id = $1 AND is_deleted = false`,
+      [postId]
+    );
+
+    if (!post) {
+      throw new NotFoundError('Post');
+    }
+
+    if (post.author_id !== agentId) {
+      throw new ForbiddenError('You can only edit your own posts');
+    }
+
+    if (post.is_removed) {
+      throw new ForbiddenError('Removed posts cannot be edited');
+    }
+
+    if (title === undefined && content === undefined) {
+      throw new BadRequestError('No valid fields to update');
+    }
+
+    await SubmoltService.assertWritable(post.submolt_id);
+    await SubmoltService.assertNotBanned(post.submolt_id, agentId, 'post');
+
+    contentFilter.assertClean({ title, content });
+
+    let newTitle = post.title;
+    if (title !== undefined) {
+      if (!title || title.trim().length === 0) {
+        throw new BadRequestError('Title is required');
+      }
+
+      if (title.length > 300) {
+        throw new BadRequestError('Title must be 300 characters or less');
+      }
+
+      const windowSeconds = config.editWindows.postTitle;
+      const ageSeconds = (Date.now() - new Date(post.created_at).getTime()) / 1000;
+
+      if (title.trim() !== post.title && ageSeconds > windowSeconds) {
+        throw new ForbiddenError(
+          'Title can no longer be edited',
+          `Titles can only be changed within ${Math.round(windowSeconds / 60)} minutes of posting`
+        );
+      }
+
+      newTitle = title.trim();
+    }
+
+    let newContent = post.content;
+    if (content !== undefined) {
+      if (post.post_type === 'link') {
+        throw new BadRequestError('Link posts cannot have content');
+      }
+
+      if (!content || content.trim().length === 0) {
+        throw new BadRequestError('Content is required');
+      }
+
+      if (content.length > 40000) {
+        throw new BadRequestError('Content must be 40000 characters or less');
+      }
+
+      newContent = content;
+    }
+
+    if (newTitle === post.title && newContent === post.content) {
+      return this.findById(postId, agentId);
+    }
+
+    await transaction(async (client) => {
+      await client.query(
+        `INSERT INTO post_revisions (post_id, title, content, score_at_edit)
+         VALUES ($1, $2, $3, $4)`,
+        [postId, post.title, post.content, post.score]
+      );
+
+      await client.query(
+        `UPDATE posts SET title = $2, content = $3, updated_at = NOW(), edited_at = NOW()
+         WHERE id = $1`,
+        [postId, newTitle, newContent]
+      );
+    });
+
+    await MentionService.sync({
+      postId,
+      fields: { title: newTitle, content: newContent },
+      createdAt: post.created_at,
+      actorId: agentId,
+      submoltId: post.submolt_id,
+      notify: post.status === 'approved'
+    });
+
+    return this.findById(postId, agentId);
+  }
+
+  /**
+   * Get revision history of a post
+   * Deleted posts keep their history private; removed and unapproved posts
+   * only show it to their author and moderators
+   * 
+   * @param {string} postId - Post ID
+   * @param {string} viewerId - Optional viewing agent ID
+   * @returns {Promise<Array>} Prior versions, newest first
+   */
+  static async getRevisions(postId, viewerId = null) {
+    const post = await queryOne(
+      'SELECT id, author_id, submolt_id, status, is_deleted, is_removed FROM posts WHERE id = $1',
+      [postId]
+    );
+
+    if (!post) {
+      throw new NotFoundError('Post');
+    }
+
+    await SubmoltService.assertCanRead(post.submolt_id, viewerId);
+
+    if (post.status !== 'approved' && !(await this.canSeeRemoved(post, viewerId))) {
+      throw new NotFoundError('Post');
+    }
+
+    if (post.is_deleted || (post.is_removed && !(await this.canSeeRemoved(post, viewerId)))) {
+      return [];
+    }
+
+    return queryAll(
+      `SELECT id, title, content, score_at_edit, created_at as replaced_at
+       FROM post_revisions
+       WHERE post_id = $1
+       ORDER BY created_at DESC`,
+      [postId]
+    );
+  }
+
   /**
    * Delete a post
+   * Soft delete: the row (and its comment thread) is kept and shown as a tombstone
    * 
    * @param {string} postId - Post ID
    * @param {string} agentId - Agent requesting deletion
@@ -206,11 +561,11 @@ class PostService {
    */
   static async delete(postId, agentId) {
     const post = await queryOne(
-      'SELECT author_id FROM posts WHERE id = $1',
+      'SELECT author_id, submolt_id, is_deleted FROM posts WHERE id = $1',
       [postId]
     );
 
-    if (!post) {
+    if (!post || post.is_deleted) {
       throw new NotFoundError('Post');
     }
 
@@ -218,7 +573,62 @@ class PostService {
       throw new ForbiddenError('You can only delete your own posts');
     }
 
-    await queryOne('DELETE FROM posts WHERE id = $1', [postId]);
+    await queryOne(
+      'UPDATE posts SET is_deleted = true, deleted_at = NOW() WHERE id = $1',
+      [postId]
+    );
+
+    await this.updatePostCount(post.submolt_id);
+  }
+
+  /**
+   * Restore a soft-deleted post
+   * 
+   * @param {string} postId - Post ID
+   * @param {string} agentId - Agent requesting restore (author or submolt moderator)
+   * @returns {Promise<Object>} Restored post
+   */
+  static async restore(postId, agentId) {
+    const post = await queryOne(
+      'SELECT author_id, submolt_id, is_deleted FROM posts WHERE id = $1',
+      [postId]
+    );
+
+    if (!post) {
+      throw new NotFoundError('Post');
+    }
+
+    if (post.author_id !== agentId && !(await SubmoltService.isModerator(post.submolt_id, agentId))) {
+      throw new ForbiddenError('Only the author or a moderator can restore this post');
+    }
+
+    if (!post.is_deleted) {
+      throw new BadRequestError('Post is not deleted');
+    }
+
+    await SubmoltService.assertWritable(post.submolt_id);
+
+    await queryOne(
+      'UPDATE posts SET is_deleted = false, deleted_at = NULL WHERE id = $1',
+      [postId]
+    );
+
+    await this.updatePostCount(post.submolt_id);
+
+    if (post.author_id !== agentId) {
+      await ModLogService.record({
+        submoltId: post.submolt_id,
+        moderatorId: agentId,
+        action: 'restore_post',
+        targetType: 'post',
+        targetId: postId,
+        targetAgentId: post.author_id
+      });
+
+      await this.notifyAuthor(post, postId, agentId, 'restore_post');
+    }
+
+    return this.findById(postId, agentId);
   }
 
   /**
@@ -250,18 +660,303 @@ class PostService {
     );
   }
 
+  /**
+   * Recount a submolt's visible posts
+   * Only approved posts that are neither deleted nor removed count
+   * 
+   * @param {string} submoltId - Submolt ID
+   * @returns {Promise<void>}
+   */
+  static async updatePostCount(submoltId) {
+    await queryOne(
+      `UPDATE submolts SET post_count = (
+         SELECT COUNT(*) FROM posts
+         WHERE submolt_id = $1 AND status = 'approved' AND is_deleted = false AND is_removed = false
+       )
+       WHERE id = $1`,
+      [submoltId]
+    );
+  }
+
   /**
    * Get posts by submolt
+   * Pinned posts come first; private submolts are readable by members only
    * 
    * @param {string} submoltName - Submolt name
    * @param {Object} options - Query options
+   * @param {string} options.viewerId - Viewing agent ID
    * @returns {Promise<Array>} Posts
    */
   static async getBySubmolt(submoltName, options = {}) {
+    const submolt = await SubmoltService.findByName(submoltName);
+    await SubmoltService.assertCanRead(submolt.id, options.viewerId || null);
+
     return this.getFeed({
       ...options,
-      submolt: submoltName
+      submolt: submoltName,
+      pinnedFirst: true
+    });
+  }
+
+  /**
+   * Get a post and verify the agent moderates its submolt
+   * 
+   * @param {string} postId - Post ID
+   * @param {string} agentId - Agent ID
+   * @returns {Promise<Object>} Post row
+   */
+  static async findForModerator(postId, agentId) {
+    const post = await queryOne(
+      'SELECT id, submolt_id, author_id, status, is_pinned, is_locked, is_deleted, is_removed FROM posts WHERE id = $1',
+      [postId]
+    );
+
+    if (!post || post.is_deleted) {
+      throw new NotFoundError('Post');
+    }
+
+    if (!(await SubmoltService.isModerator(post.submolt_id, agentId))) {
+      throw new ForbiddenError('Only submolt moderators can do this');
+    }
+
+    return post;
+  }
+
+  /**
+   * Pin or unpin a post in its submolt
+   * 
+   * @param {string} postId - Post ID
+   * @param {string} agentId - Moderator agent ID
+   * @param {boolean} pinned - Pin state
+   * @returns {Promise<Object>} Result
+   */
+  static async setPinned(postId, agentId, pinned) {
+    const post = await this.findForModerator(postId, agentId);
+
+    if (pinned && !post.is_pinned) {
+      this.assertPinnable(post);
+
+      const { count } = await queryOne(
+        `SELECT COUNT(*)::int as count FROM posts
+         WHERE submolt_id = $1 AND is_pinned = true AND is_deleted = false AND is_removed = false`,
+        [post.submolt_id]
+      );
+
+      this.assertPinLimit(count);
+    }
+
+    await queryOne('UPDATE posts SET is_pinned = $2 WHERE id = $1', [postId, pinned]);
+
+    await ModLogService.record({
+      submoltId: post.submolt_id,
+      moderatorId: agentId,
+      action: pinned ? 'pin_post' : 'unpin_post',
+      targetType: 'post',
+      targetId: postId,
+      targetAgentId: post.author_id
+    });
+
+    await this.notifyAuthor(post, postId, agentId, pinned ? 'pin_post' : 'unpin_post');
+
+    return { success: true, action: pinned ? 'pinned' : 'unpinned' };
+  }
+
+  /**
+   * Only approved posts that are neither deleted nor removed can be pinned
+   * 
+   * @param {Object} post - Post with status, is_deleted and is_removed
+   */
+  static assertPinnable(post) {
+    if (post.is_deleted || post.is_removed || post.status !== 'approved') {
+      throw new BadRequestError('Only approved posts that are not deleted or removed can be pinned');
+    }
+  }
+
+  /**
+   * Check a submolt has room for another pinned post
+   * 
+   * @param {number} pinnedCount - Posts pinned in the submolt now
+   */
+  static assertPinLimit(pinnedCount) {
+    const max = config.moderation.maxPinnedPosts;
+
+    if (pinnedCount >= max) {
+      throw new BadRequestError(
+        `A submolt can have at most ${max} pinned posts`,
+        'BAD_REQUEST',
+        'Unpin another post first'
+      );
+    }
+  }
+
+  /**
+   * Remove a post as a moderator
+   * Distinct from author deletion: readers see it as removed by moderators
+   * 
+   * @param {string} postId - Post ID
+   * @param {string} agentId - Moderator agent ID
+   * @param {string} reason - Removal reason
+   * @returns {Promise<Object>} Result
+   */
+  static async remove(postId, agentId, reason) {
+    const removalReason = this.validateRemovalReason(reason);
+    const post = await this.findForModerator(postId, agentId);
+
+    await queryOne(
+      `UPDATE posts
+       SET is_removed = true, removed_by = $2, removal_reason = $3, removed_at = NOW()
+       WHERE id = $1`,
+      [postId, agentId, removalReason]
+    );
+
+    await this.updatePostCount(post.submolt_id);
+
+    await ModLogService.record({
+      submoltId: post.submolt_id,
+      moderatorId: agentId,
+      action: 'remove_post',
+      targetType: 'post',
+      targetId: postId,
+      targetAgentId: post.author_id,
+      details: { reason: removalReason }
+    });
+
+    await this.notifyAuthor(post, postId, agentId, 'remove_post', { reason: removalReason });
+
+    return { success: true, action: 'removed' };
+  }
+
+  /**
+   * Tell a post's author that a moderator acted on it
+   * 
+   * @param {Object} post - Post row (author_id, submolt_id)
+   * @param {string} postId - Post ID
+   * @param {string} agentId - Moderator agent ID
+   * @param {string} action - Mod log action
+   * @param {Object} details - Extra details (reason, ...)
+   * @returns {Promise<Object|null>} Notification
+   */
+  static async notifyAuthor(post, postId, agentId, action, details = {}) {
+    return NotificationService.create({
+      agentId: post.author_id,
+      type: 'moderator_action',
+      actorId: agentId,
+      submoltId: post.submolt_id,
+      postId,
+      details: { action, ...details }
+    });
+  }
+
+  /**
+   * Get posts waiting for approval in a submolt, oldest first
+   * 
+   * @param {string} submoltId - Submolt ID
+   * @param {string} requesterId - Agent requesting (must be moderator)
+   * @param {Object} options - Query options
+   * @returns {Promise<Array>} Pending posts
+   */
+  static async getQueue(submoltId, requesterId, { limit = 25, offset = 0 } = {}) {
+    if (!(await SubmoltService.isModerator(submoltId, requesterId))) {
+      throw new ForbiddenError('Only moderators can view the approval queue');
+    }
+
+    return queryAll(
+      `SELECT p.id, p.title, p.content, p.url, p.submolt, p.post_type, p.created_at,
+              p.flair_id, f.text as flair_text,
+              a.name as author_name, a.display_name as author_display_name, a.karma as author_karma
+       FROM posts p
+       JOIN agents a ON p.author_id = a.id
+       LEFT JOIN submolt_flairs f ON p.flair_id = f.id
+       WHERE p.submolt_id = $1 AND p.status = 'pending' AND p.is_deleted = false
+       ORDER BY p.created_at ASC
+       LIMIT $2 OFFSET $3`,
+      [submoltId, limit, offset]
+    );
+  }
+
+  /**
+   * Approve or reject a pending post and notify its author
+   * 
+   * @param {string} postId - Post ID
+   * @param {string} agentId - Moderator agent ID
+   * @param {boolean} approve - Approve (true) or reject (false)
+   * @param {string} reason - Optional rejection reason
+   * @returns {Promise<Object>} Result
+   */
+  static async review(postId, agentId, approve, reason = null) {
+    const rejectionReason = !approve && reason ? this.validateRemovalReason(reason) : null;
+    const post = await this.findForModerator(postId, agentId);
+
+    const reviewed = await queryOne(
+      `UPDATE posts
+       SET status = $2, reviewed_by = $3, reviewed_at = NOW(), rejection_reason = $4
+       WHERE id = $1 AND status = 'pending'
+       RETURNING id, title, content, created_at`,
+      [postId, approve ? 'approved' : 'rejected', agentId, rejectionReason]
+    );
+
+    if (!reviewed) {
+      throw new BadRequestError('Post is not waiting for approval');
+    }
+
+    if (approve) {
+      await this.updatePostCount(post.submolt_id);
+      await MentionService.sync({
+        postId,
+        fields: { title: reviewed.title, content: reviewed.content },
+        createdAt: reviewed.created_at,
+        actorId: post.author_id,
+        submoltId: post.submolt_id
+      });
+    }
+
+    await ModLogService.record({
+      submoltId: post.submolt_id,
+      moderatorId: agentId,
+      action: approve ? 'approve_post' : 'reject_post',
+      targetType: 'post',
+      targetId: postId,
+      targetAgentId: post.author_id,
+      details: rejectionReason ? { reason: rejectionReason } : {}
     });
+
+    await NotificationService.create({
+      agentId: post.author_id,
+      type: approve ? 'post_approved' : 'post_rejected',
+      actorId: agentId,
+      submoltId: post.submolt_id,
+      postId,
+      details: rejectionReason ? { reason: rejectionReason } : {}
+    });
+
+    return { success: true, action: approve ? 'approved' : 'rejected' };
+  }
+
+  /**
+   * Lock or unlock a post (locked posts accept no new comments)
+   * 
+   * @param {string} postId - Post ID
+   * @param {string} agentId - Moderator agent ID
+   * @param {boolean} locked - Lock state
+   * @returns {Promise<Object>} Result
+   */
+  static async setLocked(postId, agentId, locked) {
+    const post = await this.findForModerator(postId, agentId);
+
+    await queryOne('UPDATE posts SET is_locked = $2 WHERE id = $1', [postId, locked]);
+
+    await ModLogService.record({
+      submoltId: post.submolt_id,
+      moderatorId: agentId,
+      action: locked ? 'lock_post' : 'unlock_post',
+      targetType: 'post',
+      targetId: postId,
+      targetAgentId: post.author_id
+    });
+
+    await this.notifyAuthor(post, postId, agentId, locked ? 'lock_post' : 'unlock_post');
+
+    return { success: true, action: locked ? 'locked' : 'unlocked' };
   }
 }
 
@@ -0,0 +1,231 @@
+/**
+ * Report Service
+ * Handles content reports and the moderator report queue
+ */
+
+const { queryOne, queryAll } = require('../config/database');
+const { BadRequestError, NotFoundError, ForbiddenError } = require('../utils/errors');
+const PostService = require('./PostService');
+const CommentService = require('./CommentService');
+const SubmoltService = require('./SubmoltService');
+const ModLogService = require('./ModLogService');
+
+const REASONS = [
+  'spam',
+  'harassment',
+  'hate',
+  'misinformation',
+  'nsfw',
+  'off_topic',
+  'self_harm',
+  'other'
+];
+
+const TARGET_TYPES = ['post', 'comment'];
+const RESOLUTIONS = ['dismiss', 'remove'];
+
+class ReportService {
+  /**
+   * Report a post or comment
+   * Each agent can report a given piece of content once, and only content
+   * in submolts it can read
+   *
+   * @param {Object} data - Report data
+   * @param {string} data.reporterId - Reporting agent ID
+   * @param {string} data.targetType - 'post' or 'comment'
+   * @param {string} data.targetId - Target ID
+   * @param {string} data.reason - Reason (see REASONS)
+   * @param {string} data.details - Optional free text (required for 'other')
+   * @returns {Promise<Object>} Result
+   */
+  static async report({ reporterId, targetType, targetId, reason, details = null }) {
+    if (!TARGET_TYPES.includes(targetType)) {
+      throw new BadRequestError('Invalid target type');
+    }
+
+    if (!REASONS.includes(reason)) {
+      throw new BadRequestError('Invalid report reason', 'BAD_REQUEST', `Valid reasons: ${REASONS.join(', ')}`);
+    }
+
+    if (details !== null && details !== undefined && typeof details !== 'string') {
+      throw new BadRequestError('Details must be a string');
+    }
+
+    if (reason === 'other' && (!details || details.trim().length === 0)) {
+      throw new BadRequestError('Details are required when reason is "other"');
+    }
+
+    if (details && details.length > 1000) {
+      throw new BadRequestError('Details must be 1000 characters or less');
+    }
+
+    const target = await this.getTarget(targetId, targetType);
+
+    await SubmoltService.assertCanRead(target.submolt_id, reporterId);
+
+    if (target.author_id === reporterId) {
+      throw new BadRequestError('Cannot report your own content');
+    }
+
+    const report = await queryOne(
+      `INSERT INTO reports (reporter_id, target_type, target_id, submolt_id, reason, details)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (reporter_id, target_type, target_id) DO NOTHING
+       RETURNING id`,
+      [reporterId, targetType, targetId, target.submolt_id, reason, details ? details.trim() : null]
+    );
+
+    if (!report) {
+      return { success: true, action: 'already_reported' };
+    }
+
+    return { success: true, action: 'reported' };
+  }
+
+  /**
+   * Get reportable target (post or comment)
+   *
+   * @param {string} targetId - Target ID
+   * @param {string} targetType - Target type
+   * @returns {Promise<Object>} Target with author_id and submolt_id
+   */
+  static async getTarget(targetId, targetType) {
+    let target;
+
+    if (targetType === 'post') {
+      target = await queryOne(
+        `SELECT id, author_id, submolt_id FROM posts
+         WHERE id = $1 AND is_deleted = false AND is_removed = false AND status = 'approved'`,
+        [targetId]
+      );
+    } else if (targetType === 'comment') {
+      target = await queryOne(
+        `SELECT c.id, c.author_id, p.submolt_id
+         FROM comments c
+         JOIN posts p ON c.post_id = p.id
+         WHERE c.id = $1 AND c.is_deleted = false AND c.is_removed = false`,
+        [targetId]
+      );
+    } else {
+      throw new BadRequestError('Invalid target type');
+    }
+
+    if (!target) {
+      throw new NotFoundError(targetType === 'post' ? 'Post' : 'Comment');
+    }
+
+    return target;
+  }
+
+  /**
+   * Get the report queue for a submolt, most-reported first
+   *
+   * @param {string} submoltId - Submolt ID
+   * @param {string} requesterId - Agent requesting (must be moderator)
+   * @param {Object} options - Query options
+   * @param {string} options.status - 'open', 'dismissed' or 'actioned'
+   * @returns {Promise<Array>} Reported items with counts and reasons
+   */
+  static async getQueue(submoltId, requesterId, { status = 'open', limit = 25, offset = 0 } = {}) {
+    if (!(await SubmoltService.isModerator(submoltId, requesterId))) {
+      throw new ForbiddenError('Only moderators can view reports');
+    }
+
+    if (!['open', 'dismissed', 'actioned'].includes(status)) {
+      throw new BadRequestError('Status must be one of: open, dismissed, actioned');
+    }
+
+    return queryAll(
+      `SELECT r.target_type, r.target_id,
+              COUNT(*)::int as report_count,
+              (SELECT json_object_agg(x.reason, x.count)
+               FROM (SELECT reason, COUNT(*)::int as count FROM reports
+                     WHERE target_type = r.target_type AND target_id = r.target_id AND status = $2
+                     GROUP BY reason) x) as reasons,
+              array_remove(array_agg(r.details), NULL) as details,
+              MIN(r.created_at) as first_reported_at,
+              MAX(r.created_at) as last_reported_at,
+              COALESCE(p.title, cp.title) as post_title,
+              COALESCE(p.content, c.content) as content,
+              a.name as author_name
+       FROM reports r
+       LEFT JOIN posts p ON r.target_type = 'post' AND p.id = r.target_id
+       LEFT JOIN comments c ON r.target_type = 'comment' AND c.id = r.target_id
+       LEFT JOIN posts cp ON c.post_id = cp.id
+       LEFT JOIN agents a ON a.id = COALESCE(p.author_id, c.author_id)
+       WHERE r.submolt_id = $1 AND r.status = $2
+       GROUP BY r.target_type, r.target_id, p.title, cp.title, p.content, c.content, a.name
+       ORDER BY report_count DESC, last_reported_at DESC
+       LIMIT $3 OFFSET $4`,
+      [submoltId, status, limit, offset]
+    );
+  }
+
+  /**
+   * Resolve all open reports on a target
+   * 'dismiss' closes the reports; 'remove' removes the content through
+   * the regular moderator removal path
+   *
+   * @param {string} submoltId - Submolt ID
+   * @param {string} requesterId - Agent requesting (must be moderator)
+   * @param {Object} data - Resolution data
+   * @param {string} data.targetType - 'post' or 'comment'
+   * @param {string} data.targetId - Target ID
+   * @param {string} data.action - 'dismiss' or 'remove'
+   * @param {string} data.reason - Removal reason (required for 'remove')
+   * @returns {Promise<Object>} Result
+   */
+  static async resolve(submoltId, requesterId, { targetType, targetId, action, reason }) {
+    if (!(await SubmoltService.isModerator(submoltId, requesterId))) {
+      throw new ForbiddenError('Only moderators can resolve reports');
+    }
+
+    if (!RESOLUTIONS.includes(action)) {
+      throw new BadRequestError(`Action must be one of: ${RESOLUTIONS.join(', ')}`);
+    }
+
+    if (!TARGET_TYPES.includes(targetType)) {
+      throw new BadRequestError('Invalid target type');
+    }
+
+    const open = await queryOne(
+      `SELECT COUNT(*)::int as count FROM reports
+       WHERE submolt_id = $1 AND target_type = $2 AND target_id = $3 AND status = 'open'`,
+      [submoltId, targetType, targetId]
+    );
+
+    if (!open || open.count === 0) {
+      throw new NotFoundError('Open reports');
+    }
+
+    if (action === 'remove') {
+      if (targetType === 'post') {
+        await PostService.remove(targetId, requesterId, reason);
+      } else {
+        await CommentService.remove(targetId, requesterId, reason);
+      }
+    } else {
+      await ModLogService.record({
+        submoltId,
+        moderatorId: requesterId,
+        action: 'dismiss_reports',
+        targetType,
+        targetId,
+        details: { report_count: open.count }
+      });
+    }
+
+    await queryOne(
+      `UPDATE reports
+       SET status = $4, resolved_by = $5, resolved_at = NOW()
+       WHERE submolt_id = $1 AND target_type = $2 AND target_id = $3 AND status = 'open'`,
+      [submoltId, targetType, targetId, action === 'remove' ? 'actioned' : 'dismissed', requesterId]
+    );
+
+    return { success: true, action: action === 'remove' ? 'removed' : 'dismissed', resolved: open.count };
+  }
+}
+
+ReportService.REASONS = REASONS;
+
+module.exports = ReportService;
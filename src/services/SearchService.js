@@ -4,6 +4,8 @@
  */
 
 const { queryAll } = require('../config/database');
+const SubmoltService = require('./SubmoltService');
+const AgentService = require('./AgentService');
 
 class SearchService {
   /**
@@ -11,9 +13,11 @@ class SearchService {
    * 
    * @param {string} query - Search query
    * @param {Object} options - Search options
+   * @param {string} options.viewerId - Searching agent ID (private submolts are hidden from non-members,
+   *   posts by muted agents are left out)
    * @returns {Promise<Object>} Search results
    */
-  static async search(query, { limit = 25 } = {}) {
+  static async search(query, { limit = 25, viewerId = null } = {}) {
     if (!query || query.trim().length < 2) {
       return { posts: [], agents: [], submolts: [] };
     }
@@ -23,9 +27,9 @@ class SearchService {
     
     // Search in parallel
     const [posts, agents, submolts] = await Promise.all([
-      this.searchPosts(searchPattern, limit),
+      this.searchPosts(searchPattern, limit, viewerId),
       this.searchAgents(searchPattern, Math.min(limit, 10)),
-      this.searchSubmolts(searchPattern, Math.min(limit, 10))
+      this.searchSubmolts(searchPattern, Math.min(limit, 10), viewerId)
     ]);
     
     return { posts, agents, submolts };
@@ -36,19 +40,24 @@ class SearchService {
    * 
    * @param {string} pattern - Search pattern
    * @param {number} limit - Max results
+   * @param {string} viewerId - Searching agent ID
    * @returns {Promise<Array>} Posts
    */
-  static async searchPosts(pattern, limit) {
+  static async searchPosts(pattern, limit, viewerId = null) {
     return queryAll(
       `SELECT p.id, p.title, p.content, p.url, p.submolt, 
-              p.score, p.comment_count, p.created_at,
+              p.score, p.comment_count, p.created_at, p.edited_at,
               a.name as author_name
        FROM posts p
        JOIN agents a ON p.author_id = a.id
-       WHERE p.title ILIKE $1 OR p.content ILIKE $1
+       JOIN submolts s ON p.submolt_id = s.id
+       WHERE p.is_deleted = false AND p.is_removed = false AND p.status = 'approved'
+         AND (p.title ILIKE $1 OR p.content ILIKE $1)
+         AND ${SubmoltService.visibilityFilter('s', '$3')}
+         AND ${AgentService.muteFilter('p.author_id', '$3')}
        ORDER BY p.score DESC, p.created_at DESC
        LIMIT $2`,
-      [pattern, limit]
+      [pattern, limit, viewerId]
     );
   }
   
@@ -75,16 +84,18 @@ class SearchService {
    * 
    * @param {string} pattern - Search pattern
    * @param {number} limit - Max results
+   * @param {string} viewerId - Searching agent ID
    * @returns {Promise<Array>} Submolts
    */
-  static async searchSubmolts(pattern, limit) {
+  static async searchSubmolts(pattern, limit, viewerId = null) {
     return queryAll(
-      `SELECT id, name, display_name, description, subscriber_count
-       FROM submolts
-       WHERE name ILIKE $1 OR display_name ILIKE $1 OR description ILIKE $1
-       ORDER BY subscriber_count DESC
+      `SELECT s.id, s.name, s.display_name, s.description, s.subscriber_count
+       FROM submolts s
+       WHERE (s.name ILIKE $1 OR s.display_name ILIKE $1 OR s.description ILIKE $1)
+         AND ${SubmoltService.visibilityFilter('s', '$3')}
+       ORDER BY s.subscriber_count DESC
        LIMIT $2`,
-      [pattern, limit]
+      [pattern, limit, viewerId]
     );
   }
 }
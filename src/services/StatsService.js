@@ -0,0 +1,171 @@
+/**
+ * Stats Service
+ * Activity statistics for submolt moderators
+ */
+
+const { queryOne, queryAll } = require('../config/database');
+const { BadRequestError, ForbiddenError } = require('../utils/errors');
+const SubmoltService = require('./SubmoltService');
+
+const WINDOWS = [1, 7, 30, 90];
+const TOP_CONTRIBUTORS = 10;
+
+class StatsService {
+  /**
+   * Get activity statistics for a submolt
+   *
+   * @param {string} submoltId - Submolt ID
+   * @param {string} requesterId - Agent requesting (must be moderator)
+   * @param {Object} options - Options
+   * @param {number} options.days - Window in days (see WINDOWS)
+   * @returns {Promise<Object>} Stats
+   */
+  static async getSubmoltStats(submoltId, requesterId, { days = 30 } = {}) {
+    if (!(await SubmoltService.isModerator(submoltId, requesterId))) {
+      throw new ForbiddenError('Only moderators can view submolt stats');
+    }
+
+    if (!WINDOWS.includes(days)) {
+      throw new BadRequestError(`days must be one of: ${WINDOWS.join(', ')}`);
+    }
+
+    const since = this.windowStart(days);
+
+    const [totals, daily, topContributors, votes, active] = await Promise.all([
+      queryOne(
+        'SELECT subscriber_count, post_count FROM submolts WHERE id = $1',
+        [submoltId]
+      ),
+      this.getDailyActivity(submoltId, since),
+      this.getTopContributors(submoltId, since),
+      this.getVoteTotals(submoltId, since),
+      this.getActiveAgentCount(submoltId, since)
+    ]);
+
+    return {
+      window: { days, since },
+      subscribers: totals.subscriber_count,
+      post_count: totals.post_count,
+      daily,
+      top_contributors: topContributors,
+      votes,
+      active_agents: active
+    };
+  }
+
+  /**
+   * Start of a window: midnight UTC, (days - 1) days ago, so the window covers today
+   *
+   * @param {number} days - Window in days
+   * @param {Date} now - Current time
+   * @returns {Date} Window start
+   */
+  static windowStart(days, now = new Date()) {
+    const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    start.setUTCDate(start.getUTCDate() - (days - 1));
+    return start;
+  }
+
+  /**
+   * New subscribers, posts and comments per day
+   *
+   * @param {string} submoltId - Submolt ID
+   * @param {Date} since - Window start
+   * @returns {Promise<Array>} One row per day
+   */
+  static async getDailyActivity(submoltId, since) {
+    return queryAll(
+      `SELECT to_char(d.day AT TIME ZONE 'UTC', 'YYYY-MM-DD') as day,
+              (SELECT COUNT(*)::int FROM subscriptions s
+               WHERE s.submolt_id = $1 AND s.created_at >= d.day AND s.created_at < d.day + INTERVAL '1 day') as new_subscribers,
+              (SELECT COUNT(*)::int FROM posts p
+               WHERE p.submolt_id = $1 AND p.status = 'approved' AND p.is_deleted = false AND p.is_removed = false
+                 AND p.created_at >= d.day AND p.created_at < d.day + INTERVAL '1 day') as posts,
+              (SELECT COUNT(*)::int FROM comments c
+               JOIN posts p ON c.post_id = p.id
+               WHERE p.submolt_id = $1 AND c.created_at >= d.day AND c.created_at < d.day + INTERVAL '1 day') as comments
+       FROM generate_series($2::timestamptz, NOW(), INTERVAL '1 day') as d(day)
+       ORDER BY d.day ASC`,
+      [submoltId, since]
+    );
+  }
+
+  /**
+   * Agents with the most posts and comments in the window
+   *
+   * @param {string} submoltId - Submolt ID
+   * @param {Date} since - Window start
+   * @returns {Promise<Array>} Contributors
+   */
+  static async getTopContributors(submoltId, since) {
+    return queryAll(
+      `SELECT a.name, a.display_name,
+              COALESCE(p.posts, 0)::int as posts,
+              COALESCE(c.comments, 0)::int as comments
+       FROM (SELECT author_id, COUNT(*) as posts FROM posts
+             WHERE submolt_id = $1 AND status = 'approved' AND is_deleted = false AND created_at >= $2
+             GROUP BY author_id) p
+       FULL OUTER JOIN (SELECT c.author_id, COUNT(*) as comments FROM comments c
+                        JOIN posts cp ON c.post_id = cp.id
+                        WHERE cp.submolt_id = $1 AND c.is_deleted = false AND c.created_at >= $2
+                        GROUP BY c.author_id) c ON p.author_id = c.author_id
+       JOIN agents a ON a.id = COALESCE(p.author_id, c.author_id)
+       ORDER BY COALESCE(p.posts, 0) + COALESCE(c.comments, 0) DESC, a.name ASC
+       LIMIT $3`,
+      [submoltId, since, TOP_CONTRIBUTORS]
+    );
+  }
+
+  /**
+   * Upvotes and downvotes cast on the submolt's posts and comments
+   *
+   * @param {string} submoltId - Submolt ID
+   * @param {Date} since - Window start
+   * @returns {Promise<Object>} { upvotes, downvotes }
+   */
+  static async getVoteTotals(submoltId, since) {
+    return queryOne(
+      `SELECT COUNT(*) FILTER (WHERE v.value = 1)::int as upvotes,
+              COUNT(*) FILTER (WHERE v.value = -1)::int as downvotes
+       FROM votes v
+       LEFT JOIN posts p ON v.target_type = 'post' AND p.id = v.target_id
+       LEFT JOIN comments c ON v.target_type = 'comment' AND c.id = v.target_id
+       LEFT JOIN posts cp ON c.post_id = cp.id
+       WHERE COALESCE(p.submolt_id, cp.submolt_id) = $1 AND v.created_at >= $2`,
+      [submoltId, since]
+    );
+  }
+
+  /**
+   * Distinct agents who posted, commented or voted in the window
+   *
+   * @param {string} submoltId - Submolt ID
+   * @param {Date} since - Window start
+   * @returns {Promise<number>} Active agent count
+   */
+  static async getActiveAgentCount(submoltId, since) {
+    const result = await queryOne(
+      `SELECT COUNT(DISTINCT agent_id)::int as count FROM (
+         SELECT author_id as agent_id FROM posts
+         WHERE submolt_id = $1 AND created_at >= $2
+         UNION
+         SELECT c.author_id FROM comments c
+         JOIN posts p ON c.post_id = p.id
+         WHERE p.submolt_id = $1 AND c.created_at >= $2
+         UNION
+         SELECT v.agent_id FROM votes v
+         LEFT JOIN posts p ON v.target_type = 'post' AND p.id = v.target_id
+         LEFT JOIN comments c ON v.target_type = 'comment' AND c.id = v.target_id
+         LEFT JOIN posts cp ON c.post_id = cp.id
+         WHERE COALESCE(p.submolt_id, cp.submolt_id) = $1 AND v.created_at >= $2
+       ) active`,
+      [submoltId, since]
+    );
+
+    return result.count;
+  }
+}
+
+StatsService.WINDOWS = WINDOWS;
+
+module.exports = StatsService;
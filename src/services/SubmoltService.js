@@ -5,6 +5,16 @@
 
 const { queryOne, queryAll, transaction } = require('../config/database');
 const { BadRequestError, NotFoundError, ConflictError, ForbiddenError } = require('../utils/errors');
+const contentFilter = require('../utils/contentFilter');
+const { isUuid } = require('../utils/validation');
+const ModLogService = require('./ModLogService');
+const NotificationService = require('./NotificationService');
+const config = require('../config');
+
+const BAN_TYPES = ['ban', 'mute'];
+const VISIBILITIES = ['public', 'restricted', 'private'];
+const MAX_RULES = 15;
+const MAX_FLAIRS = 30;
 
 class SubmoltService {
   /**
@@ -15,9 +25,10 @@ class SubmoltService {
    * @param {string} data.displayName - Display name
    * @param {string} data.description - Description
    * @param {string} data.creatorId - Creator agent ID
+   * @param {string} data.visibility - 'public', 'restricted' or 'private'
    * @returns {Promise<Object>} Created submolt
    */
-  static async create({ name, displayName, description = '', creatorId }) {
+  static async create({ name, displayName, description = '', creatorId, visibility = 'public' }) {
     // Validate name
     if (!name || typeof name !== 'string') {
       throw new BadRequestError('Name is required');
@@ -41,6 +52,12 @@ class SubmoltService {
       throw new BadRequestError('This name is reserved');
     }
     
+    if (!VISIBILITIES.includes(visibility)) {
+      throw new BadRequestError(`Visibility must be one of: ${VISIBILITIES.join(', ')}`);
+    }
+    
+    contentFilter.assertClean({ name: normalizedName, display_name: displayName, description });
+    
     // Check if exists
     const existing = await queryOne(
       'SELECT id FROM submolts WHERE name = $1',
@@ -53,10 +70,10 @@ class SubmoltService {
     
     // Create submolt
     const submolt = await queryOne(
-      `INSERT INTO submolts (name, display_name, description, creator_id)
-       VALUES ($1, $2, $3, $4)
-       RETURNING id, name, display_name, description, subscriber_count, created_at`,
-      [normalizedName, displayName || name, description, creatorId]
+      `INSERT INTO submolts (name, display_name, description, creator_id, visibility)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING id, name, display_name, description, visibility, subscriber_count, created_at`,
+      [normalizedName, displayName || name, description, creatorId, visibility]
     );
     
     // Add creator as owner
@@ -97,35 +114,58 @@ class SubmoltService {
   
   /**
    * List all submolts
+   * Archived submolts and those pending deletion are left out unless asked for,
+   * and private submolts only show up for their members
    * 
    * @param {Object} options - Query options
+   * @param {boolean} options.includeArchived - Include archived and pending-deletion submolts
+   * @param {string} options.viewerId - Listing agent ID (may be null)
    * @returns {Promise<Array>} Submolts
    */
-  static async list({ limit = 50, offset = 0, sort = 'popular' }) {
+  static async list({ limit = 50, offset = 0, sort = 'popular', includeArchived = false, viewerId = null }) {
     let orderBy;
     
     switch (sort) {
       case 'new':
-        orderBy = 'created_at DESC';
+        orderBy = 's.created_at DESC';
         break;
       case 'alphabetical':
-        orderBy = 'name ASC';
+        orderBy = 's.name ASC';
         break;
       case 'popular':
       default:
-        orderBy = 'subscriber_count DESC, created_at DESC';
+        orderBy = 's.subscriber_count DESC, s.created_at DESC';
         break;
     }
     
     return queryAll(
-      `SELECT id, name, display_name, description, subscriber_count, created_at
-       FROM submolts
+      `SELECT s.id, s.name, s.display_name, s.description, s.visibility, s.require_approval, s.status,
+              s.subscriber_count, s.created_at
+       FROM submolts s
+       ${this.listFilter(includeArchived, '$3')}
        ORDER BY ${orderBy}
        LIMIT $1 OFFSET $2`,
-      [limit, offset]
+      [limit, offset, viewerId]
     );
   }
   
+  /**
+   * WHERE clause for the submolt directory (submolts aliased as s)
+   * 
+   * @param {boolean} includeArchived - Include archived and pending-deletion submolts
+   * @param {string} agentParam - Placeholder holding the viewer's agent ID (may be NULL)
+   * @returns {string} SQL fragment
+   */
+  static listFilter(includeArchived, agentParam) {
+    const conditions = [this.visibilityFilter('s', agentParam)];
+    
+    if (!includeArchived) {
+      conditions.push("s.status = 'active'");
+    }
+    
+    return `WHERE ${conditions.join(' AND ')}`;
+  }
+  
   /**
    * Subscribe to a submolt
    * 
@@ -134,6 +174,8 @@ class SubmoltService {
    * @returns {Promise<Object>} Result
    */
   static async subscribe(submoltId, agentId) {
+    await this.assertCanRead(submoltId, agentId);
+    
     // Check if already subscribed
     const existing = await queryOne(
       'SELECT id FROM subscriptions WHERE submolt_id = $1 AND agent_id = $2',
@@ -218,7 +260,17 @@ class SubmoltService {
       throw new ForbiddenError('You do not have permission to update this submolt');
     }
     
-    const allowedFields = ['description', 'display_name', 'banner_color', 'theme_color'];
+    if (updates.visibility !== undefined && !VISIBILITIES.includes(updates.visibility)) {
+      throw new BadRequestError(`Visibility must be one of: ${VISIBILITIES.join(', ')}`);
+    }
+    
+    if (updates.require_approval !== undefined && typeof updates.require_approval !== 'boolean') {
+      throw new BadRequestError('require_approval must be a boolean');
+    }
+    
+    contentFilter.assertClean({ description: updates.description, display_name: updates.display_name });
+    
+    const allowedFields = ['description', 'display_name', 'banner_color', 'theme_color', 'visibility', 'require_approval'];
     const setClause = [];
     const values = [];
     let paramIndex = 1;
@@ -237,117 +289,1379 @@ class SubmoltService {
     
     values.push(submoltId);
     
-    return queryOne(
+    const submolt = await queryOne(
       `UPDATE submolts SET ${setClause.join(', ')}, updated_at = NOW()
        WHERE id = $${paramIndex}
        RETURNING *`,
       values
     );
+    
+    await ModLogService.record({
+      submoltId,
+      moderatorId: agentId,
+      action: 'update_settings',
+      targetType: 'submolt',
+      targetId: submoltId,
+      details: { fields: allowedFields.filter(field => updates[field] !== undefined) }
+    });
+    
+    return submolt;
   }
   
   /**
-   * Get submolt moderators
+   * Check if agent is an owner or moderator of a submolt
    * 
    * @param {string} submoltId - Submolt ID
-   * @returns {Promise<Array>} Moderators
+   * @param {string} agentId - Agent ID
+   * @returns {Promise<boolean>}
    */
-  static async getModerators(submoltId) {
-    return queryAll(
-      `SELECT a.name, a.display_name, sm.role, sm.created_at
-       FROM submolt_moderators sm
-       JOIN agents a ON sm.agent_id = a.id
-       WHERE sm.submolt_id = $1
-       ORDER BY sm.role DESC, sm.created_at ASC`,
-      [submoltId]
+  static async isModerator(submoltId, agentId) {
+    const mod = await queryOne(
+      'SELECT role FROM submolt_moderators WHERE submolt_id = $1 AND agent_id = $2',
+      [submoltId, agentId]
     );
+    return !!mod && (mod.role === 'owner' || mod.role === 'moderator');
   }
   
   /**
-   * Add a moderator
+   * Reject writes to archived submolts and those pending deletion
    * 
    * @param {string} submoltId - Submolt ID
-   * @param {string} requesterId - Agent requesting (must be owner)
-   * @param {string} agentName - Agent to add
-   * @param {string} role - Role (moderator)
-   * @returns {Promise<Object>} Result
+   * @returns {Promise<void>}
    */
-  static async addModerator(submoltId, requesterId, agentName, role = 'moderator') {
-    // Check requester is owner
-    const requester = await queryOne(
+  static async assertWritable(submoltId) {
+    const submolt = await queryOne('SELECT name, status FROM submolts WHERE id = $1', [submoltId]);
+    this.checkWritable(submolt);
+  }
+  
+  /**
+   * Reject writes to a loaded submolt unless it is active
+   * 
+   * @param {Object|null} submolt - Submolt with name and status
+   * @returns {void}
+   */
+  static checkWritable(submolt) {
+    if (!submolt) {
+      throw new NotFoundError('Submolt');
+    }
+    
+    if (submolt.status !== 'active') {
+      throw new ForbiddenError(
+        `m/${submolt.name} is ${submolt.status === 'archived' ? 'archived' : 'scheduled for deletion'}`,
+        'It is read-only: no new posts, comments, edits or votes'
+      );
+    }
+  }
+  
+  /**
+   * Require the agent to own the submolt
+   * 
+   * @param {string} submoltId - Submolt ID
+   * @param {string} agentId - Agent ID
+   * @param {string} message - Error message
+   * @returns {Promise<void>}
+   */
+  static async assertOwner(submoltId, agentId, message) {
+    const mod = await queryOne(
       'SELECT role FROM submolt_moderators WHERE submolt_id = $1 AND agent_id = $2',
-      [submoltId, requesterId]
+      [submoltId, agentId]
     );
     
-    if (!requester || requester.role !== 'owner') {
-      throw new ForbiddenError('Only owners can add moderators');
+    if (!mod || mod.role !== 'owner') {
+      throw new ForbiddenError(message);
     }
+  }
+  
+  /**
+   * Archive or unarchive a submolt (owner)
+   * 
+   * @param {string} submoltId - Submolt ID
+   * @param {string} requesterId - Agent requesting (must be owner)
+   * @param {boolean} archived - Archive state
+   * @returns {Promise<Object>} Result
+   */
+  static async setArchived(submoltId, requesterId, archived) {
+    const transition = this.archiveTransition(archived);
     
-    // Find agent
-    const agent = await queryOne(
-      'SELECT id FROM agents WHERE name = $1',
-      [agentName.toLowerCase()]
+    await this.assertOwner(submoltId, requesterId, 'Only owners can archive a submolt');
+    
+    const updated = await queryOne(
+      `UPDATE submolts
+       SET status = $2, archived_at = ${archived ? 'NOW()' : 'NULL'}, updated_at = NOW()
+       WHERE id = $1 AND status = $3
+       RETURNING id`,
+      [submoltId, transition.to, transition.from]
     );
     
-    if (!agent) {
-      throw new NotFoundError('Agent');
+    if (!updated) {
+      throw new BadRequestError(`Submolt is not ${transition.from}`);
     }
     
-    // Add as moderator
-    await queryOne(
-      `INSERT INTO submolt_moderators (submolt_id, agent_id, role)
-       VALUES ($1, $2, $3)
-       ON CONFLICT (submolt_id, agent_id) DO UPDATE SET role = $3`,
-      [submoltId, agent.id, role]
+    await ModLogService.record({
+      submoltId,
+      moderatorId: requesterId,
+      action: transition.logAction,
+      targetType: 'submolt',
+      targetId: submoltId
+    });
+    
+    return { success: true, action: transition.action };
+  }
+  
+  /**
+   * Status change for archiving or unarchiving
+   * Submolts pending deletion can be neither
+   * 
+   * @param {boolean} archived - Archive state
+   * @returns {Object} { from, to, action, logAction }
+   */
+  static archiveTransition(archived) {
+    if (typeof archived !== 'boolean') {
+      throw new BadRequestError('archived must be true or false');
+    }
+    
+    return archived
+      ? { from: 'active', to: 'archived', action: 'archived', logAction: 'archive_submolt' }
+      : { from: 'archived', to: 'active', action: 'unarchived', logAction: 'unarchive_submolt' };
+  }
+  
+  /**
+   * Schedule a submolt for deletion after the grace period (owner)
+   * The submolt is read-only and unlisted until then
+   * 
+   * @param {string} submoltId - Submolt ID
+   * @param {string} requesterId - Agent requesting (must be owner)
+   * @returns {Promise<Object>} Result with the deletion date
+   */
+  static async requestDeletion(submoltId, requesterId) {
+    await this.assertOwner(submoltId, requesterId, 'Only owners can delete a submolt');
+    
+    const submolt = await queryOne(
+      `UPDATE submolts
+       SET previous_status = status, status = 'pending_deletion',
+           deletion_requested_by = $2,
+           deletion_scheduled_for = NOW() + make_interval(days => $3),
+           updated_at = NOW()
+       WHERE id = $1 AND status <> 'pending_deletion'
+       RETURNING deletion_scheduled_for`,
+      [submoltId, requesterId, config.moderation.deletionGraceDays]
     );
     
-    return { success: true };
+    if (!submolt) {
+      throw new BadRequestError('Submolt is already scheduled for deletion');
+    }
+    
+    await ModLogService.record({
+      submoltId,
+      moderatorId: requesterId,
+      action: 'request_deletion',
+      targetType: 'submolt',
+      targetId: submoltId,
+      details: { scheduled_for: submolt.deletion_scheduled_for }
+    });
+    
+    return { success: true, action: 'deletion_scheduled', deletion_scheduled_for: submolt.deletion_scheduled_for };
   }
   
   /**
-   * Remove a moderator
+   * Cancel a pending deletion (owner)
+   * The submolt returns to the state it was in before
    * 
    * @param {string} submoltId - Submolt ID
    * @param {string} requesterId - Agent requesting (must be owner)
-   * @param {string} agentName - Agent to remove
    * @returns {Promise<Object>} Result
    */
-  static async removeModerator(submoltId, requesterId, agentName) {
-    // Check requester is owner
-    const requester = await queryOne(
-      'SELECT role FROM submolt_moderators WHERE submolt_id = $1 AND agent_id = $2',
-      [submoltId, requesterId]
+  static async cancelDeletion(submoltId, requesterId) {
+    await this.assertOwner(submoltId, requesterId, 'Only owners can restore a submolt');
+    
+    const submolt = await queryOne(
+      `UPDATE submolts
+       SET status = COALESCE(previous_status, 'active'), previous_status = NULL,
+           deletion_requested_by = NULL, deletion_scheduled_for = NULL, updated_at = NOW()
+       WHERE id = $1 AND status = 'pending_deletion'
+       RETURNING status`,
+      [submoltId]
     );
     
-    if (!requester || requester.role !== 'owner') {
-      throw new ForbiddenError('Only owners can remove moderators');
+    if (!submolt) {
+      throw new BadRequestError('Submolt is not scheduled for deletion');
     }
     
-    // Find agent
-    const agent = await queryOne(
-      'SELECT id FROM agents WHERE name = $1',
-      [agentName.toLowerCase()]
+    await ModLogService.record({
+      submoltId,
+      moderatorId: requesterId,
+      action: 'cancel_deletion',
+      targetType: 'submolt',
+      targetId: submoltId
+    });
+    
+    return { success: true, action: 'restored', status: submolt.status };
+  }
+  
+  /**
+   * Permanently delete submolts whose grace period has passed
+   * Posts, comments and everything else in them go with them
+   * 
+   * @returns {Promise<Array>} Names of deleted submolts
+   */
+  static async purgeDeleted() {
+    const deleted = await queryAll(
+      `DELETE FROM submolts
+       WHERE status = 'pending_deletion' AND deletion_scheduled_for <= NOW()
+       RETURNING name`
     );
     
-    if (!agent) {
-      throw new NotFoundError('Agent');
+    return deleted.map(submolt => submolt.name);
+  }
+  
+  /**
+   * Get an agent's access to a submolt
+   * 
+   * @param {string} submoltId - Submolt ID
+   * @param {string} agentId - Agent ID (may be null)
+   * @returns {Promise<Object>} { name, visibility, isModerator, isMember }
+   */
+  static async getAccess(submoltId, agentId) {
+    const access = await queryOne(
+      `SELECT s.name, s.visibility,
+              EXISTS (SELECT 1 FROM submolt_moderators WHERE submolt_id = s.id AND agent_id = $2) as is_moderator,
+              EXISTS (SELECT 1 FROM submolt_members
+                      WHERE submolt_id = s.id AND agent_id = $2 AND status = 'approved') as is_member
+       FROM submolts s
+       WHERE s.id = $1`,
+      [submoltId, agentId]
+    );
+    
+    if (!access) {
+      throw new NotFoundError('Submolt');
     }
     
-    // Cannot remove owner
-    const target = await queryOne(
-      'SELECT role FROM submolt_moderators WHERE submolt_id = $1 AND agent_id = $2',
-      [submoltId, agent.id]
+    return {
+      name: access.name,
+      visibility: access.visibility,
+      isModerator: access.is_moderator,
+      isMember: access.is_member || access.is_moderator
+    };
+  }
+  
+  /**
+   * Reject if the agent cannot read a private submolt
+   * 
+   * @param {string} submoltId - Submolt ID
+   * @param {string} agentId - Agent ID (may be null)
+   * @returns {Promise<void>}
+   */
+  static async assertCanRead(submoltId, agentId) {
+    const access = await this.getAccess(submoltId, agentId);
+    
+    if (access.visibility === 'private' && !access.isMember) {
+      throw new ForbiddenError(
+        `m/${access.name} is private`,
+        `Request to join via POST /submolts/${access.name}/join`
+      );
+    }
+  }
+  
+  /**
+   * Reject if the agent cannot post in a restricted or private submolt
+   * 
+   * @param {string} submoltId - Submolt ID
+   * @param {string} agentId - Agent ID
+   * @returns {Promise<void>}
+   */
+  static async assertCanPost(submoltId, agentId) {
+    const access = await this.getAccess(submoltId, agentId);
+    
+    if (access.visibility !== 'public' && !access.isMember) {
+      throw new ForbiddenError(
+        `Only approved members can post in m/${access.name}`,
+        `Request to join via POST /submolts/${access.name}/join`
+      );
+    }
+  }
+  
+  /**
+   * SQL condition that hides private submolts from non-members
+   * 
+   * @param {string} alias - Alias of the submolts table in the query
+   * @param {string} agentParam - Placeholder holding the viewer's agent ID (may be NULL)
+   * @returns {string} SQL condition
+   */
+  static visibilityFilter(alias, agentParam) {
+    return `(${alias}.visibility <> 'private'
+       OR EXISTS (SELECT 1 FROM submolt_members vm
+                  WHERE vm.submolt_id = ${alias}.id AND vm.agent_id = ${agentParam} AND vm.status = 'approved')
+       OR EXISTS (SELECT 1 FROM submolt_moderators vmod
+                  WHERE vmod.submolt_id = ${alias}.id AND vmod.agent_id = ${agentParam}))`;
+  }
+  
+  /**
+   * Request to join a restricted or private submolt
+   * 
+   * @param {string} submoltId - Submolt ID
+   * @param {string} agentId - Agent ID
+   * @param {string} message - Optional message to moderators
+   * @returns {Promise<Object>} Result
+   */
+  static async requestJoin(submoltId, agentId, message = null) {
+    const access = await this.getAccess(submoltId, agentId);
+    
+    if (access.visibility === 'public') {
+      throw new BadRequestError('Public submolts need no membership', 'BAD_REQUEST', 'Just subscribe or post');
+    }
+    
+    if (access.isMember) {
+      return { success: true, action: 'already_member' };
+    }
+    
+    if (message && message.length > 500) {
+      throw new BadRequestError('Message must be 500 characters or less');
+    }
+    
+    const request = await queryOne(
+      `INSERT INTO submolt_members (submolt_id, agent_id, message)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (submolt_id, agent_id) DO UPDATE
+         SET status = 'pending', message = $3, decided_by = NULL, decided_at = NULL, created_at = NOW()
+         WHERE submolt_members.status = 'denied'
+       RETURNING status`,
+      [submoltId, agentId, message]
     );
     
-    if (target?.role === 'owner') {
-      throw new ForbiddenError('Cannot remove owner');
+    return { success: true, action: request ? 'requested' : 'already_requested' };
+  }
+  
+  /**
+   * List join requests
+   * 
+   * @param {string} submoltId - Submolt ID
+   * @param {string} requesterId - Agent requesting (must be moderator)
+   * @param {string} status - 'pending', 'approved' or 'denied'
+   * @returns {Promise<Array>} Requests
+   */
+  static async getJoinRequests(submoltId, requesterId, status = 'pending') {
+    if (!(await this.isModerator(submoltId, requesterId))) {
+      throw new ForbiddenError('Only moderators can view join requests');
     }
     
-    await queryOne(
-      'DELETE FROM submolt_moderators WHERE submolt_id = $1 AND agent_id = $2',
-      [submoltId, agent.id]
+    if (!['pending', 'approved', 'denied'].includes(status)) {
+      throw new BadRequestError('Status must be one of: pending, approved, denied');
+    }
+    
+    return queryAll(
+      `SELECT a.name, a.display_name, a.karma, m.status, m.message, m.created_at, m.decided_at
+       FROM submolt_members m
+       JOIN agents a ON m.agent_id = a.id
+       WHERE m.submolt_id = $1 AND m.status = $2
+       ORDER BY m.created_at ASC`,
+      [submoltId, status]
+    );
+  }
+  
+  /**
+   * Approve or deny a join request
+   * 
+   * @param {string} submoltId - Submolt ID
+   * @param {string} requesterId - Agent requesting (must be moderator)
+   * @param {string} agentName - Agent who asked to join
+   * @param {boolean} approve - Approve (true) or deny (false)
+   * @returns {Promise<Object>} Result
+   */
+  static async decideJoinRequest(submoltId, requesterId, agentName, approve) {
+    if (!(await this.isModerator(submoltId, requesterId))) {
+      throw new ForbiddenError('Only moderators can decide join requests');
+    }
+    
+    const member = await queryOne(
+      `UPDATE submolt_members m
+       SET status = $3, decided_by = $4, decided_at = NOW()
+       FROM agents a
+       WHERE m.agent_id = a.id AND m.submolt_id = $1 AND a.name = $2 AND m.status = 'pending'
+       RETURNING m.agent_id`,
+      [submoltId, agentName.toLowerCase(), approve ? 'approved' : 'denied', requesterId]
     );
     
-    return { success: true };
+    if (!member) {
+      throw new NotFoundError('Join request');
+    }
+    
+    if (approve) {
+      await this.subscribe(submoltId, member.agent_id);
+    }
+    
+    await ModLogService.record({
+      submoltId,
+      moderatorId: requesterId,
+      action: approve ? 'approve_member' : 'deny_member',
+      targetType: 'agent',
+      targetId: member.agent_id,
+      targetAgentId: member.agent_id
+    });
+    
+    return { success: true, action: approve ? 'approved' : 'denied' };
+  }
+  
+  /**
+   * Get submolt rules in order
+   * 
+   * @param {string} submoltId - Submolt ID
+   * @returns {Promise<Array>} Rules
+   */
+  static async getRules(submoltId) {
+    return queryAll(
+      `SELECT position, title, description
+       FROM submolt_rules
+       WHERE submolt_id = $1
+       ORDER BY position ASC`,
+      [submoltId]
+    );
+  }
+  
+  /**
+   * Replace the submolt's rules with an ordered list
+   * 
+   * @param {string} submoltId - Submolt ID
+   * @param {string} requesterId - Agent requesting (must be moderator)
+   * @param {Array} rules - Array of { title, description }
+   * @returns {Promise<Array>} Saved rules
+   */
+  static async setRules(submoltId, requesterId, rules) {
+    if (!(await this.isModerator(submoltId, requesterId))) {
+      throw new ForbiddenError('Only moderators can edit rules');
+    }
+    
+    this.validateRules(rules);
+    
+    await transaction(async (client) => {
+      await client.query('DELETE FROM submolt_rules WHERE submolt_id = $1', [submoltId]);
+      
+      for (const [index, rule] of rules.entries()) {
+        await client.query(
+          `INSERT INTO submolt_rules (submolt_id, position, title, description)
+           VALUES ($1, $2, $3, $4)`,
+          [submoltId, index + 1, rule.title.trim(), rule.description || null]
+        );
+      }
+    });
+    
+    await ModLogService.record({
+      submoltId,
+      moderatorId: requesterId,
+      action: 'update_rules',
+      targetType: 'submolt',
+      targetId: submoltId,
+      details: { count: rules.length }
+    });
+    
+    return this.getRules(submoltId);
+  }
+  
+  /**
+   * Validate an ordered rule list
+   * 
+   * @param {Array} rules - Array of { title, description }
+   */
+  static validateRules(rules) {
+    if (!Array.isArray(rules)) {
+      throw new BadRequestError('rules must be an array');
+    }
+    
+    if (rules.length > MAX_RULES) {
+      throw new BadRequestError(`A submolt can have at most ${MAX_RULES} rules`);
+    }
+    
+    for (const rule of rules) {
+      if (!rule || typeof rule.title !== 'string' || rule.title.trim().length === 0) {
+        throw new BadRequestError('Each rule needs a title');
+      }
+      
+      if (rule.title.length > 100) {
+        throw new BadRequestError('Rule titles must be 100 characters or less');
+      }
+      
+      if (rule.description !== undefined && rule.description !== null && typeof rule.description !== 'string') {
+        throw new BadRequestError('Rule descriptions must be strings');
+      }
+      
+      if (rule.description && rule.description.length > 500) {
+        throw new BadRequestError('Rule descriptions must be 500 characters or less');
+      }
+    }
+  }
+  
+  /**
+   * Get post flair templates
+   * 
+   * @param {string} submoltId - Submolt ID
+   * @returns {Promise<Array>} Flairs
+   */
+  static async getFlairs(submoltId) {
+    return queryAll(
+      `SELECT id, text, color
+       FROM submolt_flairs
+       WHERE submolt_id = $1
+       ORDER BY text ASC`,
+      [submoltId]
+    );
+  }
+  
+  /**
+   * Find a flair template belonging to a submolt
+   * 
+   * @param {string} submoltId - Submolt ID
+   * @param {string} flairId - Flair ID
+   * @returns {Promise<Object|null>} Flair or null
+   */
+  static async findFlair(submoltId, flairId) {
+    if (!isUuid(flairId)) {
+      return null;
+    }
+    
+    return queryOne(
+      'SELECT id, text, color FROM submolt_flairs WHERE submolt_id = $1 AND id = $2',
+      [submoltId, flairId]
+    );
+  }
+  
+  /**
+   * Add a post flair template
+   * 
+   * @param {string} submoltId - Submolt ID
+   * @param {string} requesterId - Agent requesting (must be moderator)
+   * @param {Object} data - Flair data
+   * @param {string} data.text - Flair text
+   * @param {string} data.color - Optional hex color (#RRGGBB)
+   * @returns {Promise<Object>} Created flair
+   */
+  static async addFlair(submoltId, requesterId, { text, color = null }) {
+    if (!(await this.isModerator(submoltId, requesterId))) {
+      throw new ForbiddenError('Only moderators can manage flair');
+    }
+    
+    this.validateFlair({ text, color });
+    
+    const { count } = await queryOne(
+      'SELECT COUNT(*)::int as count FROM submolt_flairs WHERE submolt_id = $1',
+      [submoltId]
+    );
+    
+    if (count >= MAX_FLAIRS) {
+      throw new BadRequestError(`A submolt can have at most ${MAX_FLAIRS} flairs`);
+    }
+    
+    const flair = await queryOne(
+      `INSERT INTO submolt_flairs (submolt_id, text, color)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (submolt_id, text) DO NOTHING
+       RETURNING id, text, color`,
+      [submoltId, text.trim(), color]
+    );
+    
+    if (!flair) {
+      throw new ConflictError('Flair already exists');
+    }
+    
+    await ModLogService.record({
+      submoltId,
+      moderatorId: requesterId,
+      action: 'add_flair',
+      targetType: 'submolt',
+      targetId: submoltId,
+      details: { text: flair.text }
+    });
+    
+    return flair;
+  }
+  
+  /**
+   * Validate a flair template
+   * 
+   * @param {Object} data - Flair data
+   * @param {string} data.text - Flair text
+   * @param {string} data.color - Optional hex color (#RRGGBB)
+   */
+  static validateFlair({ text, color = null }) {
+    if (!text || typeof text !== 'string' || text.trim().length === 0) {
+      throw new BadRequestError('Flair text is required');
+    }
+    
+    if (text.trim().length > 64) {
+      throw new BadRequestError('Flair text must be 64 characters or less');
+    }
+    
+    if (color && (typeof color !== 'string' || !/^#[0-9a-f]{6}$/i.test(color))) {
+      throw new BadRequestError('Color must be a hex value like #ff4500');
+    }
+  }
+  
+  /**
+   * Delete a post flair template
+   * Posts using it keep no flair
+   * 
+   * @param {string} submoltId - Submolt ID
+   * @param {string} requesterId - Agent requesting (must be moderator)
+   * @param {string} flairId - Flair ID
+   * @returns {Promise<Object>} Result
+   */
+  static async removeFlair(submoltId, requesterId, flairId) {
+    if (!(await this.isModerator(submoltId, requesterId))) {
+      throw new ForbiddenError('Only moderators can manage flair');
+    }
+    
+    if (!isUuid(flairId)) {
+      throw new NotFoundError('Flair');
+    }
+    
+    const flair = await queryOne(
+      `DELETE FROM submolt_flairs WHERE submolt_id = $1 AND id = $2
+       RETURNING text`,
+      [submoltId, flairId]
+    );
+    
+    if (!flair) {
+      throw new NotFoundError('Flair');
+    }
+    
+    await ModLogService.record({
+      submoltId,
+      moderatorId: requesterId,
+      action: 'remove_flair',
+      targetType: 'submolt',
+      targetId: submoltId,
+      details: { text: flair.text }
+    });
+    
+    return { success: true };
+  }
+  
+  /**
+   * List active bans and mutes
+   * 
+   * @param {string} submoltId - Submolt ID
+   * @param {string} requesterId - Agent requesting (must be moderator)
+   * @returns {Promise<Array>} Bans
+   */
+  static async getBans(submoltId, requesterId) {
+    if (!(await this.isModerator(submoltId, requesterId))) {
+      throw new ForbiddenError('Only moderators can view bans');
+    }
+    
+    return queryAll(
+      `SELECT a.name, a.display_name, b.type, b.reason, b.expires_at, b.created_at,
+              m.name as banned_by
+       FROM submolt_bans b
+       JOIN agents a ON b.agent_id = a.id
+       LEFT JOIN agents m ON b.banned_by = m.id
+       WHERE b.submolt_id = $1 AND (b.expires_at IS NULL OR b.expires_at > NOW())
+       ORDER BY b.created_at DESC`,
+      [submoltId]
+    );
+  }
+  
+  /**
+   * Ban or mute an agent from a submolt
+   * 
+   * @param {string} submoltId - Submolt ID
+   * @param {string} requesterId - Agent requesting (must be moderator)
+   * @param {Object} data - Ban data
+   * @param {string} data.agentName - Agent to ban
+   * @param {string} data.type - 'ban' or 'mute'
+   * @param {string} data.reason - Optional reason
+   * @param {number} data.durationDays - Optional duration (permanent if omitted)
+   * @returns {Promise<Object>} Ban
+   */
+  static async ban(submoltId, requesterId, { agentName, type = 'ban', reason = null, durationDays = null }) {
+    if (!agentName || typeof agentName !== 'string') {
+      throw new BadRequestError('agent_name is required');
+    }
+    
+    if (!(await this.isModerator(submoltId, requesterId))) {
+      throw new ForbiddenError('Only moderators can ban agents');
+    }
+    
+    const expiresAt = this.validateBan({ type, reason, durationDays });
+    
+    const agent = await queryOne(
+      'SELECT id FROM agents WHERE name = $1',
+      [agentName.toLowerCase()]
+    );
+    
+    if (!agent) {
+      throw new NotFoundError('Agent');
+    }
+    
+    if (await this.isModerator(submoltId, agent.id)) {
+      throw new ForbiddenError('Cannot ban a moderator', 'Remove them as moderator first');
+    }
+    
+    const ban = await queryOne(
+      `INSERT INTO submolt_bans (submolt_id, agent_id, banned_by, type, reason, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (submolt_id, agent_id) DO UPDATE
+         SET banned_by = $3, type = $4, reason = $5, expires_at = $6, created_at = NOW()
+       RETURNING type, reason, expires_at, created_at`,
+      [submoltId, agent.id, requesterId, type, reason, expiresAt]
+    );
+    
+    await ModLogService.record({
+      submoltId,
+      moderatorId: requesterId,
+      action: 'ban',
+      targetType: 'agent',
+      targetId: agent.id,
+      targetAgentId: agent.id,
+      details: { type, reason, expires_at: expiresAt }
+    });
+    
+    return ban;
+  }
+  
+  /**
+   * Validate ban settings
+   * 
+   * @param {Object} data - Ban data
+   * @param {string} data.type - 'ban' or 'mute'
+   * @param {string} data.reason - Optional reason
+   * @param {number} data.durationDays - Optional duration (permanent if omitted)
+   * @returns {Date|null} Expiry, or null for a permanent ban
+   */
+  static validateBan({ type, reason = null, durationDays = null }) {
+    if (!BAN_TYPES.includes(type)) {
+      throw new BadRequestError(`Type must be one of: ${BAN_TYPES.join(', ')}`);
+    }
+    
+    if (reason !== null && reason !== undefined && typeof reason !== 'string') {
+      throw new BadRequestError('Reason must be a string');
+    }
+    
+    if (reason && reason.length > 500) {
+      throw new BadRequestError('Reason must be 500 characters or less');
+    }
+    
+    if (durationDays === null || durationDays === undefined) {
+      return null;
+    }
+    
+    const days = Number(durationDays);
+    if (!Number.isFinite(days) || days <= 0) {
+      throw new BadRequestError('duration_days must be a positive number');
+    }
+    
+    return new Date(Date.now() + days * 86400000);
+  }
+  
+  /**
+   * Lift a ban or mute
+   * 
+   * @param {string} submoltId - Submolt ID
+   * @param {string} requesterId - Agent requesting (must be moderator)
+   * @param {string} agentName - Banned agent
+   * @returns {Promise<Object>} Result
+   */
+  static async unban(submoltId, requesterId, agentName) {
+    if (!agentName || typeof agentName !== 'string') {
+      throw new BadRequestError('agent_name is required');
+    }
+    
+    if (!(await this.isModerator(submoltId, requesterId))) {
+      throw new ForbiddenError('Only moderators can lift bans');
+    }
+    
+    const result = await queryOne(
+      `DELETE FROM submolt_bans b
+       USING agents a
+       WHERE b.agent_id = a.id AND b.submolt_id = $1 AND a.name = $2
+       RETURNING b.agent_id`,
+      [submoltId, agentName.toLowerCase()]
+    );
+    
+    if (!result) {
+      return { success: true, action: 'not_banned' };
+    }
+    
+    await ModLogService.record({
+      submoltId,
+      moderatorId: requesterId,
+      action: 'unban',
+      targetType: 'agent',
+      targetId: result.agent_id,
+      targetAgentId: result.agent_id
+    });
+    
+    return { success: true, action: 'unbanned' };
+  }
+  
+  /**
+   * Get the moderation log
+   * 
+   * @param {string} submoltId - Submolt ID
+   * @param {string} requesterId - Agent requesting (must be moderator)
+   * @param {Object} filters - Filters (see ModLogService.list)
+   * @returns {Promise<Array>} Log entries
+   */
+  static async getModLog(submoltId, requesterId, filters) {
+    if (!(await this.isModerator(submoltId, requesterId))) {
+      throw new ForbiddenError('Only moderators can view the moderation log');
+    }
+    
+    return ModLogService.list(submoltId, filters);
+  }
+  
+  /**
+   * Reject the action if the agent is banned (or muted) in a submolt
+   * 
+   * @param {string} submoltId - Submolt ID
+   * @param {string} agentId - Agent ID
+   * @param {string} action - 'post', 'comment' or 'vote' (mutes still allow voting)
+   * @returns {Promise<void>}
+   */
+  static async assertNotBanned(submoltId, agentId, action) {
+    const ban = await queryOne(
+      `SELECT b.type, b.reason, b.expires_at, s.name
+       FROM submolt_bans b
+       JOIN submolts s ON b.submolt_id = s.id
+       WHERE b.submolt_id = $1 AND b.agent_id = $2
+         AND (b.expires_at IS NULL OR b.expires_at > NOW())`,
+      [submoltId, agentId]
+    );
+    
+    if (!ban || (ban.type === 'mute' && action === 'vote')) {
+      return;
+    }
+    
+    const ends = ban.expires_at
+      ? `It ends ${new Date(ban.expires_at).toISOString()}`
+      : 'It is permanent';
+    
+    throw new ForbiddenError(
+      `You are ${ban.type === 'mute' ? 'muted' : 'banned'} in m/${ban.name}`,
+      `${ban.reason ? `Reason: ${ban.reason}. ` : ''}${ends}`
+    );
+  }
+  
+  /**
+   * Get submolt moderators
+   * 
+   * @param {string} submoltId - Submolt ID
+   * @returns {Promise<Array>} Moderators
+   */
+  static async getModerators(submoltId) {
+    return queryAll(
+      `SELECT a.name, a.display_name, sm.role, sm.created_at
+       FROM submolt_moderators sm
+       JOIN agents a ON sm.agent_id = a.id
+       WHERE sm.submolt_id = $1
+       ORDER BY sm.role DESC, sm.created_at ASC`,
+      [submoltId]
+    );
+  }
+  
+  /**
+   * Add a moderator
+   * 
+   * @param {string} submoltId - Submolt ID
+   * @param {string} requesterId - Agent requesting (must be owner)
+   * @param {string} agentName - Agent to add
+   * @param {string} role - Role (moderator)
+   * @returns {Promise<Object>} Result
+   */
+  static async addModerator(submoltId, requesterId, agentName, role = 'moderator') {
+    if (!agentName || typeof agentName !== 'string') {
+      throw new BadRequestError('agent_name is required');
+    }
+    
+    if (role !== 'moderator') {
+      throw new BadRequestError(
+        'Role must be moderator',
+        'BAD_REQUEST',
+        'Hand over ownership with POST /submolts/:name/transfer'
+      );
+    }
+    
+    // Check requester is owner
+    const requester = await queryOne(
+      'SELECT role FROM submolt_moderators WHERE submolt_id = $1 AND agent_id = $2',
+      [submoltId, requesterId]
+    );
+    
+    if (!requester || requester.role !== 'owner') {
+      throw new ForbiddenError('Only owners can add moderators');
+    }
+    
+    // Find agent
+    const agent = await queryOne(
+      'SELECT id FROM agents WHERE name = $1',
+      [agentName.toLowerCase()]
+    );
+    
+    if (!agent) {
+      throw new NotFoundError('Agent');
+    }
+    
+    // Add as moderator
+    await queryOne(
+      `INSERT INTO submolt_moderators (submolt_id, agent_id, role)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (submolt_id, agent_id) DO UPDATE SET role = $3`,
+      [submoltId, agent.id, role]
+    );
+    
+    await ModLogService.record({
+      submoltId,
+      moderatorId: requesterId,
+      action: 'add_moderator',
+      targetType: 'agent',
+      targetId: agent.id,
+      targetAgentId: agent.id,
+      details: { role }
+    });
+    
+    return { success: true };
+  }
+  
+  /**
+   * Remove a moderator
+   * 
+   * @param {string} submoltId - Submolt ID
+   * @param {string} requesterId - Agent requesting (must be owner)
+   * @param {string} agentName - Agent to remove
+   * @returns {Promise<Object>} Result
+   */
+  static async removeModerator(submoltId, requesterId, agentName) {
+    if (!agentName || typeof agentName !== 'string') {
+      throw new BadRequestError('agent_name is required');
+    }
+    
+    // Check requester is owner
+    const requester = await queryOne(
+      'SELECT role FROM submolt_moderators WHERE submolt_id = $1 AND agent_id = $2',
+      [submoltId, requesterId]
+    );
+    
+    if (!requester || requester.role !== 'owner') {
+      throw new ForbiddenError('Only owners can remove moderators');
+    }
+    
+    // Find agent
+    const agent = await queryOne(
+      'SELECT id FROM agents WHERE name = $1',
+      [agentName.toLowerCase()]
+    );
+    
+    if (!agent) {
+      throw new NotFoundError('Agent');
+    }
+    
+    // Cannot remove owner
+    const target = await queryOne(
+      'SELECT role FROM submolt_moderators WHERE submolt_id = $1 AND agent_id = $2',
+      [submoltId, agent.id]
+    );
+    
+    if (target?.role === 'owner') {
+      throw new ForbiddenError('Cannot remove owner');
+    }
+    
+    await queryOne(
+      'DELETE FROM submolt_moderators WHERE submolt_id = $1 AND agent_id = $2',
+      [submoltId, agent.id]
+    );
+    
+    await ModLogService.record({
+      submoltId,
+      moderatorId: requesterId,
+      action: 'remove_moderator',
+      targetType: 'agent',
+      targetId: agent.id,
+      targetAgentId: agent.id
+    });
+    
+    return { success: true };
+  }
+  
+  /**
+   * Get the pending ownership transfer of a submolt
+   * Visible to the owner and the agent it was offered to
+   * 
+   * @param {string} submoltId - Submolt ID
+   * @param {string} requesterId - Agent requesting
+   * @returns {Promise<Object|null>} Pending transfer
+   */
+  static async getPendingTransfer(submoltId, requesterId) {
+    const transfer = await this.findPendingTransfer(submoltId);
+    
+    if (transfer && transfer.from_agent_id !== requesterId && transfer.to_agent_id !== requesterId) {
+      throw new ForbiddenError('Only the owner and the new owner can view a transfer');
+    }
+    
+    return transfer;
+  }
+  
+  /**
+   * Find a submolt's pending, unexpired ownership transfer
+   * 
+   * @param {string} submoltId - Submolt ID
+   * @returns {Promise<Object|null>} Transfer
+   */
+  static async findPendingTransfer(submoltId) {
+    return queryOne(
+      `SELECT t.id, t.from_agent_id, t.to_agent_id, t.created_at, t.expires_at,
+              f.name as from_agent_name, a.name as to_agent_name
+       FROM submolt_transfers t
+       JOIN agents f ON t.from_agent_id = f.id
+       JOIN agents a ON t.to_agent_id = a.id
+       WHERE t.submolt_id = $1 AND t.status = 'pending' AND t.expires_at > NOW()`,
+      [submoltId]
+    );
+  }
+  
+  /**
+   * Offer ownership of a submolt to another agent
+   * The transfer only happens once the agent accepts it
+   * 
+   * @param {string} submoltId - Submolt ID
+   * @param {string} requesterId - Agent requesting (must be owner)
+   * @param {string} agentName - Agent to hand the submolt to
+   * @returns {Promise<Object>} Pending transfer
+   */
+  static async offerTransfer(submoltId, requesterId, agentName) {
+    if (!agentName || typeof agentName !== 'string') {
+      throw new BadRequestError('agent_name is required');
+    }
+    
+    const requester = await queryOne(
+      'SELECT role FROM submolt_moderators WHERE submolt_id = $1 AND agent_id = $2',
+      [submoltId, requesterId]
+    );
+    
+    if (!requester || requester.role !== 'owner') {
+      throw new ForbiddenError('Only owners can transfer ownership');
+    }
+    
+    const agent = await queryOne(
+      'SELECT id FROM agents WHERE name = $1 AND is_active = true',
+      [agentName.toLowerCase()]
+    );
+    
+    if (!agent) {
+      throw new NotFoundError('Agent');
+    }
+    
+    if (agent.id === requesterId) {
+      throw new BadRequestError('You already own this submolt');
+    }
+    
+    const banned = await queryOne(
+      `SELECT id FROM submolt_bans
+       WHERE submolt_id = $1 AND agent_id = $2 AND (expires_at IS NULL OR expires_at > NOW())`,
+      [submoltId, agent.id]
+    );
+    
+    if (banned) {
+      throw new BadRequestError('Cannot transfer ownership to a banned agent');
+    }
+    
+    const transfer = await transaction(async (client) => {
+      await client.query(
+        `UPDATE submolt_transfers SET status = 'cancelled', decided_at = NOW()
+         WHERE submolt_id = $1 AND status = 'pending'`,
+        [submoltId]
+      );
+      
+      const { rows: [created] } = await client.query(
+        `INSERT INTO submolt_transfers (submolt_id, from_agent_id, to_agent_id, expires_at)
+         VALUES ($1, $2, $3, NOW() + make_interval(days => $4))
+         RETURNING id, created_at, expires_at`,
+        [submoltId, requesterId, agent.id, config.moderation.transferExpiryDays]
+      );
+      
+      return created;
+    });
+    
+    await NotificationService.create({
+      agentId: agent.id,
+      type: 'ownership_offered',
+      actorId: requesterId,
+      submoltId
+    });
+    
+    return { ...transfer, to_agent_name: agentName.toLowerCase(), status: 'pending' };
+  }
+  
+  /**
+   * Accept or decline a pending ownership transfer
+   * On accept the new owner takes over and the old owner stays on as moderator
+   * An offer is cancelled instead if its owner has since lost the submolt
+   * or the new owner has since been banned from it
+   * 
+   * @param {string} submoltId - Submolt ID
+   * @param {string} agentId - Agent the transfer was offered to
+   * @param {boolean} accept - Accept (true) or decline (false)
+   * @returns {Promise<Object>} Result
+   */
+  static async respondToTransfer(submoltId, agentId, accept) {
+    if (typeof accept !== 'boolean') {
+      throw new BadRequestError('accept must be true or false');
+    }
+    
+    const transfer = await this.findPendingTransfer(submoltId);
+    
+    if (!transfer || transfer.to_agent_id !== agentId) {
+      throw new NotFoundError('Pending transfer');
+    }
+    
+    if (!accept) {
+      const declined = await queryOne(
+        `UPDATE submolt_transfers SET status = 'declined', decided_at = NOW()
+         WHERE id = $1 AND status = 'pending'
+         RETURNING id`,
+        [transfer.id]
+      );
+      
+      if (!declined) {
+        throw new NotFoundError('Pending transfer');
+      }
+      
+      return { success: true, action: 'declined' };
+    }
+    
+    const problem = await transaction(async (client) => {
+      // Claim the offer first so a concurrent cancel, decline or accept loses
+      const { rows: [claimed] } = await client.query(
+        `UPDATE submolt_transfers SET status = 'accepted', decided_at = NOW()
+         WHERE id = $1 AND status = 'pending'
+         RETURNING id`,
+        [transfer.id]
+      );
+      
+      if (!claimed) {
+        throw new NotFoundError('Pending transfer');
+      }
+      
+      const { rows: [owner] } = await client.query(
+        `SELECT role FROM submolt_moderators
+         WHERE submolt_id = $1 AND agent_id = $2
+         FOR UPDATE`,
+        [submoltId, transfer.from_agent_id]
+      );
+      
+      const { rows: [ban] } = await client.query(
+        `SELECT id FROM submolt_bans
+         WHERE submolt_id = $1 AND agent_id = $2 AND (expires_at IS NULL OR expires_at > NOW())`,
+        [submoltId, agentId]
+      );
+      
+      const stale = this.checkTransferStillValid(owner, ban);
+      
+      if (stale) {
+        await client.query(
+          `UPDATE submolt_transfers SET status = 'cancelled', decided_at = NOW() WHERE id = $1`,
+          [transfer.id]
+        );
+        return stale;
+      }
+      
+      await client.query(
+        `UPDATE submolt_moderators SET role = 'moderator'
+         WHERE submolt_id = $1 AND agent_id = $2`,
+        [submoltId, transfer.from_agent_id]
+      );
+      
+      await client.query(
+        `INSERT INTO submolt_moderators (submolt_id, agent_id, role)
+         VALUES ($1, $2, 'owner')
+         ON CONFLICT (submolt_id, agent_id) DO UPDATE SET role = 'owner'`,
+        [submoltId, agentId]
+      );
+      
+      return null;
+    });
+    
+    if (problem) {
+      throw new BadRequestError('This transfer is no longer valid and has been cancelled', problem);
+    }
+    
+    await this.subscribe(submoltId, agentId);
+    
+    await ModLogService.record({
+      submoltId,
+      moderatorId: transfer.from_agent_id,
+      action: 'transfer_ownership',
+      targetType: 'agent',
+      targetId: agentId,
+      targetAgentId: agentId
+    });
+    
+    return { success: true, action: 'accepted' };
+  }
+  
+  /**
+   * Check that an accepted transfer can still go ahead
+   * 
+   * @param {Object|undefined} owner - Offering agent's moderator row
+   * @param {Object|undefined} ban - Active ban on the new owner
+   * @returns {string|null} Reason the transfer is stale, or null
+   */
+  static checkTransferStillValid(owner, ban) {
+    if (!owner || owner.role !== 'owner') {
+      return 'The agent who offered it no longer owns this submolt';
+    }
+    
+    if (ban) {
+      return 'You are banned from this submolt';
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Cancel a pending ownership transfer
+   * 
+   * @param {string} submoltId - Submolt ID
+   * @param {string} requesterId - Agent requesting (must be the offering owner)
+   * @returns {Promise<Object>} Result
+   */
+  static async cancelTransfer(submoltId, requesterId) {
+    const transfer = await this.findPendingTransfer(submoltId);
+    
+    if (!transfer || transfer.from_agent_id !== requesterId) {
+      throw new NotFoundError('Pending transfer');
+    }
+    
+    const cancelled = await queryOne(
+      `UPDATE submolt_transfers SET status = 'cancelled', decided_at = NOW()
+       WHERE id = $1 AND status = 'pending'
+       RETURNING id`,
+      [transfer.id]
+    );
+    
+    if (!cancelled) {
+      throw new NotFoundError('Pending transfer');
+    }
+    
+    return { success: true, action: 'cancelled' };
+  }
+  
+  /**
+   * Hand over every submolt owned by a departing agent
+   * Pending transfers from or to the agent are cancelled. Runs inside the
+   * caller's transaction; pass the result to announceSuccessions once it commits.
+   * 
+   * @param {Object} client - Transaction client
+   * @param {string} agentId - Departing owner
+   * @returns {Promise<Array>} Successions as { submoltId, submolt, successor }
+   */
+  static async handleOwnerDeparture(client, agentId) {
+    await client.query(
+      `UPDATE submolt_transfers SET status = 'cancelled', decided_at = NOW()
+       WHERE status = 'pending' AND (from_agent_id = $1 OR to_agent_id = $1)`,
+      [agentId]
+    );
+    
+    const { rows: owned } = await client.query(
+      `SELECT sm.submolt_id, s.name
+       FROM submolt_moderators sm
+       JOIN submolts s ON sm.submolt_id = s.id
+       WHERE sm.agent_id = $1 AND sm.role = 'owner'
+       FOR UPDATE OF sm`,
+      [agentId]
+    );
+    
+    const successions = [];
+    
+    for (const { submolt_id: submoltId, name } of owned) {
+      const successor = await this.promoteSuccessor(client, submoltId, agentId);
+      successions.push({ submoltId, submolt: name, successor });
+    }
+    
+    return successions;
+  }
+  
+  /**
+   * Log and notify the successions made by handleOwnerDeparture
+   * 
+   * @param {string} formerOwnerId - Departing owner
+   * @param {Array} successions - Result of handleOwnerDeparture
+   * @returns {Promise<Array>} Successions as { submolt, successor } with the successor's name
+   */
+  static async announceSuccessions(formerOwnerId, successions) {
+    for (const { submoltId, successor } of successions) {
+      if (!successor) {
+        continue;
+      }
+      
+      await ModLogService.record({
+        submoltId,
+        moderatorId: null,
+        action: 'succeed_owner',
+        targetType: 'agent',
+        targetId: successor.id,
+        targetAgentId: successor.id,
+        details: { former_owner_id: formerOwnerId }
+      });
+      
+      await NotificationService.create({
+        agentId: successor.id,
+        type: 'ownership_succession',
+        submoltId
+      });
+    }
+    
+    return successions.map(({ submolt, successor }) => ({
+      submolt,
+      successor: successor ? successor.name : null
+    }));
+  }
+  
+  /**
+   * Pick the longest-serving active moderator, breaking ties by name
+   * 
+   * @param {Array} moderators - Rows with id, name, is_active and created_at
+   * @param {string} formerOwnerId - Departing owner, never chosen
+   * @returns {Object|null} Successor row
+   */
+  static chooseSuccessor(moderators, formerOwnerId) {
+    const candidates = moderators
+      .filter(mod => mod.is_active && mod.id !== formerOwnerId)
+      .sort((a, b) => (new Date(a.created_at) - new Date(b.created_at)) || a.name.localeCompare(b.name));
+    
+    return candidates[0] || null;
+  }
+  
+  /**
+   * Replace a departing owner with the longest-serving active moderator
+   * The submolt is left without an owner when there are no moderators
+   * 
+   * @param {Object} client - Transaction client
+   * @param {string} submoltId - Submolt ID
+   * @param {string} formerOwnerId - Departing owner
+   * @returns {Promise<Object|null>} Successor { id, name } or null
+   */
+  static async promoteSuccessor(client, submoltId, formerOwnerId) {
+    await client.query(
+      'DELETE FROM submolt_moderators WHERE submolt_id = $1 AND agent_id = $2',
+      [submoltId, formerOwnerId]
+    );
+    
+    const { rows: moderators } = await client.query(
+      `SELECT a.id, a.name, a.is_active, sm.created_at
+       FROM submolt_moderators sm
+       JOIN agents a ON sm.agent_id = a.id
+       WHERE sm.submolt_id = $1
+       FOR UPDATE OF sm`,
+      [submoltId]
+    );
+    
+    const next = this.chooseSuccessor(moderators, formerOwnerId);
+    
+    if (next) {
+      await client.query(
+        `UPDATE submolt_moderators SET role = 'owner' WHERE submolt_id = $1 AND agent_id = $2`,
+        [submoltId, next.id]
+      );
+    }
+    
+    return next ? { id: next.id, name: next.name } : null;
   }
 }
 
@@ -8,6 +8,8 @@ const { BadRequestError, NotFoundError } = require('../utils/errors');
 const AgentService = require('./AgentService');
 const PostService = require('./PostService');
 const CommentService = require('./CommentService');
+const SubmoltService = require('./SubmoltService');
+const WebhookService = require('./WebhookService');
 
 const VOTE_UP = 1;
 const VOTE_DOWN = -1;
@@ -92,6 +94,10 @@ class VoteService {
       throw new BadRequestError('Cannot vote on your own content');
     }
 
+    await SubmoltService.assertWritable(target.submolt_id);
+    await SubmoltService.assertNotBanned(target.submolt_id, agentId, 'vote');
+    await SubmoltService.assertCanRead(target.submolt_id, agentId);
+
     // Get existing vote
     const existingVote = await queryOne(
       'SELECT id, value FROM votes WHERE agent_id = $1 AND target_id = $2 AND target_type = $3',
@@ -146,6 +152,19 @@ class VoteService {
     // Update author karma
     await AgentService.updateKarma(target.author_id, karmaDelta);
 
+    // Tell the author's webhooks in the background (votes are anonymous, so
+    // the voter is not included)
+    if (action !== 'removed') {
+      WebhookService.dispatch(target.author_id, 'vote', {
+        target_type: targetType,
+        target_id: targetId,
+        post_id: target.post_id,
+        direction: value === VOTE_UP ? 'up' : 'down'
+      }).catch(error => {
+        console.error('Webhook dispatch failed:', error.message);
+      });
+    }
+
     // Get author info for response
     const author = await AgentService.findById(target.author_id);
 
@@ -164,19 +183,23 @@ class VoteService {
    * 
    * @param {string} targetId - Target ID
    * @param {string} targetType - Target type
-   * @returns {Promise<Object>} Target with author_id
+   * @returns {Promise<Object>} Target with author_id and submolt_id
    */
   static async getTarget(targetId, targetType) {
     let target;
 
     if (targetType === 'post') {
       target = await queryOne(
-        'SELECT id, author_id FROM posts WHERE id = $1',
+        `SELECT id, id as post_id, author_id, submolt_id FROM posts
+         WHERE id = $1 AND is_deleted = false AND is_removed = false AND status = 'approved'`,
         [targetId]
       );
     } else if (targetType === 'comment') {
       target = await queryOne(
-        'SELECT id, author_id FROM comments WHERE id = $1',
+        `SELECT c.id, c.post_id, c.author_id, p.submolt_id
+         FROM comments c
+         JOIN posts p ON c.post_id = p.id
+         WHERE c.id = $1 AND c.is_removed = false`,
         [targetId]
       );
     } else {
@@ -0,0 +1,592 @@
+/**
+ * Webhook Service
+ * Delivers agent events to registered URLs, signed with HMAC-SHA256,
+ * retrying failed deliveries with exponential backoff
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { queryOne, queryAll } = require('../config/database');
+const { BadRequestError, NotFoundError } = require('../utils/errors');
+const { generateWebhookSecret } = require('../utils/auth');
+const { cursorKey, decodeCursor, paginate } = require('../utils/cursor');
+const config = require('../config');
+
+const EVENTS = ['reply', 'mention', 'follow', 'vote', 'moderation'];
+const MAX_WEBHOOKS_PER_AGENT = 5;
+const MAX_ERROR_LENGTH = 500;
+const RETRY_BATCH_SIZE = 50;
+
+// A delivery being attempted is pushed this far into the future so the
+// retry loop does not pick it up at the same time
+const ATTEMPT_LEASE_SECONDS = 300;
+
+// Notification types delivered as webhook events
+const NOTIFICATION_EVENTS = {
+  post_reply: 'reply',
+  comment_reply: 'reply',
+  mention: 'mention',
+  follow: 'follow',
+  moderator_action: 'moderation',
+  post_approved: 'moderation',
+  post_rejected: 'moderation'
+};
+
+const WEBHOOK_FIELDS = 'id, url, events, is_active, created_at, updated_at';
+
+function secondsFromNow(seconds) {
+  return new Date(Date.now() + seconds * 1000);
+}
+
+class WebhookService {
+  /**
+   * Register a webhook
+   *
+   * @param {string} agentId - Agent ID
+   * @param {Object} data - Webhook data
+   * @param {string} data.url - URL to POST events to
+   * @param {Array<string>} data.events - Events to deliver (see EVENTS)
+   * @returns {Promise<Object>} Webhook including its signing secret (only returned here)
+   */
+  static async create(agentId, { url, events }) {
+    const webhookUrl = this.validateUrl(url);
+    const webhookEvents = this.validateEvents(events);
+
+    const { count } = await queryOne(
+      'SELECT COUNT(*)::int as count FROM webhooks WHERE agent_id = $1',
+      [agentId]
+    );
+
+    if (count >= MAX_WEBHOOKS_PER_AGENT) {
+      throw new BadRequestError(
+        `An agent can have at most ${MAX_WEBHOOKS_PER_AGENT} webhooks`,
+        'BAD_REQUEST',
+        'Delete a webhook you no longer use'
+      );
+    }
+
+    return queryOne(
+      `INSERT INTO webhooks (agent_id, url, events, secret)
+       VALUES ($1, $2, $3, $4)
+       RETURNING ${WEBHOOK_FIELDS}, secret`,
+      [agentId, webhookUrl, webhookEvents, generateWebhookSecret()]
+    );
+  }
+
+  /**
+   * List an agent's webhooks (without secrets)
+   *
+   * @param {string} agentId - Agent ID
+   * @returns {Promise<Array>} Webhooks
+   */
+  static async list(agentId) {
+    return queryAll(
+      `SELECT ${WEBHOOK_FIELDS} FROM webhooks WHERE agent_id = $1 ORDER BY created_at ASC`,
+      [agentId]
+    );
+  }
+
+  /**
+   * Get one of an agent's webhooks
+   *
+   * @param {string} agentId - Agent ID
+   * @param {string} webhookId - Webhook ID
+   * @returns {Promise<Object>} Webhook
+   */
+  static async findForAgent(agentId, webhookId) {
+    const webhook = await queryOne(
+      `SELECT ${WEBHOOK_FIELDS} FROM webhooks WHERE id = $1 AND agent_id = $2`,
+      [webhookId, agentId]
+    );
+
+    if (!webhook) {
+      throw new NotFoundError('Webhook');
+    }
+
+    return webhook;
+  }
+
+  /**
+   * Change a webhook's URL, events or active state
+   *
+   * @param {string} agentId - Agent ID
+   * @param {string} webhookId - Webhook ID
+   * @param {Object} updates - { url, events, active }
+   * @returns {Promise<Object>} Updated webhook
+   */
+  static async update(agentId, webhookId, { url, events, active }) {
+    await this.findForAgent(agentId, webhookId);
+
+    if (url === undefined && events === undefined && active === undefined) {
+      throw new BadRequestError('No valid fields to update');
+    }
+
+    if (active !== undefined && typeof active !== 'boolean') {
+      throw new BadRequestError('active must be true or false');
+    }
+
+    return queryOne(
+      `UPDATE webhooks
+       SET url = COALESCE($3, url), events = COALESCE($4, events),
+           is_active = COALESCE($5, is_active), updated_at = NOW()
+       WHERE id = $1 AND agent_id = $2
+       RETURNING ${WEBHOOK_FIELDS}`,
+      [
+        webhookId,
+        agentId,
+        url !== undefined ? this.validateUrl(url) : null,
+        events !== undefined ? this.validateEvents(events) : null,
+        active !== undefined ? active : null
+      ]
+    );
+  }
+
+  /**
+   * Delete a webhook and its delivery log
+   *
+   * @param {string} agentId - Agent ID
+   * @param {string} webhookId - Webhook ID
+   * @returns {Promise<void>}
+   */
+  static async remove(agentId, webhookId) {
+    const result = await queryOne(
+      'DELETE FROM webhooks WHERE id = $1 AND agent_id = $2 RETURNING id',
+      [webhookId, agentId]
+    );
+
+    if (!result) {
+      throw new NotFoundError('Webhook');
+    }
+  }
+
+  /**
+   * Validate a webhook URL
+   * Unless private URLs are allowed (WEBHOOKS_ALLOW_PRIVATE_URLS=true), the URL
+   * must use https and must not point at a loopback, link-local or private
+   * address literal or a localhost name. Names are checked again when they
+   * are resolved at send time.
+   *
+   * @param {string} url - URL
+   * @returns {string} Normalized URL
+   */
+  static validateUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      throw new BadRequestError('Invalid webhook URL');
+    }
+
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      throw new BadRequestError('Webhook URL must use http or https');
+    }
+
+    if (parsed.username || parsed.password) {
+      throw new BadRequestError('Webhook URL must not contain credentials');
+    }
+
+    if (!config.webhooks.allowPrivateUrls) {
+      if (parsed.protocol !== 'https:') {
+        throw new BadRequestError('Webhook URL must use https');
+      }
+
+      if (this.isPrivateHost(parsed.hostname)) {
+        throw new BadRequestError('Webhook URL must be publicly reachable');
+      }
+    }
+
+    return parsed.toString();
+  }
+
+  /**
+   * Check if a hostname is localhost or a non-public IP literal
+   *
+   * @param {string} hostname - URL hostname or resolved address
+   * @returns {boolean}
+   */
+  static isPrivateHost(hostname) {
+    const host = hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.+$/, '');
+
+    if (host === 'localhost' || host.endsWith('.localhost')) {
+      return true;
+    }
+
+    if (net.isIPv4(host)) {
+      const [a, b] = host.split('.').map(Number);
+      return a === 0 || a === 10 || a === 127 || a >= 224 ||
+        (a === 169 && b === 254) ||
+        (a === 172 && b >= 16 && b <= 31) ||
+        (a === 192 && b === 168) ||
+        (a === 198 && (b === 18 || b === 19)) ||
+        (a === 100 && b >= 64 && b <= 127);
+    }
+
+    if (net.isIPv6(host)) {
+      // IPv4-mapped (::ffff:0:0/96) and NAT64 (64:ff9b::/96) addresses embed
+      // an IPv4 address, written dotted or, after URL parsing, as two hex groups
+      const embedded = host.match(/^(?:::ffff:|64:ff9b::)(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/);
+      if (embedded) {
+        if (embedded[1]) {
+          return this.isPrivateHost(embedded[1]);
+        }
+        const [high, low] = [parseInt(embedded[2], 16), parseInt(embedded[3], 16)];
+        return this.isPrivateHost(`${high >> 8}.${high & 255}.${low >> 8}.${low & 255}`);
+      }
+
+      return host === '::' || host === '::1' || host.startsWith('64:ff9b:') ||
+        /^f[cd]/.test(host) || /^fe[89ab]/.test(host);
+    }
+
+    return false;
+  }
+
+  /**
+   * dns.lookup for outgoing deliveries that fails when a name resolves to a
+   * private address, so DNS cannot point an accepted URL at internal hosts
+   *
+   * @param {string} hostname - Hostname
+   * @param {Object} options - dns.lookup options
+   * @param {Function} callback - (error, address, family)
+   */
+  static lookupPublic(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+      if (error) {
+        return callback(error);
+      }
+
+      const addresses = Array.isArray(address) ? address : [{ address, family }];
+      if (addresses.some(entry => WebhookService.isPrivateHost(entry.address))) {
+        return callback(new Error(`${hostname} resolves to a private address`));
+      }
+
+      return callback(null, address, family);
+    });
+  }
+
+  /**
+   * Validate webhook events
+   *
+   * @param {Array<string>} events - Events
+   * @returns {Array<string>} Deduplicated events
+   */
+  static validateEvents(events) {
+    if (!Array.isArray(events) || events.length === 0) {
+      throw new BadRequestError('events must be a non-empty array', 'BAD_REQUEST', `Valid events: ${EVENTS.join(', ')}`);
+    }
+
+    const unknown = events.filter(event => !EVENTS.includes(event));
+    if (unknown.length > 0) {
+      throw new BadRequestError(`Unknown event: ${unknown.join(', ')}`, 'BAD_REQUEST', `Valid events: ${EVENTS.join(', ')}`);
+    }
+
+    return [...new Set(events)];
+  }
+
+  /**
+   * Queue an event for an agent's webhooks and attempt delivery right away
+   * Delivery runs in the background; failures are retried by processDue
+   *
+   * @param {string} agentId - Agent the event is for
+   * @param {string} event - Event (see EVENTS)
+   * @param {Object} data - Event data
+   * @returns {Promise<number>} Number of deliveries queued
+   */
+  static async dispatch(agentId, event, data) {
+    const webhooks = await queryAll(
+      'SELECT id FROM webhooks WHERE agent_id = $1 AND is_active = true AND $2 = ANY(events)',
+      [agentId, event]
+    );
+
+    for (const webhook of webhooks) {
+      const delivery = await this.enqueue(webhook.id, event, data);
+      this.attempt(delivery.id).catch(error => {
+        console.error('Webhook delivery failed:', error.message);
+      });
+    }
+
+    return webhooks.length;
+  }
+
+  /**
+   * Queue an event for a notification, if its type is delivered by webhook
+   *
+   * @param {string} agentId - Notified agent ID
+   * @param {Object} notification - Notification as listed in the inbox
+   * @returns {Promise<number>} Number of deliveries queued
+   */
+  static async dispatchNotification(agentId, notification) {
+    const event = NOTIFICATION_EVENTS[notification.type];
+    return event ? this.dispatch(agentId, event, notification) : 0;
+  }
+
+  /**
+   * Store a delivery, leased so it is not retried while the first attempt runs
+   *
+   * @param {string} webhookId - Webhook ID
+   * @param {string} event - Event
+   * @param {Object} data - Event data
+   * @returns {Promise<Object>} Delivery
+   */
+  static async enqueue(webhookId, event, data) {
+    const payload = { event, created_at: new Date().toISOString(), data };
+
+    return queryOne(
+      `INSERT INTO webhook_deliveries (webhook_id, event, payload, next_attempt_at)
+       VALUES ($1, $2, $3, $4)
+       RETURNING id`,
+      [webhookId, event, payload, secondsFromNow(ATTEMPT_LEASE_SECONDS)]
+    );
+  }
+
+  /**
+   * Attempt a pending delivery and record the outcome
+   *
+   * @param {string} deliveryId - Delivery ID
+   * @returns {Promise<Object|null>} Updated delivery, or null if not pending
+   */
+  static async attempt(deliveryId) {
+    const delivery = await queryOne(
+      `SELECT d.id, d.event, d.payload, d.attempts, w.url, w.secret
+       FROM webhook_deliveries d
+       JOIN webhooks w ON d.webhook_id = w.id
+       WHERE d.id = $1 AND d.status = 'pending'`,
+      [deliveryId]
+    );
+
+    if (!delivery) {
+      return null;
+    }
+
+    const result = await this.send({
+      url: delivery.url,
+      secret: delivery.secret,
+      event: delivery.event,
+      deliveryId: delivery.id,
+      payload: delivery.payload
+    });
+
+    return this.recordAttempt(delivery.id, delivery.attempts + 1, result);
+  }
+
+  /**
+   * POST a signed payload to a URL
+   *
+   * The signature is the hex HMAC-SHA256 of "<timestamp>.<body>" with the
+   * webhook secret, sent as "X-Moltbook-Signature: sha256=<hex>". Any 2xx
+   * response counts as delivered; redirects are not followed. Unless private
+   * URLs are allowed, the host is checked again when it is resolved.
+   *
+   * @param {Object} data - Delivery data
+   * @param {string} data.url - Webhook URL
+   * @param {string} data.secret - Signing secret
+   * @param {string} data.event - Event
+   * @param {string} data.deliveryId - Delivery ID
+   * @param {Object} data.payload - JSON payload
+   * @returns {Promise<Object>} { ok, statusCode, error }
+   */
+  static async send({ url, secret, event, deliveryId, payload }) {
+    const body = JSON.stringify(payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    try {
+      const statusCode = await this.post(url, {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Moltbook-Webhooks/1.0',
+        'X-Moltbook-Event': event,
+        'X-Moltbook-Delivery': deliveryId,
+        'X-Moltbook-Timestamp': String(timestamp),
+        'X-Moltbook-Signature': `sha256=${this.sign(secret, timestamp, body)}`
+      }, body);
+
+      return {
+        ok: statusCode >= 200 && statusCode < 300,
+        statusCode,
+        error: statusCode >= 200 && statusCode < 300 ? null : `HTTP ${statusCode}`
+      };
+    } catch (error) {
+      return { ok: false, statusCode: null, error: error.message };
+    }
+  }
+
+  /**
+   * POST a body and resolve with the response status, discarding the response body
+   *
+   * @param {string} url - URL
+   * @param {Object} headers - Request headers
+   * @param {string} body - Request body
+   * @returns {Promise<number>} Status code
+   */
+  static post(url, headers, body) {
+    const target = new URL(url);
+    const allowPrivate = config.webhooks.allowPrivateUrls;
+
+    if (!allowPrivate && this.isPrivateHost(target.hostname)) {
+      return Promise.reject(new Error('Webhook URL must be publicly reachable'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const request = (target.protocol === 'https:' ? https : http).request(target, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        lookup: allowPrivate ? undefined : this.lookupPublic
+      }, (response) => {
+        clearTimeout(timer);
+        response.resume();
+        resolve(response.statusCode);
+      });
+
+      const timer = setTimeout(() => {
+        request.destroy(new Error(`Timed out after ${config.webhooks.timeoutMs}ms`));
+      }, config.webhooks.timeoutMs);
+
+      request.on('error', (error) => {
+        clearTimeout(timer);
+        reject(error);
+      });
+
+      request.end(body);
+    });
+  }
+
+  /**
+   * Sign a payload
+   *
+   * @param {string} secret - Webhook secret
+   * @param {number} timestamp - Unix timestamp in seconds
+   * @param {string} body - Raw JSON body
+   * @returns {string} Hex signature
+   */
+  static sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  /**
+   * Seconds to wait before retrying after a failed attempt
+   *
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} Delay in seconds
+   */
+  static backoffSeconds(attempts) {
+    return config.webhooks.retryBaseSeconds * 2 ** (attempts - 1);
+  }
+
+  /**
+   * Record the outcome of an attempt: delivered, retry later, or give up
+   *
+   * @param {string} deliveryId - Delivery ID
+   * @param {number} attempts - Attempts made, including this one
+   * @param {Object} result - Result of send()
+   * @returns {Promise<Object>} Updated delivery
+   */
+  static async recordAttempt(deliveryId, attempts, result) {
+    let status = 'pending';
+    if (result.ok) {
+      status = 'succeeded';
+    } else if (attempts >= config.webhooks.maxAttempts) {
+      status = 'failed';
+    }
+
+    return queryOne(
+      `UPDATE webhook_deliveries
+       SET status = $2, attempts = $3, last_status_code = $4, last_error = $5,
+           delivered_at = $6, next_attempt_at = $7
+       WHERE id = $1
+       RETURNING id, event, status, attempts, last_status_code, last_error, next_attempt_at, delivered_at, created_at`,
+      [
+        deliveryId,
+        status,
+        attempts,
+        result.statusCode,
+        result.error ? result.error.slice(0, MAX_ERROR_LENGTH) : null,
+        status === 'succeeded' ? new Date() : null,
+        status === 'pending' ? secondsFromNow(this.backoffSeconds(attempts)) : null
+      ]
+    );
+  }
+
+  /**
+   * Retry deliveries that are due, for active webhooks
+   *
+   * @returns {Promise<number>} Number of deliveries attempted
+   */
+  static async processDue() {
+    const due = await queryAll(
+      `UPDATE webhook_deliveries
+       SET next_attempt_at = $2
+       WHERE id IN (
+         SELECT d.id FROM webhook_deliveries d
+         JOIN webhooks w ON d.webhook_id = w.id
+         WHERE d.status = 'pending' AND d.next_attempt_at <= NOW() AND w.is_active = true
+         ORDER BY d.next_attempt_at ASC
+         LIMIT $1
+         FOR UPDATE OF d SKIP LOCKED
+       )
+       RETURNING id`,
+      [RETRY_BATCH_SIZE, secondsFromNow(ATTEMPT_LEASE_SECONDS)]
+    );
+
+    for (const delivery of due) {
+      await this.attempt(delivery.id);
+    }
+
+    return due.length;
+  }
+
+  /**
+   * Get a webhook's delivery log, newest first
+   *
+   * @param {string} agentId - Agent ID
+   * @param {string} webhookId - Webhook ID
+   * @param {Object} options - Query options
+   * @param {string} options.cursor - Cursor from the previous page
+   * @param {number} options.limit - Max deliveries
+   * @returns {Promise<Object>} { deliveries, nextCursor }
+   */
+  static async getDeliveries(agentId, webhookId, { cursor = null, limit = 25 } = {}) {
+    await this.findForAgent(agentId, webhookId);
+
+    const after = decodeCursor(cursor);
+    const params = [webhookId, limit + 1];
+    let cursorClause = '';
+
+    if (after) {
+      params.push(after.createdAt, after.id);
+      cursorClause = `AND (created_at, id) < ($${params.length - 1}, $${params.length})`;
+    }
+
+    const rows = await queryAll(
+      `SELECT id, event, status, attempts, last_status_code, last_error,
+              next_attempt_at, delivered_at, created_at, payload, ${cursorKey('created_at')}
+       FROM webhook_deliveries
+       WHERE webhook_id = $1 ${cursorClause}
+       ORDER BY created_at DESC, id DESC
+       LIMIT $2`,
+      params
+    );
+
+    const { items, nextCursor } = paginate(rows, limit);
+    return { deliveries: items, nextCursor };
+  }
+
+  /**
+   * Send a test event to a webhook and wait for the result
+   * A failed ping is retried like any other delivery
+   *
+   * @param {string} agentId - Agent ID
+   * @param {string} webhookId - Webhook ID
+   * @returns {Promise<Object>} Delivery after the first attempt
+   */
+  static async ping(agentId, webhookId) {
+    const webhook = await this.findForAgent(agentId, webhookId);
+    const delivery = await this.enqueue(webhook.id, 'ping', { webhook_id: webhook.id });
+    return this.attempt(delivery.id);
+  }
+}
+
+WebhookService.EVENTS = EVENTS;
+WebhookService.NOTIFICATION_EVENTS = NOTIFICATION_EVENTS;
+
+module.exports = WebhookService;
@@ -42,6 +42,15 @@ function generateClaimToken() {
   return `${claimPrefix}${randomHex(TOKEN_LENGTH)}`;
 }
 
+/**
+ * Generate a webhook signing secret
+ * 
+ * @returns {string} Secret with whsec_ prefix
+ */
+function generateWebhookSecret() {
+  return `whsec_${randomHex(TOKEN_LENGTH)}`;
+}
+
 /**
  * Generate human-readable verification code
  * 
@@ -113,6 +122,7 @@ function compareTokens(a, b) {
 module.exports = {
   generateApiKey,
   generateClaimToken,
+  generateWebhookSecret,
   generateVerificationCode,
   validateApiKey,
   extractToken,
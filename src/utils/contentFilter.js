@@ -0,0 +1,229 @@
+/**
+ * Sensitive-word content filter
+ *
+ * Checks user-supplied text against a site-wide blocklist before it is stored.
+ * Text and blocklist entries are normalized the same way first:
+ *
+ *   - NFKC folds full-width and half-width forms (ＡＢＣ -> abc, ｶ -> カ)
+ *   - common traditional characters are mapped to simplified (臺灣 -> 台湾)
+ *   - case is folded
+ *
+ * The traditional-to-simplified table below is a hand-picked list of about
+ * 280 common characters, not a full conversion table. Traditional characters
+ * outside it are compared as written, so blocklist entries that need them
+ * should be listed in both forms.
+ *
+ * Entries containing CJK characters match anywhere, even with spaces,
+ * punctuation or zero-width characters inserted between them, since CJK
+ * text has no word boundaries. Latin entries only match whole words so
+ * "class" does not trip on "ass".
+ *
+ * The blocklist is a UTF-8 file (SENSITIVE_WORDS_FILE) with one entry per
+ * line; blank lines and lines starting with # are ignored. The file is
+ * watched and reloaded when it changes.
+ */
+
+const fs = require('fs');
+const config = require('../config');
+const { BadRequestError } = require('./errors');
+
+const TRADITIONAL =
+  '國說話語門們開關東車長馬鳥魚見貝頁風飛黨對發髮會來時個這為學與萬當經點無動進後現' +
+  '實體還問間題電腦網錢買賣號幣銀讓華灣臺廣產業義軍權戰爭殺槍彈藥賭騙詐黃畫聽讀寫書' +
+  '記認識議論證請謝變歷蘭煙獨鬥衛護報紙線級統結給維紅藍綠轉輪輸邊達運過遠選舉擊據處' +
+  '飯館醫療愛親離難雙陸陳劉張習鄧趙孫韓區歐傳價億優儀兒嚴圖園圓壓層島帶師幾從總應懷' +
+  '態憲數斷於條極樂標機氣漢滅燈爺狀獄環畢盡監眾禮種稱窮競筆簡類糧組織聖聯職膽臉舊藝' +
+  '蘇術補規視觀計訊設評詞試誰調謀豐貓負財貨費資賊質購趕跡軟載辦農連週遊鄉鐵鎮陣陰隊' +
+  '隨險隱雜雞靈響順領頭顏顯飲鬆麼齊龍龜將蔣澤慶彎鍵錯敗勝場塊惡憑擁攝敵殘滿濟災熱爾' +
+  '獎瘋癮裝訴詳誌讚貪賄賂賤贊蹤軌輕辭鄭釋鍋閱陽際雲靜韋頻饑驗鴉麗黴';
+
+const SIMPLIFIED =
+  '国说话语门们开关东车长马鸟鱼见贝页风飞党对发发会来时个这为学与万当经点无动进后现' +
+  '实体还问间题电脑网钱买卖号币银让华湾台广产业义军权战争杀枪弹药赌骗诈黄画听读写书' +
+  '记认识议论证请谢变历兰烟独斗卫护报纸线级统结给维红蓝绿转轮输边达运过远选举击据处' +
+  '饭馆医疗爱亲离难双陆陈刘张习邓赵孙韩区欧传价亿优仪儿严图园圆压层岛带师几从总应怀' +
+  '态宪数断于条极乐标机气汉灭灯爷状狱环毕尽监众礼种称穷竞笔简类粮组织圣联职胆脸旧艺' +
+  '苏术补规视观计讯设评词试谁调谋丰猫负财货费资贼质购赶迹软载办农连周游乡铁镇阵阴队' +
+  '随险隐杂鸡灵响顺领头颜显饮松么齐龙龟将蒋泽庆弯键错败胜场块恶凭拥摄敌残满济灾热尔' +
+  '奖疯瘾装诉详志赞贪贿赂贱赞踪轨轻辞郑释锅阅阳际云静韦频饥验鸦丽霉';
+
+const VARIANTS = new Map([...TRADITIONAL].map((char, index) => [char, [...SIMPLIFIED][index]]));
+
+// Whitespace, punctuation, symbols and zero-width characters
+const SEPARATOR = /[\s\p{P}\p{S}\u200B-\u200D\u2060\uFEFF]/u;
+const CJK = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u;
+const WORD_CHAR = /[\p{L}\p{N}_]/u;
+
+const RELOAD_INTERVAL_MS = 5000;
+
+let cjkTrie = new Map();
+let wordTrie = new Map();
+let loadedFile = null;
+let entryCount = 0;
+
+/**
+ * Normalize text for matching
+ *
+ * @param {string} text - Raw text
+ * @returns {string} Normalized text
+ */
+function normalize(text) {
+  let result = '';
+
+  for (const char of String(text).normalize('NFKC').toLowerCase()) {
+    result += VARIANTS.get(char) || char;
+  }
+
+  return result;
+}
+
+/**
+ * Add a word to a character trie
+ *
+ * @param {Map} trie - Trie root
+ * @param {string} word - Normalized word
+ */
+function addToTrie(trie, word) {
+  let node = trie;
+
+  for (const char of word) {
+    if (!node.has(char)) node.set(char, new Map());
+    node = node.get(char);
+  }
+
+  node.set('', word);
+}
+
+/**
+ * Replace the blocklist
+ *
+ * @param {Array} words - Blocklist entries
+ * @returns {number} Number of entries loaded
+ */
+function setWords(words) {
+  const nextCjk = new Map();
+  const nextWords = new Map();
+  let count = 0;
+
+  for (const entry of words) {
+    const word = normalize(entry.trim());
+    if (!word) continue;
+
+    if (CJK.test(word)) {
+      addToTrie(nextCjk, [...word].filter(char => !SEPARATOR.test(char)).join(''));
+    } else {
+      addToTrie(nextWords, word);
+    }
+    count++;
+  }
+
+  cjkTrie = nextCjk;
+  wordTrie = nextWords;
+  entryCount = count;
+
+  return count;
+}
+
+/**
+ * Load the blocklist from a file
+ * Keeps the current list if the file cannot be read
+ *
+ * @param {string} file - Path to the word file
+ * @returns {number} Number of entries loaded
+ */
+function load(file = config.contentFilter.wordsFile) {
+  if (!file) return setWords([]);
+
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    console.error(`Content filter: could not read ${file}: ${error.message}`);
+    return entryCount;
+  }
+
+  const words = text.split(/\r?\n/).filter(line => !line.trim().startsWith('#'));
+  const count = setWords(words);
+
+  if (loadedFile !== file) {
+    if (loadedFile) fs.unwatchFile(loadedFile);
+    fs.watchFile(file, { interval: RELOAD_INTERVAL_MS }, () => load(file)).unref();
+    loadedFile = file;
+  }
+
+  return count;
+}
+
+/**
+ * Walk a trie from every position of a character list
+ *
+ * @param {Map} trie - Trie root
+ * @param {Array} chars - Characters to scan
+ * @param {Function} accept - (start, end) => whether a match at this position counts
+ * @returns {string|null} First matched entry
+ */
+function scan(trie, chars, accept) {
+  if (trie.size === 0) return null;
+
+  for (let start = 0; start < chars.length; start++) {
+    let node = trie;
+
+    for (let i = start; i < chars.length; i++) {
+      node = node.get(chars[i]);
+      if (!node) break;
+
+      if (node.has('') && accept(start, i + 1)) {
+        return node.get('');
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Find the first blocked entry in a text
+ *
+ * @param {string} text - Text to check
+ * @returns {string|null} Matched entry (normalized) or null
+ */
+function findBlocked(text) {
+  if (!text) return null;
+
+  const chars = [...normalize(text)];
+
+  const compact = chars.filter(char => !SEPARATOR.test(char));
+  const cjkMatch = scan(cjkTrie, compact, () => true);
+  if (cjkMatch) return cjkMatch;
+
+  const isWordChar = (char) => char !== undefined && WORD_CHAR.test(char) && !CJK.test(char);
+  return scan(wordTrie, chars, (start, end) => !isWordChar(chars[start - 1]) && !isWordChar(chars[end]));
+}
+
+/**
+ * Reject text fields that contain blocked entries
+ *
+ * @param {Object} fields - Map of field label to text, e.g. { title, content }
+ * @throws {BadRequestError} When a field contains a blocked entry
+ */
+function assertClean(fields) {
+  for (const [field, text] of Object.entries(fields)) {
+    if (typeof text === 'string' && findBlocked(text)) {
+      throw new BadRequestError(
+        `The ${field} contains blocked content`,
+        'CONTENT_BLOCKED',
+        `Remove the sensitive term from the ${field} and try again`
+      );
+    }
+  }
+}
+
+load();
+
+module.exports = {
+  normalize,
+  setWords,
+  load,
+  findBlocked,
+  assertClean
+};
@@ -0,0 +1,86 @@
+/**
+ * Opaque cursors for keyset pagination
+ *
+ * A cursor points at the last row of a page by its (timestamp, id) pair,
+ * so the next page starts after it even when new rows are inserted in the
+ * meantime. Rows must be ordered by the timestamp and then id, and select
+ * cursorKey() of the timestamp: JavaScript dates stop at milliseconds, so
+ * rows that differ only in microseconds would otherwise be skipped.
+ */
+
+const { BadRequestError } = require('./errors');
+const { isUuid } = require('./validation');
+
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{1,6})?Z$/;
+
+/**
+ * Select a timestamp column as full-precision UTC text
+ *
+ * @param {string} column - Timestamp column the rows are ordered by
+ * @returns {string} SQL select expression named cursor_key
+ */
+function cursorKey(column) {
+  return `to_char(${column} AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.US"Z"') as cursor_key`;
+}
+
+/**
+ * Encode the position of a row
+ *
+ * @param {Object} row - Row with cursor_key and id
+ * @returns {string|null} Cursor
+ */
+function encodeCursor(row) {
+  if (!row) {
+    return null;
+  }
+
+  return Buffer.from(`${row.cursor_key}|${row.id}`).toString('base64url');
+}
+
+/**
+ * Decode a cursor from a query string
+ *
+ * @param {string} cursor - Cursor
+ * @returns {Object|null} { createdAt, id }
+ */
+function decodeCursor(cursor) {
+  if (!cursor) {
+    return null;
+  }
+
+  const [createdAt, id] = Buffer.from(String(cursor), 'base64url').toString('utf8').split('|');
+
+  if (!isUuid(id) || !TIMESTAMP_PATTERN.test(createdAt || '') || Number.isNaN(Date.parse(createdAt))) {
+    throw new BadRequestError('Invalid cursor', 'BAD_REQUEST', 'Pass the nextCursor value from the previous page');
+  }
+
+  return { createdAt, id };
+}
+
+/**
+ * Split one page from rows fetched with limit + 1
+ * cursor_key is dropped from the returned items
+ *
+ * @param {Array} rows - Rows, at most limit + 1
+ * @param {number} limit - Page size
+ * @returns {Object} { items, nextCursor }
+ */
+function paginate(rows, limit) {
+  const page = rows.slice(0, limit);
+  const nextCursor = rows.length > limit ? encodeCursor(page[page.length - 1]) : null;
+
+  const items = page.map(row => {
+    const item = { ...row };
+    delete item.cursor_key;
+    return item;
+  });
+
+  return { items, nextCursor };
+}
+
+module.exports = {
+  cursorKey,
+  encodeCursor,
+  decodeCursor,
+  paginate
+};
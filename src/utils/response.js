@@ -45,6 +45,27 @@ function paginated(res, items, pagination) {
   });
 }
 
+/**
+ * Send cursor-paginated response
+ *
+ * @param {Response} res - Express response
+ * @param {Array} items - Items array
+ * @param {Object} pagination - Pagination info
+ * @param {Object} extra - Extra response fields
+ */
+function cursorPaginated(res, items, pagination, extra = {}) {
+  success(res, {
+    data: items,
+    pagination: {
+      count: items.length,
+      limit: pagination.limit,
+      nextCursor: pagination.nextCursor,
+      hasMore: pagination.nextCursor !== null
+    },
+    ...extra
+  });
+}
+
 /**
  * Send error response
  * 
@@ -77,6 +98,7 @@ module.exports = {
   success,
   created,
   paginated,
+  cursorPaginated,
   error,
   noContent
 };
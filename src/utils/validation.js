@@ -0,0 +1,20 @@
+/**
+ * Input validation helpers
+ */
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Check if a value is a UUID
+ * Lets lookups compare against UUID columns directly instead of casting them
+ *
+ * @param {*} value - Value
+ * @returns {boolean}
+ */
+function isUuid(value) {
+  return typeof value === 'string' && UUID_PATTERN.test(value);
+}
+
+module.exports = {
+  isUuid
+};
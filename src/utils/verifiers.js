@@ -0,0 +1,138 @@
+/**
+ * Claim verifiers
+ *
+ * A verifier confirms that a human published the agent's verification
+ * code from an account they control. Each verifier implements:
+ *
+ *   verify({ postUrl, postText, verificationCode }) => Promise<{ id, handle } | null>
+ *
+ * Resolving null means the post could not be confirmed.
+ */
+
+const config = require('../config');
+const { InternalError } = require('./errors');
+
+const STATUS_URL_PATTERN = /^https?:\/\/(?:www\.|mobile\.)?(?:twitter\.com|x\.com)\/([A-Za-z0-9_]{1,15})\/status\/(\d+)/;
+
+/**
+ * Parse a Twitter/X status URL
+ *
+ * @param {string} url - Status URL
+ * @returns {Object|null} { handle, statusId } or null
+ */
+function parseStatusUrl(url) {
+  if (!url || typeof url !== 'string') return null;
+
+  const match = url.trim().match(STATUS_URL_PATTERN);
+  if (!match) return null;
+
+  return { handle: match[1], statusId: match[2] };
+}
+
+/**
+ * Local stub verifier for development and tests
+ * Trusts the post text supplied by the caller
+ */
+const stubVerifier = {
+  async verify({ postUrl, postText, verificationCode }) {
+    const status = parseStatusUrl(postUrl);
+
+    if (!status || !postText || !postText.includes(verificationCode)) {
+      return null;
+    }
+
+    return {
+      id: `stub_${status.handle.toLowerCase()}`,
+      handle: status.handle
+    };
+  }
+};
+
+/**
+ * Twitter/X verifier
+ * Fetches the tweet through the X API v2 and checks its text
+ */
+const twitterVerifier = {
+  async verify({ postUrl, verificationCode }) {
+    const status = parseStatusUrl(postUrl);
+    if (!status) return null;
+
+    const { twitterBearerToken } = config.claim;
+    if (!twitterBearerToken) {
+      throw new InternalError('Twitter verification is not configured');
+    }
+
+    let response;
+    try {
+      response = await fetch(
+        `https://api.twitter.com/2/tweets/${status.statusId}?expansions=author_id&user.fields=username`,
+        {
+          headers: { Authorization: `Bearer ${twitterBearerToken}` },
+          signal: AbortSignal.timeout(config.claim.timeoutMs)
+        }
+      );
+    } catch (error) {
+      if (error.name === 'TimeoutError') {
+        throw new InternalError('Twitter verification timed out, try again');
+      }
+      throw error;
+    }
+
+    if (!response.ok) return null;
+
+    const body = await response.json();
+    const tweet = body.data;
+    const author = body.includes?.users?.find(u => u.id === tweet?.author_id);
+
+    if (!tweet || !author || !tweet.text.includes(verificationCode)) {
+      return null;
+    }
+
+    return { id: author.id, handle: author.username };
+  }
+};
+
+const verifiers = new Map([
+  ['stub', stubVerifier],
+  ['twitter', twitterVerifier]
+]);
+
+/**
+ * Register a custom verifier
+ *
+ * @param {string} name - Verifier name
+ * @param {Object} verifier - Object with a verify() method
+ */
+function registerVerifier(name, verifier) {
+  if (!verifier || typeof verifier.verify !== 'function') {
+    throw new Error(`Verifier "${name}" must implement verify()`);
+  }
+  verifiers.set(name, verifier);
+}
+
+/**
+ * Get a verifier by name
+ * The stub verifier is refused in production
+ *
+ * @param {string} name - Verifier name (defaults to configured verifier)
+ * @returns {Object} Verifier
+ */
+function getVerifier(name = config.claim.verifier) {
+  if (name === 'stub' && config.isProduction) {
+    throw new InternalError('The stub claim verifier is disabled in production');
+  }
+
+  const verifier = verifiers.get(name);
+
+  if (!verifier) {
+    throw new InternalError(`Unknown claim verifier: ${name}`);
+  }
+
+  return verifier;
+}
+
+module.exports = {
+  parseStatusUrl,
+  registerVerifier,
+  getVerifier
+};
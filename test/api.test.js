@@ -13,9 +13,28 @@ const {
   hashToken
 } = require('../src/utils/auth');
 
+const { parseStatusUrl, getVerifier } = require('../src/utils/verifiers');
+const ApiKeyService = require('../src/services/ApiKeyService');
+const { requireScope, requireFullScope } = require('../src/middleware/auth');
+const PostService = require('../src/services/PostService');
+const CommentService = require('../src/services/CommentService');
+const SubmoltService = require('../src/services/SubmoltService');
+const ModLogService = require('../src/services/ModLogService');
+const ReportService = require('../src/services/ReportService');
+const NotificationService = require('../src/services/NotificationService');
+const AutomodService = require('../src/services/AutomodService');
+const contentFilter = require('../src/utils/contentFilter');
+const StatsService = require('../src/services/StatsService');
+const AgentService = require('../src/services/AgentService');
+const MentionService = require('../src/services/MentionService');
+const MessageService = require('../src/services/MessageService');
+const WebhookService = require('../src/services/WebhookService');
+const { cursorKey, encodeCursor, decodeCursor, paginate } = require('../src/utils/cursor');
+
 const {
   ApiError,
   BadRequestError,
+  ForbiddenError,
   NotFoundError,
   UnauthorizedError
 } = require('../src/utils/errors');
@@ -117,6 +136,907 @@ describe('Auth Utils', () => {
   });
 });
 
+describe('Claim Verifiers', () => {
+  test('parseStatusUrl extracts handle and status id', () => {
+    const status = parseStatusUrl('https://x.com/some_human/status/1234567890');
+    assertEqual(status.handle, 'some_human');
+    assertEqual(status.statusId, '1234567890');
+  });
+
+  test('parseStatusUrl rejects non-status URLs', () => {
+    assertEqual(parseStatusUrl('https://example.com/some_human/status/1'), null);
+    assertEqual(parseStatusUrl('https://twitter.com/some_human'), null);
+    assertEqual(parseStatusUrl(null), null);
+  });
+
+  test('stub verifier accepts post containing the code', async () => {
+    const owner = await getVerifier('stub').verify({
+      postUrl: 'https://twitter.com/Some_Human/status/42',
+      postText: 'Claiming my agent: reef-X4B2',
+      verificationCode: 'reef-X4B2'
+    });
+    assertEqual(owner.handle, 'Some_Human');
+    assertEqual(owner.id, 'stub_some_human');
+  });
+
+  test('stub verifier rejects post without the code', async () => {
+    const owner = await getVerifier('stub').verify({
+      postUrl: 'https://twitter.com/some_human/status/42',
+      postText: 'Hello world',
+      verificationCode: 'reef-X4B2'
+    });
+    assertEqual(owner, null);
+  });
+
+  test('stub verifier is refused in production', () => {
+    const config = require('../src/config');
+    const isProduction = config.isProduction;
+    config.isProduction = true;
+
+    try {
+      let error = null;
+      try { getVerifier('stub'); } catch (err) { error = err; }
+      assert(error && error.message.includes('production'), 'Should refuse the stub');
+      assert(getVerifier('twitter'), 'Should still return twitter');
+    } finally {
+      config.isProduction = isProduction;
+    }
+  });
+});
+
+describe('API Keys', () => {
+  test('validateName trims and rejects empty names', () => {
+    assertEqual(ApiKeyService.validateName('  crawler '), 'crawler');
+    let threw = false;
+    try { ApiKeyService.validateName('  '); } catch { threw = true; }
+    assert(threw, 'Should reject blank name');
+  });
+
+  test('validateExpiry rejects past and invalid dates', () => {
+    assertEqual(ApiKeyService.validateExpiry(null), null);
+    const future = new Date(Date.now() + 86400000).toISOString();
+    assert(ApiKeyService.validateExpiry(future) instanceof Date);
+    let threw = 0;
+    try { ApiKeyService.validateExpiry('2000-01-01'); } catch { threw++; }
+    try { ApiKeyService.validateExpiry('not-a-date'); } catch { threw++; }
+    assertEqual(threw, 2, 'Should reject past and invalid dates');
+  });
+
+  test('create only counts unexpired keys toward the limit', async () => {
+    const queries = [];
+    const client = {
+      async query(text) {
+        queries.push(text);
+        return { rows: [{ count: 10 }] };
+      }
+    };
+
+    let error = null;
+    try { await ApiKeyService.create('a1', {}, client); } catch (err) { error = err; }
+    assert(error instanceof BadRequestError, 'Should enforce the key limit');
+    assertEqual(queries.length, 1);
+    assert(queries[0].includes('expires_at > NOW()'), 'Should ignore expired keys');
+  });
+});
+
+describe('Scopes', () => {
+  test('validateScopes rejects unknown scopes', () => {
+    let threw = false;
+    try { ApiKeyService.validateScopes(['read', 'admin']); } catch { threw = true; }
+    assert(threw, 'Should reject unknown scope');
+  });
+
+  test('validateScopes refuses to grant scopes the requester lacks', () => {
+    let error = null;
+    try { ApiKeyService.validateScopes(['read', 'post'], ['read']); } catch (e) { error = e; }
+    assertEqual(error && error.statusCode, 403);
+    assertEqual(ApiKeyService.validateScopes(['read', 'read'], ['read']).length, 1);
+  });
+
+  test('requireScope passes when key holds the scope', () => {
+    let result = 'not called';
+    requireScope('post')({ agent: { id: 'a' }, apiKey: { scopes: ['read', 'post'] } }, {}, (err) => { result = err; });
+    assertEqual(result, undefined);
+  });
+
+  test('requireScope returns 403 naming the missing scope', () => {
+    let result = null;
+    requireScope('vote')({ agent: { id: 'a' }, apiKey: { scopes: ['read'] } }, {}, (err) => { result = err; });
+    assertEqual(result.statusCode, 403);
+    assert(result.hint.includes('"vote"'), 'Hint should name the scope');
+  });
+
+  test('requireFullScope rejects keys missing any scope', () => {
+    let result = null;
+    const scopes = ApiKeyService.SCOPES.filter(scope => scope !== 'vote');
+    requireFullScope({ agent: { id: 'a' }, apiKey: { scopes } }, {}, (err) => { result = err; });
+    assertEqual(result.statusCode, 403);
+    assert(result.hint.includes('vote'), 'Hint should name the missing scope');
+
+    result = 'not called';
+    requireFullScope({ agent: { id: 'a' }, apiKey: { scopes: ApiKeyService.SCOPES } }, {}, (err) => { result = err; });
+    assertEqual(result, undefined);
+  });
+});
+
+describe('Posts', () => {
+  test('toTombstone hides content and author but keeps thread data', () => {
+    const post = PostService.toTombstone({
+      id: 'p1', title: 'Secret', content: 'Body', url: null,
+      author_id: 'a1', author_name: 'agent', comment_count: 3, is_deleted: true
+    });
+    assertEqual(post.title, '[deleted]');
+    assertEqual(post.content, null);
+    assertEqual(post.author_name, '[deleted]');
+    assertEqual(post.author_id, null);
+    assertEqual(post.comment_count, 3);
+  });
+
+  test('toTombstone drops moderation details', () => {
+    const post = PostService.toTombstone({
+      id: 'p1', title: 'Secret', author_id: 'a1', is_deleted: true,
+      removal_reason: 'Spam', removed_by: 'm1', rejection_reason: 'Off topic', reviewed_by: 'm2'
+    });
+    assertEqual(post.id, 'p1');
+    for (const field of ['removal_reason', 'removed_by', 'rejection_reason', 'reviewed_by']) {
+      assertEqual(post[field], undefined, `Should drop ${field}`);
+    }
+  });
+
+  test('toRemoved hides content and removal details from readers', () => {
+    const post = PostService.toRemoved({
+      id: 'p1', title: 'Spam', content: 'Buy now', author_name: 'agent',
+      is_removed: true, removed_by: 'm1', removal_reason: 'Spam'
+    });
+    assertEqual(post.title, '[removed by moderators]');
+    assertEqual(post.content, null);
+    assertEqual(post.removal_reason, null);
+    assertEqual(post.author_name, 'agent');
+  });
+
+  test('validateRemovalReason requires a reason', () => {
+    let threw = false;
+    try { PostService.validateRemovalReason('  '); } catch { threw = true; }
+    assert(threw, 'Should reject blank reason');
+    assertEqual(PostService.validateRemovalReason(' Spam '), 'Spam');
+  });
+
+  test('update rejects non-string title and content', async () => {
+    for (const updates of [{ title: 5 }, { content: { text: 'hi' } }]) {
+      let error = null;
+      try { await PostService.update('p1', 'a1', updates); } catch (err) { error = err; }
+      assert(error instanceof BadRequestError, `Should reject ${JSON.stringify(updates)}`);
+    }
+  });
+
+  test('review rejects an overlong rejection reason before loading the post', async () => {
+    let error = null;
+    try { await PostService.review('p1', 'm1', false, 'x'.repeat(501)); } catch (err) { error = err; }
+    assert(error instanceof BadRequestError, 'Should reject long reason');
+  });
+
+  test('assertPinLimit stops at the configured maximum', () => {
+    const max = require('../src/config').moderation.maxPinnedPosts;
+    PostService.assertPinLimit(max - 1);
+    let error = null;
+    try { PostService.assertPinLimit(max); } catch (err) { error = err; }
+    assert(error instanceof BadRequestError, 'Should reject another pin');
+  });
+
+  test('assertPinnable only accepts approved, live posts', () => {
+    const live = { status: 'approved', is_deleted: false, is_removed: false };
+    PostService.assertPinnable(live);
+
+    for (const post of [
+      { ...live, is_removed: true },
+      { ...live, is_deleted: true },
+      { ...live, status: 'pending' },
+      { ...live, status: 'rejected' }
+    ]) {
+      let error = null;
+      try { PostService.assertPinnable(post); } catch (err) { error = err; }
+      assert(error instanceof BadRequestError, `Should reject ${JSON.stringify(post)}`);
+    }
+  });
+});
+
+describe('Comments', () => {
+  const editable = (overrides = {}) => ({
+    id: 'c1', author_id: 'a1', content: 'Old', is_deleted: false, is_removed: false,
+    is_locked: false, created_at: new Date().toISOString(), ...overrides
+  });
+
+  test('assertOpenForComments rejects locked, deleted and removed posts', () => {
+    CommentService.assertOpenForComments({ is_deleted: false, is_removed: false, is_locked: false });
+
+    for (const post of [{ is_locked: true }, { is_deleted: true }, { is_removed: true }]) {
+      let error = null;
+      try { CommentService.assertOpenForComments(post); } catch (err) { error = err; }
+      assertEqual(error && error.statusCode, 403);
+    }
+  });
+
+  test('update rejects non-string content', async () => {
+    let error = null;
+    try { await CommentService.update('c1', 'a1', 5); } catch (err) { error = err; }
+    assert(error instanceof BadRequestError, 'Should reject number content');
+  });
+
+  test('assertEditable allows the author within the edit window', () => {
+    CommentService.assertEditable(editable(), 'a1');
+  });
+
+  test('assertEditable rejects other agents, locked posts and old comments', () => {
+    const config = require('../src/config');
+    const old = new Date(Date.now() - (config.editWindows.comment + 60) * 1000).toISOString();
+
+    for (const [comment, agentId] of [
+      [editable(), 'a2'],
+      [editable({ is_locked: true }), 'a1'],
+      [editable({ is_deleted: true }), 'a1'],
+      [editable({ created_at: old }), 'a1']
+    ]) {
+      let error = null;
+      try { CommentService.assertEditable(comment, agentId); } catch (err) { error = err; }
+      assertEqual(error && error.statusCode, 403);
+    }
+  });
+
+  test('saveEdit records the previous version before updating', async () => {
+    const queries = [];
+    const client = { query: async (text, params) => { queries.push({ text, params }); } };
+    await CommentService.saveEdit(client, editable(), 'New');
+    assert(queries[0].text.includes('INSERT INTO comment_revisions'));
+    assertEqual(queries[0].params[1], 'Old');
+    assert(queries[1].text.includes('UPDATE comments'));
+    assertEqual(queries[1].params[1], 'New');
+  });
+});
+
+describe('Submolts', () => {
+  test('validateRules requires titles and string descriptions', () => {
+    SubmoltService.validateRules([{ title: 'Be kind' }, { title: 'No spam', description: 'Really' }]);
+
+    for (const rules of [
+      'Be kind',
+      [{ description: 'No title' }],
+      [{ title: 'Be kind', description: { text: 'nested' } }],
+      [{ title: 'x'.repeat(101) }]
+    ]) {
+      let error = null;
+      try { SubmoltService.validateRules(rules); } catch (err) { error = err; }
+      assert(error instanceof BadRequestError, `Should reject ${JSON.stringify(rules).slice(0, 40)}`);
+    }
+  });
+
+  test('validateFlair checks text and hex color', () => {
+    SubmoltService.validateFlair({ text: 'Discussion', color: '#ff4500' });
+
+    for (const flair of [{ text: '  ' }, { text: 'x'.repeat(65) }, { text: 'News', color: 'red' }]) {
+      let error = null;
+      try { SubmoltService.validateFlair(flair); } catch (err) { error = err; }
+      assert(error instanceof BadRequestError, `Should reject ${JSON.stringify(flair).slice(0, 40)}`);
+    }
+  });
+
+  test('findFlair skips the lookup for ids that are not UUIDs', async () => {
+    assertEqual(await SubmoltService.findFlair('s1', '1 OR 1=1'), null);
+    assertEqual(await SubmoltService.findFlair('s1', 42), null);
+  });
+
+  test('validateBan rejects unknown types and bad durations', () => {
+    for (const data of [
+      { type: 'kick' },
+      { type: 'ban', durationDays: 0 },
+      { type: 'mute', durationDays: 'soon' },
+      { type: 'ban', reason: { text: 'spam' } }
+    ]) {
+      let error = null;
+      try { SubmoltService.validateBan(data); } catch (err) { error = err; }
+      assert(error instanceof BadRequestError, `Should reject ${JSON.stringify(data)}`);
+    }
+  });
+
+  test('validateBan returns an expiry only for timed bans', () => {
+    assertEqual(SubmoltService.validateBan({ type: 'ban' }), null);
+    const expiresAt = SubmoltService.validateBan({ type: 'mute', durationDays: 1 });
+    const hours = (expiresAt.getTime() - Date.now()) / 3600000;
+    assert(hours > 23.9 && hours <= 24, 'Should expire in a day');
+  });
+
+  test('create rejects unknown visibility', async () => {
+    let error = null;
+    try {
+      await SubmoltService.create({ name: 'secrets', creatorId: 'a1', visibility: 'hidden' });
+    } catch (err) { error = err; }
+    assert(error instanceof BadRequestError, 'Should reject visibility');
+  });
+
+  test('addModerator only grants the moderator role', async () => {
+    let error = null;
+    try { await SubmoltService.addModerator('s1', 'a1', 'other', 'owner'); } catch (err) { error = err; }
+    assert(error instanceof BadRequestError, 'Should refuse owner role');
+    assert(error.hint.includes('/transfer'));
+  });
+
+  test('moderation actions reject a non-string agent_name', async () => {
+    const original = SubmoltService.isModerator;
+    SubmoltService.isModerator = async () => { throw new Error('should not reach the database'); };
+    try {
+      const calls = [
+        () => SubmoltService.ban('s1', 'a1', { agentName: 5 }),
+        () => SubmoltService.unban('s1', 'a1', 5),
+        () => SubmoltService.addModerator('s1', 'a1', { name: 'x' }),
+        () => SubmoltService.removeModerator('s1', 'a1', null)
+      ];
+      for (const call of calls) {
+        let error = null;
+        try { await call(); } catch (err) { error = err; }
+        assert(error instanceof BadRequestError, 'Should reject agent_name');
+      }
+    } finally {
+      SubmoltService.isModerator = original;
+    }
+  });
+
+  test('visibilityFilter lets members and moderators see private submolts', () => {
+    const filter = SubmoltService.visibilityFilter('s', '$3');
+    assert(filter.includes("s.visibility <> 'private'"));
+    assert(filter.includes('submolt_members'));
+    assert(filter.includes('submolt_moderators'));
+  });
+
+  test('checkWritable only lets active submolts through', () => {
+    SubmoltService.checkWritable({ name: 'general', status: 'active' });
+
+    let error = null;
+    try { SubmoltService.checkWritable(null); } catch (err) { error = err; }
+    assert(error instanceof NotFoundError, 'Should reject a missing submolt');
+
+    for (const status of ['archived', 'pending_deletion']) {
+      error = null;
+      try { SubmoltService.checkWritable({ name: 'general', status }); } catch (err) { error = err; }
+      assert(error instanceof ForbiddenError, `Should reject ${status}`);
+      assert(error.message.includes('m/general'));
+    }
+  });
+
+  test('archiveTransition only moves between active and archived', () => {
+    assertEqual(SubmoltService.archiveTransition(true).from, 'active');
+    assertEqual(SubmoltService.archiveTransition(true).to, 'archived');
+    assertEqual(SubmoltService.archiveTransition(false).from, 'archived');
+    assertEqual(SubmoltService.archiveTransition(false).to, 'active');
+
+    let error = null;
+    try { SubmoltService.archiveTransition('true'); } catch (err) { error = err; }
+    assert(error instanceof BadRequestError, 'Should require a boolean');
+  });
+
+  test('setArchived and requestDeletion are owner-only', async () => {
+    const assertOwner = SubmoltService.assertOwner;
+    const messages = [];
+    SubmoltService.assertOwner = async (submoltId, agentId, message) => {
+      messages.push(message);
+      throw new ForbiddenError(message);
+    };
+
+    try {
+      for (const action of [
+        () => SubmoltService.setArchived('s1', 'a1', true),
+        () => SubmoltService.setArchived('s1', 'a1', false),
+        () => SubmoltService.requestDeletion('s1', 'a1')
+      ]) {
+        let error = null;
+        try { await action(); } catch (err) { error = err; }
+        assert(error instanceof ForbiddenError, 'Should refuse non-owners');
+      }
+      assertEqual(messages[2], 'Only owners can delete a submolt');
+    } finally {
+      SubmoltService.assertOwner = assertOwner;
+    }
+  });
+
+  test('list hides archived submolts unless asked', () => {
+    assert(SubmoltService.listFilter(false, '$3').includes("s.status = 'active'"));
+    assert(!SubmoltService.listFilter(true, '$3').includes('s.status'));
+  });
+
+  test('list hides private submolts from non-members', () => {
+    for (const includeArchived of [false, true]) {
+      const filter = SubmoltService.listFilter(includeArchived, '$3');
+      assert(filter.startsWith('WHERE '));
+      assert(filter.includes(SubmoltService.visibilityFilter('s', '$3')));
+    }
+  });
+
+  test('offerTransfer and respondToTransfer validate input before any lookup', async () => {
+    for (const agentName of [undefined, '', 42]) {
+      let error = null;
+      try { await SubmoltService.offerTransfer('s1', 'a1', agentName); } catch (err) { error = err; }
+      assert(error instanceof BadRequestError, `Should reject agent_name ${agentName}`);
+    }
+
+    let error = null;
+    try { await SubmoltService.respondToTransfer('s1', 'a1', 'yes'); } catch (err) { error = err; }
+    assert(error instanceof BadRequestError, 'Should require a boolean');
+  });
+
+  test('checkTransferStillValid rejects lost ownership and new bans', () => {
+    assertEqual(SubmoltService.checkTransferStillValid({ role: 'owner' }, undefined), null);
+    assert(SubmoltService.checkTransferStillValid({ role: 'moderator' }, undefined).includes('no longer owns'));
+    assert(SubmoltService.checkTransferStillValid(undefined, undefined).includes('no longer owns'));
+    assert(SubmoltService.checkTransferStillValid({ role: 'owner' }, { id: 'b1' }).includes('banned'));
+  });
+
+  test('chooseSuccessor picks the longest-serving active moderator', () => {
+    const moderators = [
+      { id: 'owner', name: 'owner', is_active: true, created_at: '2024-01-01T00:00:00Z' },
+      { id: 'm1', name: 'newer', is_active: true, created_at: '2024-03-01T00:00:00Z' },
+      { id: 'm2', name: 'gone', is_active: false, created_at: '2024-01-15T00:00:00Z' },
+      { id: 'm3', name: 'zed', is_active: true, created_at: '2024-02-01T00:00:00Z' },
+      { id: 'm4', name: 'amy', is_active: true, created_at: '2024-02-01T00:00:00Z' }
+    ];
+
+    assertEqual(SubmoltService.chooseSuccessor(moderators, 'owner').id, 'm4');
+    assertEqual(SubmoltService.chooseSuccessor(moderators.slice(0, 3), 'owner').id, 'm1');
+    assertEqual(SubmoltService.chooseSuccessor([moderators[0]], 'owner'), null);
+  });
+
+  test('handleOwnerDeparture runs every write on the caller\'s client', async () => {
+    const queries = [];
+    const client = {
+      query: async (text, params) => {
+        queries.push(text);
+        if (text.includes("sm.role = 'owner'")) {
+          return { rows: [{ submolt_id: 's1', name: 'one' }] };
+        }
+        if (text.includes('SELECT a.id')) {
+          return { rows: [{ id: 'm1', name: 'mod', is_active: true, created_at: '2024-01-01T00:00:00Z' }] };
+        }
+        return { rows: [] };
+      }
+    };
+
+    const successions = await SubmoltService.handleOwnerDeparture(client, 'owner');
+    assertEqual(successions.length, 1);
+    assertEqual(successions[0].successor.id, 'm1');
+    assert(queries[0].includes("status = 'cancelled'"));
+    assert(queries.some(text => text.includes("SET role = 'owner'")));
+  });
+
+  test('announceSuccessions reports successor names', async () => {
+    const result = await SubmoltService.announceSuccessions('owner', [{ submoltId: 's1', submolt: 'one', successor: null }]);
+    assertEqual(result[0].submolt, 'one');
+    assertEqual(result[0].successor, null);
+  });
+});
+
+describe('Mod Log', () => {
+  test('record rejects unknown actions', async () => {
+    let threw = false;
+    try { await ModLogService.record({ submoltId: 's1', moderatorId: 'm1', action: 'nuke' }); } catch { threw = true; }
+    assert(threw, 'Should reject unknown action');
+  });
+
+  test('list rejects unknown action filters and invalid dates', async () => {
+    for (const filters of [{ action: 'nuke' }, { since: 'yesterday-ish' }]) {
+      let error = null;
+      try { await ModLogService.list('s1', filters); } catch (err) { error = err; }
+      assert(error instanceof BadRequestError, `Should reject ${JSON.stringify(filters)}`);
+    }
+  });
+});
+
+describe('Reports', () => {
+  test('report validates target type, reason and details before lookup', async () => {
+    for (const data of [
+      { targetType: 'agent', reason: 'spam' },
+      { targetType: 'post', reason: 'boring' },
+      { targetType: 'post', reason: { spam: true } },
+      { targetType: 'post', reason: 'spam', details: { text: 'hi' } },
+      { targetType: 'comment', reason: 'other', details: '  ' }
+    ]) {
+      let error = null;
+      try { await ReportService.report({ reporterId: 'a1', targetId: 'p1', ...data }); } catch (err) { error = err; }
+      assert(error instanceof BadRequestError, `Should reject ${JSON.stringify(data)}`);
+    }
+  });
+});
+
+describe('Agent History', () => {
+  test('getVotes rejects unknown type and direction filters', async () => {
+    let error = null;
+    try { await AgentService.getVotes('a1', { type: 'submolt' }); } catch (err) { error = err; }
+    assert(error instanceof BadRequestError, 'Should reject type');
+
+    error = null;
+    try { await AgentService.getVotes('a1', { direction: 'sideways' }); } catch (err) { error = err; }
+    assert(error instanceof BadRequestError, 'Should reject direction');
+  });
+});
+
+describe('Stats', () => {
+  test('windowStart covers today and the days before it', () => {
+    const start = StatsService.windowStart(7, new Date('2026-03-10T15:30:00Z'));
+    assertEqual(start.toISOString(), '2026-03-04T00:00:00.000Z');
+    assertEqual(StatsService.windowStart(1, new Date('2026-03-10T15:30:00Z')).toISOString(), '2026-03-10T00:00:00.000Z');
+  });
+});
+
+describe('Automod', () => {
+  const author = { karma: 5, is_claimed: true, created_at: new Date(Date.now() - 10 * 86400000) };
+
+  test('validateRule rejects bad regex and empty conditions', () => {
+    let threw = false;
+    try {
+      AutomodService.validateRule({ name: 'r', action: 'reject', conditions: { regex: '(' } }, 1);
+    } catch { threw = true; }
+    assert(threw, 'Should reject invalid regex');
+
+    threw = false;
+    try { AutomodService.validateRule({ name: 'r', action: 'reject', conditions: {} }, 1); } catch { threw = true; }
+    assert(threw, 'Should require a condition');
+  });
+
+  test('validateRule limits queue and flair to posts', () => {
+    let threw = false;
+    try {
+      AutomodService.validateRule({ name: 'r', action: 'queue', conditions: { min_karma: 10 } }, 1);
+    } catch { threw = true; }
+    assert(threw, 'Should reject queue on comments');
+  });
+
+  test('evaluate requires every condition to match', () => {
+    const rule = AutomodService.validateRule({
+      name: 'spam', applies_to: 'post', action: 'queue',
+      conditions: { keywords: ['Airdrop'], min_karma: 10 }
+    }, 1);
+    const rules = [{ ...rule, applies_to: rule.appliesTo }];
+
+    const low = AutomodService.evaluate(rules, { type: 'post', title: 'Free AIRDROP' }, author);
+    assertEqual(low.length, 1);
+    assertEqual(low[0].matched[0], 'keyword: airdrop');
+
+    const trusted = AutomodService.evaluate(rules, { type: 'post', title: 'Free airdrop' }, { ...author, karma: 50 });
+    assertEqual(trusted.length, 0);
+
+    const comment = AutomodService.evaluate(rules, { type: 'comment', content: 'airdrop' }, author);
+    assertEqual(comment.length, 0);
+  });
+
+  test('domain conditions match subdomains', () => {
+    const matched = AutomodService.matchConditions(
+      { domains: ['spam.example'] },
+      { url: 'https://www.cdn.spam.example/x' },
+      author
+    );
+    assertEqual(matched[0], 'domain: spam.example');
+    assertEqual(AutomodService.matchConditions({ domains: ['spam.example'] }, { url: 'https://notspam.example' }, author), null);
+  });
+
+  test('validateRule rejects nested quantifiers and backreferences', () => {
+    for (const regex of ['(a+)+$', '(\\w+\\s?)*x', '((ab)*c)+', '(?:a*){2,}', '(a)\\1']) {
+      let threw = false;
+      try {
+        AutomodService.validateRule({ name: 'r', action: 'reject', conditions: { regex } }, 1);
+      } catch { threw = true; }
+      assert(threw, `Should reject ${regex}`);
+    }
+
+    for (const regex of ['buy (cheap|now)+', '\\d{3}-\\d{4}', '(a+)?b', '[(+]+', '\\(a+\\)+']) {
+      assertEqual(AutomodService.checkPatternSafety(regex), null);
+    }
+  });
+
+  test('validateRule rejects a non-string message', () => {
+    let threw = false;
+    try {
+      AutomodService.validateRule({ name: 'r', action: 'reject', conditions: { keywords: ['x'] }, message: { text: 'no' } }, 1);
+    } catch { threw = true; }
+    assert(threw, 'Should reject an object message');
+  });
+
+  test('regex matching stops after the time budget', () => {
+    const started = Date.now();
+    const matched = AutomodService.testPattern('(a+)+$', ['a'.repeat(40) + '!']);
+    assertEqual(matched, false);
+    assert(Date.now() - started < 2000, 'Should give up quickly');
+    assertEqual(AutomodService.testPattern('air.?drop', ['Free AIRDROP']), true);
+  });
+});
+
+describe('Content Filter', () => {
+  test('normalize folds full-width and traditional characters', () => {
+    assertEqual(contentFilter.normalize('ＡＢＣ臺灣'), 'abc台湾');
+  });
+
+  test('CJK entries match across variants and separators', () => {
+    contentFilter.setWords(['台湾独立', 'spam']);
+    assertEqual(contentFilter.findBlocked('臺灣 獨立'), '台湾独立');
+    assertEqual(contentFilter.findBlocked('台.湾.独.立'), '台湾独立');
+    contentFilter.setWords([]);
+  });
+
+  test('Latin entries match whole words only', () => {
+    contentFilter.setWords(['spam']);
+    assertEqual(contentFilter.findBlocked('ＳＰＡＭ here'), 'spam');
+    assertEqual(contentFilter.findBlocked('spammer'), null);
+    contentFilter.setWords([]);
+  });
+
+  test('assertClean throws BadRequestError naming the field', () => {
+    contentFilter.setWords(['赌博']);
+    let error = null;
+    try { contentFilter.assertClean({ title: 'ok', content: '這是賭博網站' }); } catch (err) { error = err; }
+    contentFilter.setWords([]);
+    assert(error instanceof BadRequestError, 'Should throw BadRequestError');
+    assertEqual(error.code, 'CONTENT_BLOCKED');
+    assert(error.hint.includes('content'));
+  });
+});
+
+describe('Notifications', () => {
+  test('create rejects unknown types', async () => {
+    let threw = false;
+    try { await NotificationService.create({ agentId: 'a1', type: 'nope' }); } catch { threw = true; }
+    assert(threw, 'Should reject unknown type');
+  });
+
+  test('create skips notifying agents about their own actions', async () => {
+    const result = await NotificationService.create({ agentId: 'a1', actorId: 'a1', type: 'post_approved' });
+    assertEqual(result, null);
+  });
+});
+
+describe('Cursor Pagination', () => {
+  const id = (i) => `00000000-0000-4000-8000-00000000000${i}`;
+
+  test('cursor round-trips the key to the microsecond', () => {
+    const cursor = encodeCursor({ id: id(1), cursor_key: '2026-03-10T15:30:00.123456Z' });
+    const decoded = decodeCursor(cursor);
+    assertEqual(decoded.id, id(1));
+    assertEqual(decoded.createdAt, '2026-03-10T15:30:00.123456Z');
+  });
+
+  test('cursorKey selects the column as full-precision UTC text', () => {
+    const sql = cursorKey('c.last_message_at');
+    assert(sql.startsWith("to_char(c.last_message_at AT TIME ZONE 'UTC'"));
+    assert(sql.includes('SS.US'));
+    assert(sql.endsWith('as cursor_key'));
+  });
+
+  test('decodeCursor rejects garbage and non-UUID ids', () => {
+    for (const cursor of [
+      'not-a-cursor',
+      Buffer.from('2026-03-10T15:30:00.000000Z|n1').toString('base64url'),
+      Buffer.from(`yesterday|${id(1)}`).toString('base64url')
+    ]) {
+      let error = null;
+      try { decodeCursor(cursor); } catch (err) { error = err; }
+      assert(error instanceof BadRequestError, `Should reject ${cursor}`);
+    }
+  });
+
+  test('paginate only returns a cursor when there is another page', () => {
+    const rows = [1, 2, 3].map(i => ({ id: id(i), cursor_key: `2026-03-10T00:00:00.00000${i}Z` }));
+    const page = paginate(rows, 2);
+    assertEqual(page.items.length, 2);
+    assertEqual(page.items[0].cursor_key, undefined);
+    assertEqual(decodeCursor(page.nextCursor).id, id(2));
+    assertEqual(decodeCursor(page.nextCursor).createdAt, '2026-03-10T00:00:00.000002Z');
+    assertEqual(paginate(rows, 3).nextCursor, null);
+  });
+});
+
+describe('Mentions', () => {
+  test('extract finds unique names and ignores email addresses', () => {
+    const names = MentionService.extract('hi @Alice and @bob_2, cc @alice', 'mail me@example.com');
+    assertEqual(names.join(','), 'alice,bob_2');
+  });
+
+  test('parse returns agent and submolt entities with offsets', () => {
+    const text = 'ask @Alice in m/General or /m/help_desk, not example.com/m/spam';
+    const entities = MentionService.parse(text);
+    assertEqual(entities.length, 3);
+    assertEqual(entities[0].type, 'agent');
+    assertEqual(entities[0].name, 'alice');
+    assertEqual(text.slice(entities[0].start, entities[0].end), '@Alice');
+    assertEqual(entities[1].type, 'submolt');
+    assertEqual(entities[1].name, 'general');
+    assertEqual(text.slice(entities[2].start, entities[2].end), '/m/help_desk');
+  });
+
+  test('extract caps the number of mentions', () => {
+    const text = Array.from({ length: 20 }, (_, i) => `@agent${i}`).join(' ');
+    assertEqual(MentionService.extract(text).length, MentionService.MAX_MENTIONS);
+  });
+});
+
+describe('Blocking and Muting', () => {
+  test('block and mute refuse the agent itself', async () => {
+    let error = null;
+    try { await AgentService.block('a1', 'a1'); } catch (err) { error = err; }
+    assert(error instanceof BadRequestError, 'Should refuse self block');
+
+    error = null;
+    try { await AgentService.mute('a1', 'a1'); } catch (err) { error = err; }
+    assert(error instanceof BadRequestError, 'Should refuse self mute');
+  });
+
+  test('withoutMuted drops muted comments and their replies', () => {
+    const tree = CommentService.buildCommentTree([
+      { id: 'c1', author_id: 'alice', parent_id: null },
+      { id: 'c2', author_id: 'troll', parent_id: null },
+      { id: 'c3', author_id: 'bob', parent_id: 'c2' },
+      { id: 'c4', author_id: 'troll', parent_id: 'c1' }
+    ]);
+    const visible = CommentService.withoutMuted(tree, new Set(['troll']));
+    assertEqual(visible.length, 1);
+    assertEqual(visible[0].id, 'c1');
+    assertEqual(visible[0].replies.length, 0);
+  });
+
+  test('muteFilter matches the viewer mutes against the author', () => {
+    const filter = AgentService.muteFilter('p.author_id', '$3');
+    assert(filter.includes('mu.muter_id = $3'));
+    assert(filter.includes('mu.muted_id = p.author_id'));
+  });
+});
+
+describe('Direct Messages', () => {
+  test('send rejects empty and oversized messages', async () => {
+    let error = null;
+    try { await MessageService.send('a1', 'bob', '   '); } catch (err) { error = err; }
+    assert(error instanceof BadRequestError, 'Should reject empty message');
+
+    error = null;
+    const long = 'x'.repeat(MessageService.MAX_MESSAGE_LENGTH + 1);
+    try { await MessageService.send('a1', 'bob', long); } catch (err) { error = err; }
+    assert(error instanceof BadRequestError, 'Should reject long message');
+  });
+
+  test('update rejects unknown dm_privacy', async () => {
+    let error = null;
+    try { await AgentService.update('a1', { dm_privacy: 'friends' }); } catch (err) { error = err; }
+    assert(error instanceof BadRequestError, 'Should reject dm_privacy');
+  });
+
+  test('messageLimiter stops a sender after the hourly limit', async () => {
+    const { messageLimiter } = require('../src/middleware/rateLimit');
+    const config = require('../src/config');
+    const req = { token: 'moltbook_message_limit_test' };
+    const res = { setHeader() {} };
+    const errors = [];
+
+    for (let i = 0; i <= config.rateLimits.messages.max; i++) {
+      await messageLimiter(req, res, (err) => errors.push(err));
+    }
+
+    assertEqual(errors.filter(Boolean).length, 1);
+    assertEqual(errors[errors.length - 1].statusCode, 429);
+  });
+});
+
+describe('Webhooks', () => {
+  const config = require('../src/config');
+
+  test('validateUrl rejects private hosts unless allowed', () => {
+    const allowPrivateUrls = config.webhooks.allowPrivateUrls;
+    config.webhooks.allowPrivateUrls = false;
+
+    try {
+      for (const url of ['http://example.com/hook', 'https://localhost/hook', 'https://10.0.0.5/hook', 'https://[::ffff:127.0.0.1]/hook']) {
+        let error = null;
+        try { WebhookService.validateUrl(url); } catch (err) { error = err; }
+        assert(error instanceof BadRequestError, `Should reject ${url}`);
+      }
+      assertEqual(WebhookService.validateUrl('https://example.com/hook'), 'https://example.com/hook');
+
+      config.webhooks.allowPrivateUrls = true;
+      assertEqual(WebhookService.validateUrl('http://localhost:4000/hook'), 'http://localhost:4000/hook');
+    } finally {
+      config.webhooks.allowPrivateUrls = allowPrivateUrls;
+    }
+  });
+
+  test('isPrivateHost leaves public addresses alone', () => {
+    assert(WebhookService.isPrivateHost('192.168.1.1'));
+    assert(WebhookService.isPrivateHost('[::1]'));
+    assert(!WebhookService.isPrivateHost('8.8.8.8'));
+    assert(!WebhookService.isPrivateHost('example.com'));
+    assert(!WebhookService.isPrivateHost('[64:ff9b::808:808]'));
+  });
+
+  test('isPrivateHost catches trailing dots, benchmark and NAT64 ranges', () => {
+    for (const host of ['localhost.', 'api.localhost.', '198.18.0.1', '198.19.255.255', '[64:ff9b::7f00:1]', '64:ff9b::10.0.0.1', '::ffff:192.168.0.1', '64:ff9b:1::1']) {
+      assert(WebhookService.isPrivateHost(host), `Should flag ${host}`);
+    }
+  });
+
+  test('lookupPublic refuses names that resolve to private addresses', async () => {
+    const error = await new Promise(resolve => {
+      WebhookService.lookupPublic('localhost', { all: true }, err => resolve(err));
+    });
+    assert(error && error.message.includes('private address'), 'Should refuse localhost');
+  });
+
+  test('validateEvents rejects unknown events and deduplicates', () => {
+    let error = null;
+    try { WebhookService.validateEvents(['reply', 'upvote']); } catch (err) { error = err; }
+    assert(error instanceof BadRequestError, 'Should reject unknown event');
+    assertEqual(WebhookService.validateEvents(['reply', 'reply', 'vote']).join(','), 'reply,vote');
+  });
+
+  test('backoffSeconds doubles after each attempt', () => {
+    const base = config.webhooks.retryBaseSeconds;
+    assertEqual(WebhookService.backoffSeconds(1), base);
+    assertEqual(WebhookService.backoffSeconds(3), base * 4);
+  });
+
+  test('send signs the timestamp and body', async () => {
+    const http = require('http');
+    let received = null;
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received = { headers: req.headers, body };
+        res.statusCode = body.includes('fail') ? 500 : 204;
+        res.end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const url = `http://127.0.0.1:${server.address().port}/hook`;
+    const allowPrivateUrls = config.webhooks.allowPrivateUrls;
+    config.webhooks.allowPrivateUrls = true;
+
+    try {
+      const payload = { event: 'ping', created_at: new Date().toISOString(), data: {} };
+      const result = await WebhookService.send({ url, secret: 'whsec_test', event: 'ping', deliveryId: 'd1', payload });
+      assert(result.ok, 'Should succeed on 2xx');
+      assertEqual(received.headers['x-moltbook-event'], 'ping');
+      assertEqual(received.headers['x-moltbook-delivery'], 'd1');
+      const signature = WebhookService.sign('whsec_test', received.headers['x-moltbook-timestamp'], received.body);
+      assertEqual(received.headers['x-moltbook-signature'], `sha256=${signature}`);
+
+      const failure = await WebhookService.send({ url, secret: 'whsec_test', event: 'ping', deliveryId: 'd2', payload: { fail: true } });
+      assertEqual(failure.ok, false);
+      assertEqual(failure.statusCode, 500);
+
+      config.webhooks.allowPrivateUrls = false;
+      received = null;
+      for (const target of [url, `http://localhost.:${server.address().port}/hook`]) {
+        const blocked = await WebhookService.send({ url: target, secret: 'whsec_test', event: 'ping', deliveryId: 'd3', payload });
+        assertEqual(blocked.ok, false);
+        assertEqual(blocked.statusCode, null);
+      }
+      assertEqual(received, null);
+    } finally {
+      config.webhooks.allowPrivateUrls = allowPrivateUrls;
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  test('send gives up after the timeout', async () => {
+    const http = require('http');
+    const server = http.createServer(() => {});
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { allowPrivateUrls, timeoutMs } = config.webhooks;
+    Object.assign(config.webhooks, { allowPrivateUrls: true, timeoutMs: 100 });
+
+    try {
+      const url = `http://127.0.0.1:${server.address().port}/hook`;
+      const result = await WebhookService.send({ url, secret: 'whsec_test', event: 'ping', deliveryId: 'd4', payload: {} });
+      assertEqual(result.ok, false);
+      assert(result.error.includes('Timed out'), 'Should report the timeout');
+    } finally {
+      Object.assign(config.webhooks, { allowPrivateUrls, timeoutMs });
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
+
 describe('Error Classes', () => {
   test('ApiError creates with status code', () => {
     const error = new ApiError('Test', 400);